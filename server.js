@@ -10,21 +10,56 @@ const fs = require("fs");
 const path = require("path");
 const { VertexAI } = require("@google-cloud/vertexai");
 const { Pool } = require('pg');
+const ExcelJS = require("exceljs");
+const archiver = require("archiver");
+const musicMetadata = require("music-metadata");
 const sdk = require("microsoft-cognitiveservices-speech-sdk");
 const WebSocket = require("ws");
 const http = require("http");
+const { escapeXml, sanitizeAuthorSsml } = require("./ssml");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
 
 const crypto = require('crypto');
 const ALGO = 'aes-256-gcm';
 const KEY = Buffer.from(process.env.API_KEYS_MASTER_KEY || '', 'base64');
 if (!KEY || KEY.length !== 32) throw new Error('API_KEYS_MASTER_KEY invalida (32 bytes base64)');
 
-function decryptSecret(b64) {
-    const buf = Buffer.from(b64, 'base64');
+// Rotazione della master key: enc_key = "v<versione>:" + base64(iv | tag | ciphertext).
+// I valori senza prefisso (prima del versioning) valgono come v1.
+// Per ruotare: nuova API_KEYS_MASTER_KEY + API_KEYS_MASTER_KEY_VERSION incrementata,
+// vecchie chiavi in API_KEYS_PREVIOUS_MASTER_KEYS="1:<base64>,2:<base64>", poi job di ri-cifratura.
+const KEY_VERSION = parseInt(process.env.API_KEYS_MASTER_KEY_VERSION || '1', 10);
+const MASTER_KEYS = new Map([[KEY_VERSION, KEY]]);
+for (const entry of (process.env.API_KEYS_PREVIOUS_MASTER_KEYS || '').split(',')) {
+    const [version, b64] = entry.trim().split(':');
+    if (!version || !b64) continue;
+    const prev = Buffer.from(b64, 'base64');
+    if (prev.length !== 32) throw new Error(`API_KEYS_PREVIOUS_MASTER_KEYS: chiave v${version} invalida (32 bytes base64)`);
+    if (parseInt(version, 10) !== KEY_VERSION) MASTER_KEYS.set(parseInt(version, 10), prev);
+}
+
+function secretKeyVersion(stored) {
+    const m = /^v(\d+):/.exec(stored || '');
+    return m ? parseInt(m[1], 10) : 1;
+}
+
+function encryptSecret(plain) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGO, KEY, iv);
+    const ct = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+    return `v${KEY_VERSION}:` + Buffer.concat([iv, cipher.getAuthTag(), ct]).toString('base64');
+}
+
+function decryptSecret(stored) {
+    const version = secretKeyVersion(stored);
+    const key = MASTER_KEYS.get(version);
+    if (!key) throw new Error(`Master key v${version} not configured`);
+    const buf = Buffer.from(String(stored).replace(/^v\d+:/, ''), 'base64');
     const iv = buf.subarray(0, 12);
     const tag = buf.subarray(12, 28);
     const ct = buf.subarray(28);
-    const decipher = crypto.createDecipheriv(ALGO, KEY, iv);
+    const decipher = crypto.createDecipheriv(ALGO, key, iv);
     decipher.setAuthTag(tag);
     const plain = Buffer.concat([decipher.update(ct), decipher.final()]);
     return plain.toString('utf8');
@@ -47,22 +82,111 @@ const MAX_SYNTH_PER_FORMAT = 6;
 
 const MAX_QUEUE_PER_FORMAT = parseInt(process.env.AZ_TTS_MAX_QUEUE_PER_FORMAT || '50', 10);
 
-// Mappa: { webm: [worker, ...], mp3: [worker, ...] }
-const ttsPools = {
-    webm: [],
-    mp3: []
+// Pool con chiave Azure Speech del cliente: pochi worker ciascuno e un tetto complessivo,
+// così chiavi/formati diversi di un tenant non moltiplicano le connessioni senza limite
+const AZ_TTS_CUSTOMER_POOL_SIZE = parseInt(process.env.AZ_TTS_CUSTOMER_POOL_SIZE || '2', 10);
+const AZ_TTS_MAX_CUSTOMER_POOLS = parseInt(process.env.AZ_TTS_MAX_CUSTOMER_POOLS || '50', 10);
+
+// Worker inattivi oltre questa soglia vengono chiusi (i pool dei formati poco usati si svuotano da soli)
+const AZ_TTS_POOL_IDLE_MS = parseInt(process.env.AZ_TTS_POOL_IDLE_MS || '300000', 10);
+
+// Formati audio comuni a tutti i servizi TTS: id → content-type e codice del provider (assente = non supportato).
+// azure: [enum SDK, header X-Microsoft-OutputFormat della REST]. Il wav di ElevenLabs è PCM con header RIFF aggiunto qui;
+// anche il wav del pool Azure (SDK): l'SDK ripete l'header RIFF su ogni chunk "synthesizing", quindi si chiede PCM grezzo
+// e l'header lo scrive runNextJob una volta sola (la REST invece restituisce un riff unico).
+const TTS_AUDIO_FORMATS = {
+    mp3: { contentType: "audio/mpeg", ext: "mp3", azure: ["Audio16Khz32KBitRateMonoMp3", "audio-16khz-32kbitrate-mono-mp3"], openai: "mp3", elevenlabs: "mp3_44100_128" },
+    opus: { contentType: "audio/ogg", ext: "ogg", azure: ["Ogg24Khz16BitMonoOpus", "ogg-24khz-16bit-mono-opus"], openai: "opus" },
+    webm: { contentType: "audio/webm", ext: "webm", azure: ["Webm24Khz16BitMonoOpus", "webm-24khz-16bit-mono-opus"] },
+    wav: { contentType: "audio/wav", ext: "wav", azure: ["Raw24Khz16BitMonoPcm", "riff-24khz-16bit-mono-pcm"], openai: "wav", elevenlabs: "pcm_24000", wavFromPcm: ["elevenlabs", "azure-speech"] },
+    pcm_16000: { contentType: "audio/pcm;rate=16000", ext: "pcm", azure: ["Raw16Khz16BitMonoPcm", "raw-16khz-16bit-mono-pcm"], elevenlabs: "pcm_16000" },
+    pcm_24000: { contentType: "audio/pcm;rate=24000", ext: "pcm", azure: ["Raw24Khz16BitMonoPcm", "raw-24khz-16bit-mono-pcm"], openai: "pcm", elevenlabs: "pcm_24000" },
+    pcm_48000: { contentType: "audio/pcm;rate=48000", ext: "pcm", azure: ["Raw48Khz16BitMonoPcm", "raw-48khz-16bit-mono-pcm"], elevenlabs: "pcm_48000" },
+    ulaw_8000: { contentType: "audio/basic", ext: "ulaw", azure: ["Raw8Khz8BitMonoMULaw", "raw-8khz-8bit-mono-mulaw"], elevenlabs: "ulaw_8000" }
 };
+const TTS_FORMAT_ALIASES = {
+    mpeg: "mp3", ogg: "opus", riff: "wav",
+    pcm: "pcm_24000", pcm16k: "pcm_16000", pcm24k: "pcm_24000", pcm48k: "pcm_48000",
+    ulaw: "ulaw_8000", mulaw: "ulaw_8000", mulaw_8000: "ulaw_8000"
+};
+// provider (come in api_keys) → campo di TTS_AUDIO_FORMATS
+const TTS_FORMAT_PROVIDER_FIELD = { "azure-speech": "azure", openai: "openai", "azure-openai": "openai", elevenlabs: "elevenlabs" };
+
+// streaming: esclude i formati che richiedono di conoscere la lunghezza totale (wav ricostruito)
+function ttsFormatsFor(provider, { streaming = false } = {}) {
+    const field = TTS_FORMAT_PROVIDER_FIELD[provider];
+    return Object.keys(TTS_AUDIO_FORMATS).filter(id => {
+        const spec = TTS_AUDIO_FORMATS[id];
+        return spec[field] && !(streaming && spec.wavFromPcm?.includes(provider));
+    });
+}
 
-function createSynthesizerForFormat(format) {
-    if (!AZ_TTS_KEY || !AZ_TTS_REGION) {
-        throw new Error("Missing Azure Speech env vars (AZURE_TTS_KEY_AI_SERVICES, AZURE_REGION_AI_SERVICES)");
+// Negozia il formato: valore esplicito (body.format / ?format=) oppure header Accept, altrimenti il fallback.
+// → { format, spec } | { error, formats }
+function resolveTtsFormat(requested, provider, fallback, { accept = null, streaming = false } = {}) {
+    const supported = ttsFormatsFor(provider, { streaming });
+    let id = String(requested || "").trim().toLowerCase();
+    id = TTS_FORMAT_ALIASES[id] || id;
+    if (!id && accept) {
+        const types = String(accept).toLowerCase().split(",").map(t => t.replace(/\s+/g, "").replace(/;q=[\d.]+$/, ""));
+        id = supported.find(f => types.includes(TTS_AUDIO_FORMATS[f].contentType)) || "";
     }
-    const speechConfig = sdk.SpeechConfig.fromSubscription(AZ_TTS_KEY, AZ_TTS_REGION);
-    if (format === "webm") {
-        speechConfig.speechSynthesisOutputFormat = sdk.SpeechSynthesisOutputFormat.Webm24Khz16BitMonoOpus;
-    } else {
-        speechConfig.speechSynthesisOutputFormat = sdk.SpeechSynthesisOutputFormat.Audio16Khz32KBitRateMonoMp3;
+    if (!id) return { format: fallback, spec: TTS_AUDIO_FORMATS[fallback] };
+    if (!supported.includes(id)) return { error: `Unsupported audio format "${id}" for ${provider}`, formats: supported };
+    return { format: id, spec: TTS_AUDIO_FORMATS[id] };
+}
+
+// Header RIFF/WAVE (PCM 16 bit mono) davanti a un buffer PCM grezzo
+function wavFromPcm(pcm, sampleRate = 24000) {
+    const header = Buffer.alloc(44);
+    header.write("RIFF", 0);
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write("WAVE", 8);
+    header.write("fmt ", 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);              // PCM
+    header.writeUInt16LE(1, 22);              // mono
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28); // byte rate
+    header.writeUInt16LE(2, 32);              // block align
+    header.writeUInt16LE(16, 34);             // bit per sample
+    header.write("data", 36);
+    header.writeUInt32LE(pcm.length, 40);
+    return Buffer.concat([header, pcm]);
+}
+
+// Header per un wav in streaming (lunghezze ignote = 0xFFFFFFFF); fixWavSizes le corregge sul file completo
+function wavStreamHeader(sampleRate = 24000) {
+    const header = wavFromPcm(Buffer.alloc(0), sampleRate);
+    header.writeUInt32LE(0xFFFFFFFF, 4);
+    header.writeUInt32LE(0xFFFFFFFF, 40);
+    return header;
+}
+
+function fixWavSizes(wav) {
+    if (wav.length < 44) return wav;
+    wav.writeUInt32LE(wav.length - 8, 4);
+    wav.writeUInt32LE(wav.length - 44, 40);
+    return wav;
+}
+
+// Mappa: { webm: [worker, ...], mp3: [worker, ...], "pcm_16000:<fingerprint>": [...] }
+// Un pool per formato (e per chiave Azure Speech del cliente), creato al primo uso e rimosso quando resta vuoto.
+const ttsPools = {};
+
+function ttsPoolKey(format, creds) {
+    return creds ? `${format}:${credentialFingerprint(creds)}` : format;
+}
+
+function createSynthesizerForFormat(format, creds = null) {
+    const { key, region } = azureSpeechConfig(creds);
+    if (!key || !region) {
+        throw new Error("Missing Azure Speech env vars (AZURE_TTS_KEY_AI_SERVICES, AZURE_REGION_AI_SERVICES)");
     }
+    const spec = TTS_AUDIO_FORMATS[format];
+    if (!spec?.azure) throw new Error(`Unsupported Azure TTS format: ${format}`);
+    const speechConfig = sdk.SpeechConfig.fromSubscription(key, region);
+    speechConfig.speechSynthesisOutputFormat = sdk.SpeechSynthesisOutputFormat[spec.azure[0]];
 
     // Nessun AudioConfig: leggeremo i chunk dall'evento "synthesizing"
     const synthesizer = new sdk.SpeechSynthesizer(speechConfig);
@@ -83,29 +207,48 @@ function createSynthesizerForFormat(format) {
         synthesizer,
         busy: false,
         queue: [],
+        creds,
+        lastUsed: Date.now(),
     };
 }
 
 function retireAndReplaceWorker(worker, format) {
     try { worker.synthesizer.close(); } catch { }
-    const pool = ttsPools[format];
+    const pool = ttsPools[ttsPoolKey(format, worker.creds)];
     const i = pool.indexOf(worker);
     if (i >= 0) pool.splice(i, 1);
     // crea e inserisci un nuovo worker “pulito”
-    const replacement = createSynthesizerForFormat(format);
+    const replacement = createSynthesizerForFormat(format, worker.creds);
     pool.push(replacement);
     return replacement;
 }
 
 
-function getOrCreateWorker(format) {
-    const pool = ttsPools[format];
+// Libera un posto per un nuovo pool cliente chiudendo quello inattivo da più tempo; false se sono tutti occupati
+function makeRoomForCustomerPool() {
+    const customerKeys = Object.keys(ttsPools).filter(k => k.includes(":"));
+    if (customerKeys.length < AZ_TTS_MAX_CUSTOMER_POOLS) return true;
+    const idle = customerKeys
+        .filter(k => ttsPools[k].every(w => !w.busy && w.queue.length === 0))
+        .sort((a, b) => Math.max(...ttsPools[a].map(w => w.lastUsed)) - Math.max(...ttsPools[b].map(w => w.lastUsed)));
+    if (!idle.length) return false;
+    for (const w of ttsPools[idle[0]]) {
+        try { w.synthesizer.close(); } catch { }
+    }
+    delete ttsPools[idle[0]];
+    return true;
+}
+
+function getOrCreateWorker(format, creds = null) {
+    const key = ttsPoolKey(format, creds);
+    if (creds && !ttsPools[key] && !makeRoomForCustomerPool()) return null;
+    const pool = (ttsPools[key] ||= []);
     // prova a trovarne uno non occupato
     const free = pool.find(w => !w.busy);
     if (free) return free;
     // se tutti occupati ma c'è spazio, creane uno nuovo
-    if (pool.length < MAX_SYNTH_PER_FORMAT) {
-        const w = createSynthesizerForFormat(format);
+    if (pool.length < (creds ? AZ_TTS_CUSTOMER_POOL_SIZE : MAX_SYNTH_PER_FORMAT)) {
+        const w = createSynthesizerForFormat(format, creds);
         pool.push(w);
         return w;
     }
@@ -117,11 +260,24 @@ function getOrCreateWorker(format) {
     return best;
 }
 
-function enqueueTtsJob(format, job) {
-    const worker = getOrCreateWorker(format);
+// Chiude i worker inattivi da più di AZ_TTS_POOL_IDLE_MS e rimuove i pool vuoti
+setInterval(() => {
+    const t = Date.now();
+    for (const [key, pool] of Object.entries(ttsPools)) {
+        for (const w of pool.filter(w => !w.busy && w.queue.length === 0 && t - w.lastUsed > AZ_TTS_POOL_IDLE_MS)) {
+            try { w.synthesizer.close(); } catch { }
+            pool.splice(pool.indexOf(w), 1);
+        }
+        if (pool.length === 0) delete ttsPools[key];
+    }
+}, 60000).unref();
+
+function enqueueTtsJob(format, job, creds = null) {
+    const worker = getOrCreateWorker(format, creds);
+    if (!worker) return false; // troppi pool cliente attivi → 429 come la coda piena
 
-    // Conta tutti i job in attesa/attivi nel pool di questo formato
-    const totalQueued = ttsPools[format].reduce(
+    // Conta tutti i job in attesa/attivi nel pool di questo formato (e chiave)
+    const totalQueued = ttsPools[ttsPoolKey(format, creds)].reduce(
         (sum, w) => sum + w.queue.length + (w.busy ? 1 : 0),
         0
     );
@@ -140,18 +296,28 @@ function runNextJob(worker, format) {
     worker.busy = true;
 
     const job = worker.queue.shift();
-    const { ssml, res, req, contentType } = job;
+    const { ssml, res, req, contentType, cacheKey } = job;
+    worker.lastUsed = Date.now();
+
+    // Annullato mentre era in coda (signal di renderTtsToBuffer, es. turno interrotto): non si sintetizza
+    if (job.signal?.aborted) {
+        worker.busy = false;
+        return runNextJob(worker, format);
+    }
 
     let started = false;
     let totalBytes = 0;
     let headersSent = false;
     let clientAborted = false;
+    const cacheChunks = cacheKey ? [] : null; // audio completo → cache TTS
+    const wavHeader = TTS_AUDIO_FORMATS[format].wavFromPcm?.includes("azure-speech") ? wavStreamHeader(24000) : null;
 
     const sendHeadersOnce = () => {
         if (!headersSent) {
             res.setHeader("Content-Type", contentType);
             res.setHeader("Transfer-Encoding", "chunked");
             res.setHeader("Cache-Control", "no-store");
+            if (cacheKey && ttsCacheBackend) setTtsCacheHeaders(res, cacheKey, "miss");
             if (typeof res.flushHeaders === "function") res.flushHeaders();
             headersSent = true;
         }
@@ -160,6 +326,13 @@ function runNextJob(worker, format) {
     // Se il client chiude, non scrivere più
     req.on("aborted", () => { clientAborted = true; });
 
+    // Errore a stream già iniziato: a un client HTTP si chiude la risposta, un sink interno
+    // (renderTtsToBuffer, con fail()) deve fallire o l'audio troncato passerebbe per completo
+    const endAfterError = (error) => {
+        if (typeof res.fail === "function") return res.fail(new Error(error));
+        try { res.end(); } catch { }
+    };
+
     // Watchdog: se non parte entro 15s, annulla job
     const watchdog = setTimeout(() => {
         if (!started && !res.headersSent) {
@@ -179,8 +352,13 @@ function runNextJob(worker, format) {
                 if (!started) {
                     sendHeadersOnce();
                     started = true;
+                    if (wavHeader) {
+                        res.write(wavHeader);
+                        if (cacheChunks) cacheChunks.push(wavHeader);
+                    }
                 }
                 totalBytes += bytes.byteLength;
+                if (cacheChunks && totalBytes <= TTS_CACHE_MAX_ENTRY_BYTES) cacheChunks.push(Buffer.from(bytes));
                 res.write(Buffer.from(bytes));
             }
         } catch (err) {
@@ -200,6 +378,10 @@ function runNextJob(worker, format) {
             }
         } else {
             try { res.end(); } catch { }
+            if (cacheChunks && !clientAborted && totalBytes <= TTS_CACHE_MAX_ENTRY_BYTES) {
+                const audio = Buffer.concat(cacheChunks);
+                ttsCacheSet(cacheKey, wavHeader ? fixWavSizes(audio) : audio, contentType);
+            }
         }
         worker.busy = false;
         runNextJob(worker, format);
@@ -213,7 +395,7 @@ function runNextJob(worker, format) {
         if (!res.headersSent && !clientAborted) {
             try { res.status(502).json({ error: "Azure TTS canceled", details }); } catch { }
         } else {
-            try { res.end(); } catch { }
+            endAfterError(`Azure TTS canceled: ${details}`);
         }
         worker.busy = false;
         runNextJob(worker, format);
@@ -244,7 +426,7 @@ function runNextJob(worker, format) {
                 if (!res.headersSent && !clientAborted) {
                     try { res.status(500).json({ error: "Azure Speech TTS failed", details: String(err) }); } catch { }
                 } else {
-                    try { res.end(); } catch { }
+                    endAfterError(`Azure Speech TTS failed: ${err}`);
                 }
                 worker.busy = false;
                 runNextJob(worker, format);
@@ -258,7 +440,7 @@ function runNextJob(worker, format) {
         if (!res.headersSent && !clientAborted) {
             try { res.status(500).json({ error: "Azure Speech TTS init failed", details: String(err) }); } catch { }
         } else {
-            try { res.end(); } catch { }
+            endAfterError(`Azure Speech TTS init failed: ${err}`);
         }
         worker.busy = false;
         runNextJob(worker, format);
@@ -306,9 +488,9 @@ const heygen = axios.create({
 
 // Global middlewares
 app.use(cors({
-    origin: "*",
-    methods: ["GET", "POST", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "x-user-api-key", "authorization", "x-user-id", "x-user-email", "x-chatbot-id", "x-timer-chatbot-id"]
+    origin: corsOrigin,
+    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "x-user-api-key", "authorization", "x-user-id", "x-user-email", "x-chatbot-id", "x-timer-chatbot-id", "x-admin-key", "x-api-key"]
 }));
 app.use(express.json());
 
@@ -321,484 +503,3258 @@ const pool = new Pool({
     }
 });
 
-// START to set code with timer fot chatbot for service openaiSimulateur and azureOpenaiNotStream
-// ================== TIMER PER-ID (IN-MEMORY) ==================
-const THREE_YEARS = 3 * 365 * 24 * 60 * 60 * 1000;
-// Summer + 2h - Winter + 1h
-const TIMER_ID_POLICY = {
-    //  Day * hr * mn * Sec* Ml (7 * 24 * 60 * 60 * 1000)
-    "testTimer": {
-        ttlMs: THREE_YEARS,
-        sliding: false,
-        hardStopAt: "2025-10-09T18:00:00Z"
-    }
-};
-
-// Stato runtime: timerId -> { expiresAt:number }
-const runtimeTimers = new Map();
-const expiredSticky = new Set();
-const REQUIRE_TIMER_ID = true;
+// Tabelle gestite da questo backend: create all'avvio se mancano (statement idempotenti)
+const SCHEMA_STATEMENTS = [];
 
-function getTimerId(req) {
-    // SOLO variabile "timer_chatbot_id" (body / query / header)
-    return (
-        req.body?.timer_chatbot_id ||
-        req.query?.timer_chatbot_id ||
-        req.get("x-timer-chatbot-id") ||
-        ""
-    ).toString().trim();
+async function ensureSchema() {
+    for (const sql of SCHEMA_STATEMENTS) {
+        try { await pool.query(sql); }
+        catch (e) { console.error("❌ schema init error:", e.message, sql.split("\n")[0]); }
+    }
 }
-function getTimerPolicy(id) { return id ? TIMER_ID_POLICY[id] : null; }
-const now = () => Date.now();
 
-function ensureTimerSession(id) {
-    const pol = getTimerPolicy(id);
-    if (!pol) return null;               // id non gestito → nessun timer applicato
-    if (expiredSticky.has(id)) {
-        // Mantieni un record con expiresAt=0 così remaining=0
-        let s = runtimeTimers.get(id);
-        if (!s) { s = { expiresAt: 0 }; runtimeTimers.set(id, s); }
-        return s;
+// ================== CORS PER TENANT ==================
+// CORS_MODE=allowlist (default): origini ammessi da cors_origins (chatbot_id NULL = tutti i chatbot) + CORS_ALLOWED_ORIGINS.
+// Con CORS_MODE=open resta Access-Control-Allow-Origin: *.
+// Pattern con wildcard di sottodominio ammessi: https://*.example.com
+const CORS_MODE = (process.env.CORS_MODE || "allowlist").toLowerCase();
+const CORS_CACHE_MS = parseInt(process.env.CORS_CACHE_MS || "30000", 10);
+const CORS_ENV_ORIGINS = (process.env.CORS_ALLOWED_ORIGINS || "")
+    .split(",")
+    .map(normalizeOrigin)
+    .filter(Boolean)
+    .map(origin => ({ chatbotId: null, origin }));
+let corsOriginsCache = { entries: CORS_ENV_ORIGINS, loadedAt: 0 };
+
+SCHEMA_STATEMENTS.push(
+    `CREATE TABLE IF NOT EXISTS cors_origins (
+        id SERIAL PRIMARY KEY,
+        chatbot_id TEXT,
+        origin TEXT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS cors_origins_unique_idx ON cors_origins (COALESCE(chatbot_id, ''), origin)`
+);
+
+// "https://App.example.com/" → "https://app.example.com" ("" se non valido)
+function normalizeOrigin(value) {
+    const v = String(value || "").trim().toLowerCase().replace(/\/+$/, "");
+    if (!v) return "";
+    if (v.includes("*")) return /^https?:\/\/\*\.[a-z0-9.-]+(:\d+)?$/.test(v) ? v : "";
+    try {
+        const origin = new URL(v).origin;
+        return origin === "null" ? "" : origin;
+    } catch {
+        return "";
     }
+}
 
-    let s = runtimeTimers.get(id);
-    const ttl = Number(pol.ttlMs || 0);
-    const hardStopAt = pol.hardStopAt ? new Date(pol.hardStopAt).getTime() : null;
+function originMatches(pattern, origin) {
+    if (!pattern.includes("*")) return pattern === origin;
+    const [scheme, suffix] = pattern.split("://*");
+    return origin.startsWith(`${scheme}://`) && origin.endsWith(suffix) && origin.length > scheme.length + 3 + suffix.length;
+}
 
-    if (!s) {
-        const base = ttl > 0 ? now() + ttl : now();
-        const expiresAt = hardStopAt ? (isNaN(hardStopAt) ? base : Math.min(base, hardStopAt)) : base;
-        s = { expiresAt };
-        runtimeTimers.set(id, s);
-    } else if (pol.sliding && ttl > 0 && s.expiresAt > now()) {
-        const renewed = now() + ttl;
-        s.expiresAt = hardStopAt ? Math.min(renewed, hardStopAt) : renewed;
+// Se il DB non risponde si usa l'ultima lista nota
+async function loadCorsOrigins() {
+    if (Date.now() - corsOriginsCache.loadedAt < CORS_CACHE_MS) return corsOriginsCache.entries;
+    try {
+        const { rows } = await pool.query("SELECT chatbot_id, origin FROM cors_origins");
+        corsOriginsCache = {
+            entries: [...CORS_ENV_ORIGINS, ...rows.map(r => ({ chatbotId: r.chatbot_id, origin: r.origin }))],
+            loadedAt: Date.now()
+        };
+    } catch (e) {
+        console.error("❌ cors origins load error:", e.message);
+        corsOriginsCache.loadedAt = Date.now();
     }
-    return s;
+    return corsOriginsCache.entries;
 }
 
-function remainingTimerMs(id) {
-    const s = runtimeTimers.get(id);
-    return s ? Math.max(0, s.expiresAt - now()) : Infinity; // Infinity = nessun limite (id non in policy)
+// Senza Origin (server-to-server) non c'è nulla da verificare. Senza chatbotId basta che l'origine
+// sia ammessa per almeno un chatbot; con chatbotId deve esserlo per quel chatbot o globalmente.
+async function isOriginAllowed(origin, chatbotId) {
+    if (CORS_MODE !== "allowlist" || !origin) return true;
+    const o = normalizeOrigin(origin);
+    if (!o || o.includes("*")) return false;
+    const entries = await loadCorsOrigins();
+    return entries.some(e => originMatches(e.origin, o) && (!e.chatbotId || !chatbotId || e.chatbotId === chatbotId));
 }
-function isTimerExpired(id) {
-    const pol = getTimerPolicy(id);
-    if (!pol) return false; // id non gestito → non scade mai
-    const rem = remainingTimerMs(id);
-    const expired = rem <= 0;
-    if (expired) {
-        expiredSticky.add(id);       // non permettere ricreazione
-        runtimeTimers.set(id, { expiresAt: 0 }); // garantisci remaining=0
+
+// All'avvio: in allowlist senza origini ogni richiesta da browser viene rifiutata, meglio dirlo subito
+async function warnIfCorsAllowlistEmpty() {
+    if (CORS_MODE !== "allowlist") return;
+    const entries = await loadCorsOrigins();
+    if (entries.length === 0) {
+        console.warn("⚠️ CORS_MODE=allowlist but no origins configured (CORS_ALLOWED_ORIGINS / cors_origins): browser requests will be refused");
     }
-    return expired;
 }
 
-function rejectJsonTimer(res, id, reason = "session_expired", status = 403) {
-    if (id) { expiredSticky.add(id); runtimeTimers.set(id, { expiresAt: 0 }); }
-    res.status(status)
-        .setHeader("Access-Control-Allow-Origin", "*")
-        .setHeader("Access-Control-Expose-Headers", "X-Session-Remaining")
-        .setHeader("X-Session-Remaining", "0")
-        .json({ ok: false, error: reason, timer_chatbot_id: id, remaining_ms: 0 });
+// Opzione origin di cors(): un solo punto che decide Access-Control-Allow-Origin
+function corsOrigin(origin, callback) {
+    if (CORS_MODE !== "allowlist") return callback(null, "*");
+    isOriginAllowed(origin).then(ok => callback(null, ok), callback);
 }
 
-function rejectSSETimer(res, id, reason = "session_expired") {
-    if (id) { expiredSticky.add(id); runtimeTimers.set(id, { expiresAt: 0 }); }
-    try {
-        res.write(`data: ${JSON.stringify({ error: true, message: reason, timer_chatbot_id: id, remaining_ms: 0 })}\n\n`);
-        res.write("data: [DONE]\n\n");
-    } finally {
-        res.end();
-    }
+function requestChatbotId(req) {
+    return (req.body?.chatbot_id || req.query?.chatbot_id || req.get("x-chatbot-id") || "").toString().trim();
 }
 
-// END to set code with timer fot chatbot for service openaiSimulateur and azureOpenaiNotStream
+// CORS non blocca l'esecuzione delle richieste "simple": il controllo per chatbot si fa anche lato server
+async function enforceCorsTenant(req, res, next) {
+    const origin = req.get("origin");
+    if (CORS_MODE !== "allowlist" || !origin || req.method === "OPTIONS") return next();
+    const chatbotId = requestChatbotId(req);
+    if (await isOriginAllowed(origin, chatbotId)) return next();
+    return res.status(403).json({ error: "origin_not_allowed", origin, chatbot_id: chatbotId || undefined });
+}
 
-// SSE helper for OpenAI Threads
-async function streamAssistant(assistantId, messages, userId, res) {
-    const thread = await openai.beta.threads.create({ messages });
-    const run = await openai.beta.threads.runs.createAndStream(
-        thread.id,
-        { assistant_id: assistantId, stream: true, user: userId }
-    );
-    for await (const event of run) {
-        const delta = event.data?.delta?.content;
-        if (delta) res.write(`data: ${JSON.stringify({ delta })}\n\n`);
-    }
-    res.write("data: [DONE]\n\n");
-    res.end();
+app.use(enforceCorsTenant);
+
+// ================== AUTH (JWT / API KEY) E RUOLI ==================
+// Credenziali accettate:
+//   - JWT HS256 firmato con AUTH_JWT_SECRET (Authorization: Bearer <jwt> o ?access_token=)
+//     claims: sub/email, role, chatbot_id (scope del tenant), exp (obbligatorio)
+//   - API key backend "bk_..." (x-api-key, Bearer o ?api_key=), hash SHA-256 in api_keys (provider = 'backend')
+//   - ADMIN_API_KEY (x-admin-key o Bearer, mai in query string) → admin
+// AUTH_MODE=enforce rende obbligatoria una credenziale su tutte le route; con "off" (default)
+// solo le route con requireRole (o SERVICE_MIN_ROLES) la richiedono.
+const AUTH_MODE = (process.env.AUTH_MODE || "off").toLowerCase();
+const AUTH_JWT_SECRET = process.env.AUTH_JWT_SECRET || "";
+const AUTH_ROLES = ["learner", "trainer", "admin"];
+const BACKEND_KEY_PREFIX = "bk_";
+const AUTH_KEY_CACHE_MS = 30000;
+const authKeyCache = new Map(); // sha256 -> { auth | null, loadedAt }
+
+SCHEMA_STATEMENTS.push(
+    `ALTER TABLE users ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'learner'`,
+    `ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS key_hash TEXT`,
+    `ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS role TEXT`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS api_keys_key_hash_idx ON api_keys (key_hash) WHERE key_hash IS NOT NULL`
+);
+
+function roleLevel(role) {
+    return AUTH_ROLES.indexOf(role);
 }
 
-function escapeXml(unsafe) {
-    return unsafe
-        .replace(/&/g, "&amp;")
-        .replace(/</g, "&lt;")
-        .replace(/>/g, "&gt;")
-        .replace(/"/g, "&quot;")
-        .replace(/'/g, "&apos;");
+function base64url(buf) {
+    return Buffer.from(buf).toString("base64url");
 }
 
-function buildSSML({ text, voice }) {
-    const locale = (voice || "fr-FR-RemyMultilingualNeural").substring(0, 5);
-    return `
-<speak version="1.0" xml:lang="${locale}">
-  <voice name="${voice}">${escapeXml(text)}</voice>
-</speak>`.trim();
+function safeEqual(a, b) {
+    const ba = Buffer.from(String(a));
+    const bb = Buffer.from(String(b));
+    return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
 }
 
-// Whisper transcription endpoint
-app.post("/api/transcribe", upload.single("audio"), async (req, res) => {
-    console.log("🔹 /api/transcribe, req.file:", req.file?.originalname, req.file?.size);
-    const apiKey = process.env.OPENAI_API_KEY_SIMULATEUR;
-    if (!apiKey) return res.status(500).json({ error: "OpenAI API key missing" });
-    if (!req.file) return res.status(400).json({ error: "No audio file uploaded" });
-    try {
-        const form = new FormData();
-        form.append("file", req.file.buffer, { filename: req.file.originalname });
-        form.append("model", "whisper-1");
-        const response = await axios.post(
-            "https://api.openai.com/v1/audio/transcriptions",
-            form,
-            { headers: { ...form.getHeaders(), Authorization: `Bearer ${apiKey}` } }
-        );
-        console.log("🎉 Whisper response:", response.data);
-        return res.json(response.data);
-    } catch (err) {
-        const details = err.response?.data || err.message;
-        console.error("❌ Whisper transcription error details:", details);
-        return res.status(err.response?.status || 500)
-            .json({ error: "Transcription failed", details });
-    }
-});
+function signJwt(claims) {
+    const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+    const payload = base64url(JSON.stringify(claims));
+    const sig = base64url(crypto.createHmac("sha256", AUTH_JWT_SECRET).update(`${header}.${payload}`).digest());
+    return `${header}.${payload}.${sig}`;
+}
 
-// Main API router
-app.post("/api/:service", upload.none(), async (req, res) => {
-    const { service } = req.params;
-    console.log("🔹 Servizio ricevuto:", service);
-    console.log("🔹 Dati ricevuti:", JSON.stringify(req.body));
+// Claims se firma e scadenza sono valide, altrimenti null
+function verifyJwt(token) {
+    if (!AUTH_JWT_SECRET) return null;
+    const [header, payload, sig] = token.split(".");
+    const expected = base64url(crypto.createHmac("sha256", AUTH_JWT_SECRET).update(`${header}.${payload}`).digest());
+    if (!sig || !safeEqual(sig, expected)) return null;
     try {
+        const h = JSON.parse(Buffer.from(header, "base64url").toString());
+        if (h.alg !== "HS256") return null;
+        const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+        const nowSec = Math.floor(Date.now() / 1000);
+        // exp obbligatorio: un token senza scadenza resterebbe valido finché non si ruota AUTH_JWT_SECRET
+        if (typeof claims.exp !== "number" || nowSec >= claims.exp) return null;
+        if (claims.nbf !== undefined && nowSec < Number(claims.nbf)) return null;
+        return claims;
+    } catch {
+        return null;
+    }
+}
 
-        // Azure OpenAI Chat (Simulator)
-        /*
-        if (service === "azureOpenai") {
-            const apiKey = process.env.AZURE_OPENAI_KEY_SIMULATEUR;
-            const endpoint = process.env.AZURE_OPENAI_ENDPOINT_SIMULATEUR;
-            const deployment = process.env.AZURE_OPENAI_DEPLOYMENT_SIMULATEUR;
-            const apiVersion = process.env.AZURE_OPENAI_API_VERSION || "2025-03-01-preview";
-
-            const apiUrl = `${endpoint}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`;
+function hashBackendKey(key) {
+    return crypto.createHash("sha256").update(key).digest("hex");
+}
 
-            // headers SSE
-            res.setHeader("Access-Control-Allow-Origin", "*");
-            res.setHeader("Content-Type", "text/event-stream");
-            res.setHeader("Cache-Control", "no-cache");
-            res.setHeader("Connection", "keep-alive");
-            res.setHeader("X-Accel-Buffering", "no");
-            res.flushHeaders();
+// API key backend → contesto auth (cache breve: una chiave revocata smette di funzionare entro AUTH_KEY_CACHE_MS)
+async function loadBackendKeyAuth(key) {
+    const hash = hashBackendKey(key);
+    const cached = authKeyCache.get(hash);
+    if (cached && Date.now() - cached.loadedAt < AUTH_KEY_CACHE_MS) return cached.auth;
+    const { rows } = await pool.query(
+        `SELECT k.id, k.user_id, k.chatbot_id, COALESCE(k.role, u.role, 'learner') AS role, u.user_mail
+         FROM api_keys k LEFT JOIN users u ON u.id = k.user_id
+         WHERE k.provider = 'backend' AND k.key_hash = $1`,
+        [hash]
+    );
+    const r = rows[0];
+    const auth = r ? {
+        via: "api_key",
+        keyId: r.id,
+        userId: r.user_id,
+        email: r.user_mail || null,
+        role: AUTH_ROLES.includes(r.role) ? r.role : "learner",
+        chatbotId: r.chatbot_id || null
+    } : null;
+    authKeyCache.set(hash, { auth, loadedAt: Date.now() });
+    return auth;
+}
 
-            const { messages, temperature, max_tokens, top_p, frequency_penalty, presence_penalty } = req.body || {};
-            const payload = {
-                messages: messages || [],
-                stream: true,
-                ...(temperature !== undefined ? { temperature } : {}),
-                ...(max_tokens !== undefined ? { max_tokens } : {}),
-                ...(top_p !== undefined ? { top_p } : {}),
-                ...(frequency_penalty !== undefined ? { frequency_penalty } : {}),
-                ...(presence_penalty !== undefined ? { presence_penalty } : {}),
+// Cerca una credenziale nostra in header/query. Ritorna { auth } | { error } | null (nessuna credenziale).
+// Un Bearer che non è né JWT né bk_ né ADMIN_API_KEY viene ignorato: può essere la chiave OpenAI
+// che i proxy passano a openaiSimulateurBlearn.
+async function resolveAuth(headers = {}, query = {}) {
+    const adminKey = process.env.ADMIN_API_KEY;
+    const bearer = (headers.authorization || "").replace(/^Bearer\s+/i, "").trim();
+    const candidates = [
+        { value: headers["x-admin-key"], admin: true },
+        { value: headers["x-api-key"] },
+        { value: bearer, bearer: true },
+        { value: query.access_token, query: true },
+        { value: query.api_key, query: true }
+    ];
+
+    for (const c of candidates) {
+        const v = (c.value || "").toString().trim();
+        if (!v) continue;
+        if (adminKey && safeEqual(v, adminKey)) {
+            // Mai in query string: finirebbe nei log di proxy e access log
+            if (c.query) return { error: "Admin key must be sent in a header" };
+            return { auth: { via: "admin_key", role: "admin", email: null, chatbotId: null, bearer: !!c.bearer } };
+        }
+        if (c.admin) return { error: "Invalid admin credential" };
+        if (v.startsWith(BACKEND_KEY_PREFIX)) {
+            const auth = await loadBackendKeyAuth(v);
+            return auth ? { auth: { ...auth, bearer: !!c.bearer } } : { error: "Invalid API key" };
+        }
+        if (/^[\w-]+\.[\w-]+\.[\w-]+$/.test(v)) {
+            const claims = verifyJwt(v);
+            if (!claims) return { error: "Invalid or expired token" };
+            return {
+                auth: {
+                    via: "jwt",
+                    role: AUTH_ROLES.includes(claims.role) ? claims.role : "learner",
+                    email: claims.email || claims.sub || null,
+                    chatbotId: claims.chatbot_id || null,
+                    bearer: !!c.bearer
+                }
             };
+        }
+        if (!c.bearer) return { error: "Invalid credential" };
+    }
+    return null;
+}
 
-            try {
-                const axiosResp = await axiosInstance.post(apiUrl, payload, {
-                    headers: { "api-key": apiKey, "Content-Type": "application/json" },
-                    responseType: "stream",
-                    // importantissimo con SSE dietro proxy:
-                    decompress: true,
-                    transitional: { clarifyTimeoutError: true }
-                });
+// Middleware globale: popola req.auth; con AUTH_MODE=enforce nessuna richiesta passa senza credenziale
+async function authenticate(req, res, next) {
+    if (req.method === "OPTIONS") return next();
+    let result;
+    try {
+        result = await resolveAuth(req.headers, req.query);
+    } catch (e) {
+        console.error("❌ auth error:", e.message);
+        return res.status(503).json({ error: "auth_unavailable" });
+    }
+    if (result?.error) return res.status(401).json({ error: "unauthorized", message: result.error });
+    req.auth = result?.auth || null;
+    if (!req.auth && AUTH_MODE === "enforce") {
+        return res.status(401).json({ error: "unauthorized", message: "Missing credential" });
+    }
+    // Una credenziale legata a un chatbot non può operare su un altro chatbot
+    const requested = requestChatbotId(req);
+    if (req.auth?.chatbotId && requested && requested !== req.auth.chatbotId) {
+        return res.status(403).json({ error: "forbidden", message: "chatbot_id outside credential scope" });
+    }
+    next();
+}
 
-                axiosResp.data.on("data", (chunk) => {
-                    res.write(chunk.toString("utf8")); // passthrough 1:1 (Azure manda già "data: ...\n\n")
-                });
-                axiosResp.data.on("end", () => res.end());
-                axiosResp.data.on("error", (e) => {
-                    console.error("Azure SSE stream error:", e?.message || e);
-                    res.write(`data: ${JSON.stringify({ error: true, message: "stream_error", details: String(e) })}\n\n`);
-                    res.write("data: [DONE]\n\n");
-                    res.end();
-                });
+// Ruolo minimo per la route (sempre richiesto, anche con AUTH_MODE=off)
+function requireRole(minRole) {
+    return (req, res, next) => {
+        if (!req.auth) return res.status(401).json({ error: "unauthorized", message: "Missing credential" });
+        if (roleLevel(req.auth.role) < roleLevel(minRole)) {
+            return res.status(403).json({ error: "forbidden", message: `${minRole} role required` });
+        }
+        next();
+    };
+}
 
-            } catch (err) {
-                const status = err?.response?.status || 500;
-                const headers = err?.response?.headers || {};
-                const requestId = headers["x-request-id"] || headers["x-ms-request-id"] || headers["apim-request-id"] || "";
+// Un learner autenticato può agire solo sui propri dati (email del token)
+function isOtherLearner(req, email) {
+    return req.auth?.role === "learner" && !!req.auth.email && !!email
+        && String(email).trim().toLowerCase() !== req.auth.email.toLowerCase();
+}
 
-                let body = err?.response?.data;
-                if (Buffer.isBuffer(body)) { try { body = body.toString("utf8"); } catch { body = "<buffer>"; } }
-                if (typeof body === "object") { try { body = JSON.stringify(body); } catch { } }
+// Risorse di tenant (job TTS batch, chiavi provider): fuori dall'admin serve una credenziale legata a un chatbot,
+// altrimenti chatbot_id arriverebbe dalla richiesta e un trainer potrebbe agire su qualunque tenant
+function isUnscopedCredential(req) {
+    return req.auth?.role !== "admin" && !req.auth?.chatbotId;
+}
 
-                console.error("❌ Azure SSE error:", { status, requestId, body });
+app.use(authenticate);
+
+// ================== USAGE LEDGER (token / caratteri / secondi) ==================
+SCHEMA_STATEMENTS.push(
+    `CREATE TABLE IF NOT EXISTS usage_ledger (
+        id BIGSERIAL PRIMARY KEY,
+        chatbot_id TEXT,
+        user_email TEXT,
+        service TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        model TEXT,
+        unit TEXT NOT NULL,
+        quantity NUMERIC NOT NULL DEFAULT 0,
+        input_tokens INTEGER,
+        output_tokens INTEGER,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`,
+    `CREATE INDEX IF NOT EXISTS usage_ledger_chatbot_idx ON usage_ledger (chatbot_id, created_at)`,
+    `CREATE INDEX IF NOT EXISTS usage_ledger_user_idx ON usage_ledger (user_email, created_at)`,
+    `ALTER TABLE usage_ledger ADD COLUMN IF NOT EXISTS cost NUMERIC NOT NULL DEFAULT 0`
+);
+
+function getChatbotId(req) {
+    if (req.auth?.chatbotId) return req.auth.chatbotId;
+    return requestChatbotId(req);
+}
 
-                // Invia i DETTAGLI al client come SSE "data: ..."
-                res.write(`data: ${JSON.stringify({
-                    error: true,
-                    message: "azureOpenai error",
-                    status,
-                    requestId,
-                    details: body || null
-                })}\n\n`);
-                res.write("data: [DONE]\n\n");
-                res.end();
-            }
-        }*/
+function getUserEmail(req) {
+    if (req.auth?.email && req.auth.role === "learner") return req.auth.email;
+    return (
+        req.get("x-user-email") ||
+        req.body?.user_email ||
+        req.query?.user_email ||
+        ""
+    ).toString().trim();
+}
 
-        // Azure OpenAI Response (Simulator) fix
-        if (service === "azureOpenaiResponse") {
-            const apiKey = process.env.AZURE_OPENAI_KEY_SIMULATEUR;
-            const endpoint = process.env.AZURE_OPENAI_ENDPOINT_SIMULATEUR;
-            const defaultDeployment = process.env.AZURE_OPENAI_DEPLOYMENT_SIMULATEUR;
-            const apiVersion = process.env.AZURE_RESPONSE_OPENAI_API_VERSION || "2024-08-01-preview";
+// Contesto di fatturazione di una richiesta HTTP
+function usageContext(req, service) {
+    return { chatbotId: getChatbotId(req) || null, userEmail: getUserEmail(req) || null, service };
+}
 
-            // SSE headers
-            res.setHeader("Access-Control-Allow-Origin", "*");
-            res.setHeader("Content-Type", "text/event-stream");
-            res.setHeader("Cache-Control", "no-cache");
-            res.setHeader("Connection", "keep-alive");
-            res.setHeader("X-Accel-Buffering", "no");
-            res.flushHeaders();
+// Stesso contesto per gli upgrade WebSocket (solo query string: il browser non manda header custom)
+function usageContextFromUrl(urlObj, service, auth) {
+    return {
+        chatbotId: auth?.chatbotId || (urlObj.searchParams.get("chatbot_id") || "").trim() || null,
+        userEmail: (auth?.role === "learner" && auth.email) || (urlObj.searchParams.get("user_email") || "").trim() || null,
+        service
+    };
+}
 
-            try {
-                // Normalizza input/instructions (il client ti manda input/instructions, NON messages)
-                let { model, input, instructions, temperature, top_p, frequency_penalty, presence_penalty, max_tokens, max_output_tokens } = req.body || {};
-
-                function toParts(msg) {
-                    if (!msg) {
-                        return {
-                            type: "message",
-                            role: "user",
-                            content: [
-                                { type: "input_text", text: "" }
-                            ]
-                        };
-                    }
+// ================== CHIAVI DEL CLIENTE (BYOK) ==================
+// Le chiavi provider di un cliente stanno in api_keys (provider, user_id, chatbot_id, enc_key cifrata).
+// Provider: openai, azure-openai, azure-speech, elevenlabs, heygen, vertex.
+// Il segreto decifrato è la chiave nuda oppure un JSON con i campi del provider, es.
+//   azure-openai: { "api_key", "endpoint", "deployment", "analysis_deployment", "realtime_deployment" }
+//   azure-speech: { "api_key", "region", "endpoint" }
+//   vertex:       { "service_account": {...}, "project", "location" }
+// Ricerca: chiave personale dell'utente per quel chatbot, poi la chiave del chatbot (user_id NULL);
+// mai la chiave personale di un altro utente. Senza risultato → env globali.
+// Solo per chiamanti autenticati: con AUTH_MODE=off un anonimo che passa chatbot_id usa le env globali,
+// non le chiavi (e la fattura) del tenant.
+const PROVIDER_CREDENTIAL_CACHE_MS = parseInt(process.env.PROVIDER_CREDENTIAL_CACHE_MS || "60000", 10);
+const providerCredentialCache = new Map(); // provider|chatbot|user -> { creds | null, loadedAt }
+const providerClients = new Map(); // kind:fingerprint -> client SDK
+
+function parseProviderSecret(plain) {
+    const text = String(plain || "").trim();
+    if (text.startsWith("{")) {
+        try { return JSON.parse(text); } catch { }
+    }
+    return { api_key: text };
+}
 
-                    const role = msg.role || "user";
-
-                    // Se il client ha già mandato content come array (parts),
-                    // aggiungiamo SEMPRE type: "message"
-                    if (Array.isArray(msg.content)) {
-                        return {
-                            type: msg.type || "message",
-                            role,
-                            content: msg.content.map((part) => {
-                                if (typeof part === "string") {
-                                    return { type: "input_text", text: part };
-                                }
-                                if (part && part.type) return part;
-                                return { type: "input_text", text: String(part.text ?? "") };
-                            })
-                        };
-                    }
+// Chi paga la chiamata: chatbot + utente (id numerico o email → users.id)
+function credentialOwner(req) {
+    return scopedCredentialOwner(req.auth, {
+        chatbotId: getChatbotId(req),
+        userEmail: getUserEmail(req),
+        userId: Number(req.get("x-user-id")) || null
+    });
+}
 
-                    // Caso semplice: content è stringa
-                    const text = (typeof msg.content === "string" ? msg.content : "");
-                    return {
-                        type: "message",
-                        role,
-                        content: [
-                            { type: "input_text", text }
-                        ]
-                    };
-                }
+// Owner per la ricerca delle chiavi a partire da ciò che chiede il client: vuoto senza auth,
+// chatbot del token se c'è, e un learner non può spacciarsi per un altro utente via header/query.
+function scopedCredentialOwner(auth, requested = {}) {
+    if (!auth) return { chatbotId: "", userEmail: "", userId: null };
+    const learner = auth.role === "learner";
+    return {
+        chatbotId: auth.chatbotId || requested.chatbotId || "",
+        userEmail: (learner ? auth.email : requested.userEmail || auth.email) || "",
+        userId: auth.userId || (!learner && requested.userId) || null
+    };
+}
 
-                if (!Array.isArray(input)) input = [];
-                input = input.map(toParts);
+// Credenziali del cliente per un provider, o null (→ env). Errori DB/decifratura: log e fallback env.
+// anyUser: lookup storico di openaiSimulateurBlearn senza credenziale, chiave dell'utente e altrimenti
+// la più recente del chatbot, anche se personale di un altro utente.
+async function findProviderCredentials(provider, owner = {}, { anyUser = false } = {}) {
+    const chatbotId = (owner.chatbotId || "").toString().trim();
+    if (!chatbotId) return null;
+    const cacheKey = `${provider}|${chatbotId}|${owner.userId || owner.userEmail || ""}${anyUser ? "|any" : ""}`;
+    const cached = providerCredentialCache.get(cacheKey);
+    if (cached && Date.now() - cached.loadedAt < PROVIDER_CREDENTIAL_CACHE_MS) return cached.creds;
+
+    let creds = null;
+    try {
+        let userId = owner.userId || null;
+        if (!userId && owner.userEmail) {
+            const rUid = await pool.query("SELECT id FROM users WHERE user_mail = $1", [owner.userEmail]);
+            userId = rUid.rows[0]?.id || null;
+        }
+        const { rows } = await pool.query(
+            `SELECT id, enc_key FROM api_keys
+             WHERE provider = $1 AND chatbot_id = $2 AND enc_key <> ''
+               AND (user_id = $3 OR user_id IS NULL OR $4)
+             ORDER BY (user_id = $3) IS TRUE DESC, updated_at DESC
+             LIMIT 1`,
+            [provider, chatbotId, userId, anyUser]
+        );
+        if (rows[0]) {
+            const secret = parseProviderSecret(decryptSecret(rows[0].enc_key));
+            const invalid = providerSecretError(provider, secret);
+            if (invalid) console.error("❌ provider key rejected:", provider, chatbotId, rows[0].id, invalid);
+            else creds = { ...secret, source: "customer", keyId: rows[0].id };
+        }
+    } catch (e) {
+        console.error("❌ provider key lookup error:", provider, chatbotId, e.message);
+        return null;
+    }
+    providerCredentialCache.set(cacheKey, { creds, loadedAt: Date.now() });
+    return creds;
+}
 
-                // Seed minimo se vuoto (es. welcome)
-                if (input.length === 0) {
-                    input = [{
-                        type: "message",
-                        role: "user",
-                        content: [{ type: "input_text", text: "Bonjour" }]
-                    }];
-                }
+function customerCredentials(req, provider) {
+    return findProviderCredentials(provider, credentialOwner(req));
+}
 
-                const effectiveMaxOutputTokens = (max_output_tokens ?? max_tokens);
+function credentialFingerprint(creds) {
+    const { source, keyId, ...secret } = creds;
+    return crypto.createHash("sha256").update(JSON.stringify(secret)).digest("hex").slice(0, 16);
+}
 
-                // Chiamiamo la Responses API in streaming
-                const url = `${endpoint.replace(/\/$/, "")}/openai/v1/responses`;
+// Un client SDK per chiave (non uno per richiesta)
+function cachedProviderClient(kind, creds, build) {
+    const key = `${kind}:${credentialFingerprint(creds)}`;
+    if (!providerClients.has(key)) {
+        if (providerClients.size >= 200) providerClients.delete(providerClients.keys().next().value);
+        providerClients.set(key, build());
+    }
+    return providerClients.get(key);
+}
 
-                const effectiveModel = model || defaultDeployment;
+function openaiClientFor(creds, fallback = openai) {
+    if (!creds?.api_key) return fallback;
+    return cachedProviderClient("openai", creds, () => new OpenAI({ apiKey: creds.api_key }));
+}
 
-                const payload = {
-                    model: effectiveModel,
-                    input,
-                    ...(instructions ? { instructions } : {}),
-                    stream: true,
-                    ...(temperature !== undefined ? { temperature } : {}),
-                    ...(top_p !== undefined ? { top_p } : {}),
-                    ...(frequency_penalty !== undefined ? { frequency_penalty } : {}),
-                    ...(presence_penalty !== undefined ? { presence_penalty } : {}),
-                    ...(effectiveMaxOutputTokens !== undefined ? { max_output_tokens: effectiveMaxOutputTokens } : {})
-                };
+function vertexClientFor(creds) {
+    if (!creds?.service_account) return vertexAI;
+    return cachedProviderClient("vertex", creds, () => {
+        const credentials = typeof creds.service_account === "string" ? JSON.parse(creds.service_account) : creds.service_account;
+        return new VertexAI({
+            project: creds.project || credentials.project_id || process.env.GCLOUD_PROJECT,
+            location: creds.location || process.env.VERTEX_LOCATION,
+            googleAuthOptions: { credentials }
+        });
+    });
+}
+
+// Azure OpenAI: chiave + endpoint del cliente (insieme, validati da providerSecretError) o quelli env;
+// il deployment del cliente prevale sul nome richiesto
+function azureOpenaiConfig(creds, deployment) {
+    if (creds?.api_key) {
+        return { apiKey: creds.api_key, endpoint: creds.endpoint, deployment: creds.deployment || deployment || process.env.AZURE_OPENAI_DEPLOYMENT_SIMULATEUR };
+    }
+    return {
+        apiKey: process.env.AZURE_OPENAI_KEY_SIMULATEUR,
+        endpoint: process.env.AZURE_OPENAI_ENDPOINT_SIMULATEUR,
+        deployment: deployment || process.env.AZURE_OPENAI_DEPLOYMENT_SIMULATEUR
+    };
+}
+
+// Azure Speech: chiave + regione del cliente (insieme) o quelle globali
+function azureSpeechConfig(creds) {
+    if (creds?.api_key) return { key: creds.api_key, region: creds.region, endpoint: creds.endpoint || null };
+    return { key: AZ_TTS_KEY, region: AZ_TTS_REGION, endpoint: null };
+}
+
+// HeyGen: header per-richiesta solo se il cliente ha la sua chiave (altrimenti quello di default di `heygen`)
+function heygenOptions(creds) {
+    return creds?.api_key ? { headers: { "X-Api-Key": creds.api_key } } : {};
+}
+
+// ---- gestione chiavi provider (endpoint /api/provider-keys) ----
+SCHEMA_STATEMENTS.push(
+    `ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS label TEXT`,
+    `ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS key_hint TEXT`,
+    `ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ DEFAULT now()`,
+    `ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT now()`
+);
+
+// Campi accettati per provider (il resto del body viene ignorato); "required" = obbligatori
+const PROVIDER_KEY_FIELDS = {
+    "openai": { fields: ["api_key"], required: ["api_key"] },
+    "azure-openai": { fields: ["api_key", "endpoint", "deployment", "analysis_deployment", "realtime_deployment"], required: ["api_key"] },
+    "azure-speech": { fields: ["api_key", "region", "endpoint"], required: ["api_key", "region"] },
+    "elevenlabs": { fields: ["api_key"], required: ["api_key"] },
+    "heygen": { fields: ["api_key"], required: ["api_key"] },
+    "vertex": { fields: ["service_account", "project", "location"], required: ["service_account"] }
+};
+
+// Body: { provider, api_key, ... } oppure { provider, secret: {...} }. Ritorna { secret } o { error }.
+function providerSecretFromBody(provider, body) {
+    const spec = PROVIDER_KEY_FIELDS[provider];
+    if (!spec) return { error: "Invalid provider" };
+    const source = body.secret && typeof body.secret === "object" ? body.secret : body;
+    const secret = {};
+    for (const field of spec.fields) {
+        const value = source[field];
+        if (value === undefined || value === null || value === "") continue;
+        secret[field] = typeof value === "string" ? value.trim() : value;
+    }
+    if (typeof secret.service_account === "string") {
+        try { secret.service_account = JSON.parse(secret.service_account); }
+        catch { return { error: "service_account must be a JSON object" }; }
+    }
+    const missing = spec.required.filter(f => !secret[f]);
+    if (missing.length) return { error: `Missing ${missing.join(", ")}` };
+    const invalid = providerSecretError(provider, secret);
+    if (invalid) return { error: invalid };
+    return { secret };
+}
+
+// Endpoint/regione salvati dal cliente finiscono negli URL chiamati dal server: solo host Azure noti
+// (niente SSRF verso reti interne). Controllato al salvataggio e di nuovo all'uso (righe già in DB).
+const PROVIDER_ENDPOINT_HOSTS = {
+    "azure-openai": /^[a-z0-9][a-z0-9-]*\.(openai\.azure\.com|cognitiveservices\.azure\.com)$/,
+    "azure-speech": /^[a-z0-9][a-z0-9-]*\.(cognitiveservices\.azure\.com|tts\.speech\.microsoft\.com|api\.cognitive\.microsoft\.com)$/
+};
+const PROVIDER_REGION_RE = /^[a-z0-9]+$/;
+const VERTEX_ID_RE = /^[a-z0-9-]+$/;
+
+// Messaggio d'errore o null se il segreto è utilizzabile
+function providerSecretError(provider, secret) {
+    // Le config Azure del cliente valgono solo complete: la sua chiave con l'endpoint/regione della piattaforma non funziona
+    if (provider === "azure-openai" && !secret.endpoint) return "endpoint is required for azure-openai";
+    if (provider === "azure-speech" && !secret.region) return "region is required for azure-speech";
+    if (secret.endpoint !== undefined) {
+        let url;
+        try { url = new URL(String(secret.endpoint)); } catch { return "endpoint must be a valid https URL"; }
+        const hosts = PROVIDER_ENDPOINT_HOSTS[provider];
+        if (url.protocol !== "https:" || url.port || url.username || url.password || !hosts || !hosts.test(url.hostname)) {
+            return `endpoint host not allowed for ${provider}`;
+        }
+        // azure-openai: si appende /openai/... → solo l'URL della risorsa
+        if (provider === "azure-openai" && (url.pathname !== "/" || url.search)) return "endpoint must be the resource URL without a path";
+    }
+    if (secret.region !== undefined && !PROVIDER_REGION_RE.test(String(secret.region))) return "region must match ^[a-z0-9]+$";
+    if (secret.location !== undefined && !VERTEX_ID_RE.test(String(secret.location))) return "location must match ^[a-z0-9-]+$";
+    if (secret.project !== undefined && !VERTEX_ID_RE.test(String(secret.project))) return "project must match ^[a-z0-9-]+$";
+    return null;
+}
+
+// Solo per la UI: ultimi 4 caratteri della chiave o l'email del service account
+function providerKeyHint(secret) {
+    if (secret.service_account) return secret.service_account.client_email || "service account";
+    const key = String(secret.api_key || "");
+    return key.length > 8 ? `…${key.slice(-4)}` : "…";
+}
+
+// Chiamata leggera al provider per verificare la chiave (nessun costo di generazione)
+async function testProviderCredentials(provider, creds) {
+    const opts = { timeout: 15000 };
+    switch (provider) {
+        case "openai":
+            await openaiClientFor(creds).models.list({ timeout: opts.timeout });
+            return;
+        case "azure-openai": {
+            const { apiKey, endpoint } = azureOpenaiConfig(creds);
+            const apiVersion = process.env.AZURE_OPENAI_API_VERSION || "2025-03-01-preview";
+            await axios.get(`${endpoint.replace(/\/$/, "")}/openai/models?api-version=${apiVersion}`, { ...opts, headers: { "api-key": apiKey } });
+            return;
+        }
+        case "azure-speech": {
+            const { key, region } = azureSpeechConfig(creds);
+            await axios.post(`https://${region}.api.cognitive.microsoft.com/sts/v1.0/issueToken`, null,
+                { ...opts, headers: { "Ocp-Apim-Subscription-Key": key } });
+            return;
+        }
+        case "elevenlabs":
+            await axios.get("https://api.elevenlabs.io/v1/user", { ...opts, headers: { "xi-api-key": creds.api_key } });
+            return;
+        case "heygen":
+            await heygen.get("/v2/user/remaining_quota", { ...opts, ...heygenOptions(creds) });
+            return;
+        case "vertex":
+            await vertexClientFor(creds)
+                .getGenerativeModel({ model: process.env.VERTEX_MODEL_ID })
+                .countTokens({ contents: [{ role: "user", parts: [{ text: "ping" }] }] });
+            return;
+        default:
+            throw new Error(`Unsupported provider ${provider}`);
+    }
+}
+
+// Job di ri-cifratura: porta tutte le enc_key alla versione corrente della master key.
+// Un solo job per istanza; avanza a blocchi per id, UPDATE condizionato al vecchio valore.
+const reencryptJob = { status: "idle", started_at: null, finished_at: null, scanned: 0, reencrypted: 0, failed: 0, failed_ids: [], error: null };
+
+async function runReencryptJob() {
+    Object.assign(reencryptJob, {
+        status: "running", started_at: new Date().toISOString(), finished_at: null,
+        scanned: 0, reencrypted: 0, failed: 0, failed_ids: [], error: null
+    });
+    try {
+        let lastId = 0;
+        for (;;) {
+            const { rows } = await pool.query(
+                `SELECT id, enc_key FROM api_keys
+                 WHERE id > $1 AND enc_key <> '' AND enc_key NOT LIKE $2
+                 ORDER BY id LIMIT 100`,
+                [lastId, `v${KEY_VERSION}:%`]
+            );
+            if (!rows.length) break;
+            for (const row of rows) {
+                lastId = row.id;
+                reencryptJob.scanned++;
+                try {
+                    const { rowCount } = await pool.query(
+                        "UPDATE api_keys SET enc_key = $1, updated_at = now() WHERE id = $2 AND enc_key = $3",
+                        [encryptSecret(decryptSecret(row.enc_key)), row.id, row.enc_key]
+                    );
+                    if (rowCount) reencryptJob.reencrypted++;
+                } catch (e) {
+                    reencryptJob.failed++;
+                    if (reencryptJob.failed_ids.length < 100) reencryptJob.failed_ids.push(row.id);
+                    console.error("❌ re-encrypt error:", row.id, e.message);
+                }
+            }
+        }
+        reencryptJob.status = "done";
+    } catch (e) {
+        console.error("❌ re-encrypt job error:", e.message);
+        Object.assign(reencryptJob, { status: "failed", error: e.message });
+    }
+    reencryptJob.finished_at = new Date().toISOString();
+    providerCredentialCache.clear();
+}
+
+// Config JSON da env: un valore malformato non deve far cadere il processo al boot → log e fallback
+function parseJsonEnv(name, fallback = {}) {
+    const raw = process.env[name];
+    if (!raw) return fallback;
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        console.error(`❌ ${name} is not valid JSON, ignoring it:`, e.message);
+        return fallback;
+    }
+}
+
+// Prezzi in USD, per modello (o per provider se il modello non è listato):
+//   tokens → input_per_1m / output_per_1m, characters → per_1m_chars, seconds → per_minute
+// Override/estensione con USAGE_PRICING_JSON (stesso formato).
+const USAGE_PRICING = {
+    "gpt-4o": { input_per_1m: 2.5, output_per_1m: 10 },
+    "gpt-4o-mini": { input_per_1m: 0.15, output_per_1m: 0.6 },
+    "gpt-4.1": { input_per_1m: 2, output_per_1m: 8 },
+    "gpt-4.1-mini": { input_per_1m: 0.4, output_per_1m: 1.6 },
+    "whisper-1": { per_minute: 0.006 },
+    "gpt-4o-transcribe": { input_per_1m: 6, output_per_1m: 10 },
+    "gpt-4o-mini-transcribe": { input_per_1m: 3, output_per_1m: 5 },
+    "tts-1": { per_1m_chars: 15 },
+    "gpt-4o-mini-tts": { per_1m_chars: 12 },
+    "azure-speech": { per_1m_chars: 16 },
+    "azure-stt": { per_minute: 0.0167 },
+    "elevenlabs": { per_1m_chars: 100 },
+    ...parseJsonEnv("USAGE_PRICING_JSON")
+};
+
+function estimateUsageCost({ provider, model, unit, quantity, input, output }) {
+    const price = USAGE_PRICING[model] || USAGE_PRICING[provider];
+    if (!price) return 0;
+    if (unit === "tokens") {
+        if (input != null || output != null) {
+            return ((input || 0) * (price.input_per_1m || 0) + (output || 0) * (price.output_per_1m || 0)) / 1e6;
+        }
+        return quantity * (price.input_per_1m || 0) / 1e6;
+    }
+    if (unit === "characters") return quantity * (price.per_1m_chars || 0) / 1e6;
+    if (unit === "seconds") return (quantity / 60) * (price.per_minute || 0);
+    return 0;
+}
+
+// unit: "tokens" | "characters" | "seconds". Fire-and-forget: un errore DB non deve rompere la risposta.
+function recordUsage(ctx, { provider, model = null, unit = "tokens", quantity = 0, usage = null }) {
+    const input = usage ? usage.input_tokens ?? null : null;
+    const output = usage ? usage.output_tokens ?? null : null;
+    const qty = usage ? (usage.total_tokens ?? ((input || 0) + (output || 0))) : quantity;
+    if (!ctx || !provider || !(qty > 0)) return Promise.resolve();
+    const cost = estimateUsageCost({ provider, model, unit, quantity: qty, input, output });
+
+    return pool.query(
+        `INSERT INTO usage_ledger (chatbot_id, user_email, service, provider, model, unit, quantity, input_tokens, output_tokens, cost)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [ctx.chatbotId, ctx.userEmail, ctx.service, provider, model, unit, qty, input, output, cost]
+    ).catch((e) => {
+        console.error("❌ usage ledger insert error:", e.message, { service: ctx.service, provider });
+    });
+}
+
+// ================== BUDGET / QUOTA PER CHATBOT E UTENTE ==================
+// Una riga per (scope, scope_id, period): scope "chatbot" (stesso chatbot_id di openaiSimulateurBlearn)
+// o "user" (email). max_tokens / max_cost NULL = nessun limite su quella dimensione.
+SCHEMA_STATEMENTS.push(
+    `CREATE TABLE IF NOT EXISTS usage_budgets (
+        id SERIAL PRIMARY KEY,
+        scope TEXT NOT NULL CHECK (scope IN ('chatbot', 'user')),
+        scope_id TEXT NOT NULL,
+        period TEXT NOT NULL CHECK (period IN ('daily', 'monthly')),
+        max_tokens BIGINT,
+        max_cost NUMERIC,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        UNIQUE (scope, scope_id, period)
+    )`
+);
+
+// Servizi a consumo di /api/:service; quelli SSE segnalano il rifiuto come evento, gli altri in JSON
+const SSE_SERVICES = new Set([
+    "azureOpenaiResponse", "openaiSimulateur", "openaiSimulateurCreps",
+    "openaiSimulateurBlearn", "openaiSimulateurTimer", "vertexChat"
+]);
+const METERED_SERVICES = new Set([
+    ...SSE_SERVICES,
+    "azureOpenaiNotStream", "azureOpenaiNotStreamTimer", "openaiAnalyse", "azureOpenaiAnalyse",
+    "openai-tts", "azureTTS-Scaleway", "azureTTS-websocked-Scaleway", "streaming-openai-tts",
+    "azureTextToSpeech", "elevenlabs"
+]);
+
+function isSSEService(service, body) {
+    if (service === "vertexChat") return body?.stream !== false;
+    return SSE_SERVICES.has(service);
+}
+
+// Ritorna il budget più stretto tra quelli applicabili: { exceeded, scope, scope_id, period, remaining_*, resets_at }
+// oppure null se non ci sono budget configurati.
+// Fail-closed: se esiste almeno un budget, una richiesta senza chatbot_id né email viene rifiutata
+// (scope "anonymous"), altrimenti basterebbe omettere gli identificativi per non essere contati.
+// Con AUTH_MODE=off chatbot_id / user_email sono dichiarati dal client: l'enforcement è affidabile solo con AUTH_MODE=enforce.
+async function checkBudget(ctx) {
+    if (!ctx) return null;
+    if (!ctx.chatbotId && !ctx.userEmail) {
+        const { rows } = await pool.query("SELECT 1 FROM usage_budgets LIMIT 1");
+        if (rows.length === 0) return null;
+        return {
+            exceeded: true,
+            scope: "anonymous",
+            scope_id: null,
+            period: null,
+            remaining_tokens: 0,
+            remaining_cost: 0,
+            resets_at: null
+        };
+    }
+    const { rows } = await pool.query(
+        `SELECT b.scope, b.scope_id, b.period, b.max_tokens, b.max_cost,
+                COALESCE(u.used_tokens, 0) AS used_tokens,
+                COALESCE(u.used_cost, 0) AS used_cost,
+                date_trunc(p.unit, now()) + p.step AS resets_at
+         FROM usage_budgets b
+         CROSS JOIN LATERAL (
+             SELECT CASE b.period WHEN 'daily' THEN 'day' ELSE 'month' END AS unit,
+                    CASE b.period WHEN 'daily' THEN interval '1 day' ELSE interval '1 month' END AS step
+         ) p
+         LEFT JOIN LATERAL (
+             SELECT SUM(l.quantity) FILTER (WHERE l.unit = 'tokens') AS used_tokens,
+                    SUM(l.cost) AS used_cost
+             FROM usage_ledger l
+             WHERE l.created_at >= date_trunc(p.unit, now())
+               AND ((b.scope = 'chatbot' AND l.chatbot_id = b.scope_id)
+                 OR (b.scope = 'user' AND l.user_email = b.scope_id))
+         ) u ON true
+         WHERE (b.scope = 'chatbot' AND b.scope_id = $1)
+            OR (b.scope = 'user' AND b.scope_id = $2)`,
+        [ctx.chatbotId, ctx.userEmail]
+    );
+    if (rows.length === 0) return null;
+
+    const statuses = rows.map((r) => {
+        const remainingTokens = r.max_tokens != null ? Math.max(0, Number(r.max_tokens) - Number(r.used_tokens)) : null;
+        const remainingCost = r.max_cost != null ? Math.max(0, Number(r.max_cost) - Number(r.used_cost)) : null;
+        return {
+            exceeded: remainingTokens === 0 || remainingCost === 0,
+            scope: r.scope,
+            scope_id: r.scope_id,
+            period: r.period,
+            remaining_tokens: remainingTokens,
+            remaining_cost: remainingCost != null ? Number(remainingCost.toFixed(6)) : null,
+            resets_at: new Date(r.resets_at).toISOString()
+        };
+    });
+    return statuses.find(st => st.exceeded) ||
+        statuses.sort((x, y) => (x.remaining_tokens ?? Infinity) - (y.remaining_tokens ?? Infinity))[0];
+}
+
+function setBudgetHeaders(res, budget) {
+    exposeHeaders(res, "X-Budget-Remaining-Tokens", "X-Budget-Remaining-Cost", "X-Budget-Reset", "Retry-After");
+    if (budget.remaining_tokens != null) res.setHeader("X-Budget-Remaining-Tokens", String(budget.remaining_tokens));
+    if (budget.remaining_cost != null) res.setHeader("X-Budget-Remaining-Cost", String(budget.remaining_cost));
+    if (budget.resets_at) res.setHeader("X-Budget-Reset", budget.resets_at);
+}
+
+// Secondi fino al reset del periodo; per lo scope "anonymous" non c'è reset, si riprova con credenziali
+function budgetRetryAfter(budget) {
+    if (!budget.resets_at) return null;
+    return Math.max(1, Math.ceil((new Date(budget.resets_at).getTime() - now()) / 1000));
+}
+
+function quotaPayload(budget) {
+    return {
+        error: "quota_exceeded",
+        scope: budget.scope,
+        scope_id: budget.scope_id,
+        period: budget.period,
+        remaining_tokens: budget.remaining_tokens,
+        remaining_cost: budget.remaining_cost,
+        resets_at: budget.resets_at
+    };
+}
+
+function rejectJsonQuota(res, budget) {
+    const retryAfter = budgetRetryAfter(budget);
+    setBudgetHeaders(res, budget);
+    if (retryAfter) res.setHeader("Retry-After", String(retryAfter));
+    res.status(429).json({ ok: false, ...quotaPayload(budget) });
+}
+
+function rejectSSEQuota(res, budget) {
+    if (!res.headersSent) {
+        setBudgetHeaders(res, budget);
+        openSSE(res);
+    }
+    try {
+        const { error, ...rest } = quotaPayload(budget);
+        res.write(`data: ${JSON.stringify({ error: true, message: error, ...rest })}\n\n`);
+        res.write("data: [DONE]\n\n");
+    } finally {
+        res.end();
+    }
+}
+
+// true se la richiesta è stata rifiutata (risposta già inviata). Fail-open su errori DB.
+async function rejectIfOverBudget(req, res, { service, sse }) {
+    let budget;
+    try {
+        budget = await checkBudget(usageContext(req, service));
+    } catch (e) {
+        console.error("❌ budget check error:", e.message);
+        return false;
+    }
+    if (!budget) return false;
+    if (budget.exceeded) {
+        console.warn("⛔ quota_exceeded:", service, budget.scope, budget.scope_id, budget.period);
+        if (sse) rejectSSEQuota(res, budget); else rejectJsonQuota(res, budget);
+        return true;
+    }
+    setBudgetHeaders(res, budget);
+    return false;
+}
+
+// START to set code with timer fot chatbot for service openaiSimulateur and azureOpenaiNotStream
+// ================== TIMER PER-ID (POSTGRES + CACHE LOCALE) ==================
+// Policy in timer_policies, stato delle sessioni in timer_sessions: così restart e
+// istanze multiple (Scaleway serverless) vedono la stessa scadenza.
+const THREE_YEARS = 3 * 365 * 24 * 60 * 60 * 1000;
+SCHEMA_STATEMENTS.push(
+    `CREATE TABLE IF NOT EXISTS timer_policies (
+        timer_chatbot_id TEXT PRIMARY KEY,
+        ttl_ms BIGINT NOT NULL DEFAULT 0,
+        sliding BOOLEAN NOT NULL DEFAULT false,
+        hard_stop_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`,
+    `CREATE TABLE IF NOT EXISTS timer_sessions (
+        timer_chatbot_id TEXT PRIMARY KEY,
+        expires_at TIMESTAMPTZ NOT NULL,
+        expired BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`,
+    // Ex TIMER_ID_POLICY hardcoded (Summer + 2h - Winter + 1h)
+    `INSERT INTO timer_policies (timer_chatbot_id, ttl_ms, sliding, hard_stop_at)
+     VALUES ('testTimer', ${THREE_YEARS}, false, '2025-10-09T18:00:00Z')
+     ON CONFLICT (timer_chatbot_id) DO NOTHING`
+);
+
+// Cache locale: timerId -> { policy | null, loadedAt }
+const TIMER_POLICY_CACHE_MS = parseInt(process.env.TIMER_POLICY_CACHE_MS || "30000", 10);
+const timerPolicyCache = new Map();
+
+// Stato runtime (cache della riga timer_sessions): timerId -> { expiresAt:number }
+const runtimeTimers = new Map();
+const expiredSticky = new Set();
+const REQUIRE_TIMER_ID = true;
+
+function getTimerId(req) {
+    // SOLO variabile "timer_chatbot_id" (body / query / header)
+    return (
+        req.body?.timer_chatbot_id ||
+        req.query?.timer_chatbot_id ||
+        req.get("x-timer-chatbot-id") ||
+        ""
+    ).toString().trim();
+}
+
+function rowToTimerPolicy(row) {
+    return {
+        ttlMs: Number(row.ttl_ms || 0),
+        sliding: !!row.sliding,
+        hardStopAt: row.hard_stop_at ? new Date(row.hard_stop_at).toISOString() : null
+    };
+}
+
+// Legge la policy dal DB (con cache). Se il DB non risponde si usa l'ultima copia nota.
+async function loadTimerPolicy(id) {
+    if (!id) return null;
+    const cached = timerPolicyCache.get(id);
+    if (cached && now() - cached.loadedAt < TIMER_POLICY_CACHE_MS) return cached.policy;
+    try {
+        const { rows } = await pool.query(
+            "SELECT ttl_ms, sliding, hard_stop_at FROM timer_policies WHERE timer_chatbot_id = $1",
+            [id]
+        );
+        const policy = rows[0] ? rowToTimerPolicy(rows[0]) : null;
+        timerPolicyCache.set(id, { policy, loadedAt: now() });
+        return policy;
+    } catch (e) {
+        console.error("❌ timer policy load error:", e.message);
+        return cached ? cached.policy : null;
+    }
+}
+
+// Lettura sincrona dalla cache (valida dopo loadTimerPolicy/ensureTimerSession)
+function getTimerPolicy(id) { return id ? (timerPolicyCache.get(id)?.policy || null) : null; }
+const now = () => Date.now();
+
+function computeTimerExpiry(pol) {
+    const ttl = Number(pol.ttlMs || 0);
+    const hardStopAt = pol.hardStopAt ? new Date(pol.hardStopAt).getTime() : null;
+    const base = ttl > 0 ? now() + ttl : now();
+    return (hardStopAt && !isNaN(hardStopAt)) ? Math.min(base, hardStopAt) : base;
+}
+
+// Allinea la cache locale a una riga di timer_sessions (expires_at_ms, expired)
+function applyTimerSessionRow(id, row) {
+    if (!row) {
+        expiredSticky.delete(id);
+        runtimeTimers.delete(id);
+    } else if (row.expired) {
+        expiredSticky.add(id);
+        runtimeTimers.set(id, { expiresAt: 0 });
+    } else {
+        expiredSticky.delete(id);
+        runtimeTimers.set(id, { expiresAt: Number(row.expires_at_ms) });
+    }
+}
+
+async function ensureTimerSession(id) {
+    const pol = await loadTimerPolicy(id);
+    if (!pol) return null;               // id non gestito → nessun timer applicato
+
+    const expiresAt = computeTimerExpiry(pol);
+    const slide = pol.sliding && Number(pol.ttlMs || 0) > 0;
+    try {
+        // Crea la sessione se manca; se sliding e ancora valida, rinnova. La riga DB è la verità condivisa.
+        const { rows } = await pool.query(
+            `INSERT INTO timer_sessions (timer_chatbot_id, expires_at)
+             VALUES ($1, to_timestamp($2::bigint / 1000.0))
+             ON CONFLICT (timer_chatbot_id) DO UPDATE SET
+                 expires_at = CASE
+                     WHEN $3::boolean AND NOT timer_sessions.expired AND timer_sessions.expires_at > now()
+                     THEN to_timestamp($2::bigint / 1000.0)
+                     ELSE timer_sessions.expires_at
+                 END,
+                 updated_at = now()
+             RETURNING (extract(epoch FROM expires_at) * 1000)::bigint AS expires_at_ms, expired`,
+            [id, expiresAt, slide]
+        );
+        applyTimerSessionRow(id, rows[0]);
+    } catch (e) {
+        // DB non disponibile: comportamento in-memory come prima
+        console.error("❌ timer session sync error:", e.message);
+        const s = runtimeTimers.get(id);
+        if (!expiredSticky.has(id) && (!s || (slide && s.expiresAt > now()))) {
+            runtimeTimers.set(id, { expiresAt });
+        }
+    }
+    return runtimeTimers.get(id);
+}
+
+// Tombstone: scaduto per sempre (finché un admin non lo resetta), in locale e nel DB
+function markTimerExpired(id) {
+    if (!id) return;
+    const alreadyExpired = expiredSticky.has(id);
+    expiredSticky.add(id);       // non permettere ricreazione
+    runtimeTimers.set(id, { expiresAt: 0 }); // garantisci remaining=0
+    if (alreadyExpired) return;
+    pool.query(
+        "UPDATE timer_sessions SET expired = true, updated_at = now() WHERE timer_chatbot_id = $1",
+        [id]
+    ).catch((e) => console.error("❌ timer expire persist error:", e.message));
+}
+
+function remainingTimerMs(id) {
+    const s = runtimeTimers.get(id);
+    return s ? Math.max(0, s.expiresAt - now()) : Infinity; // Infinity = nessun limite (id non in policy)
+}
+function isTimerExpired(id) {
+    const pol = getTimerPolicy(id);
+    if (!pol) return false; // id non gestito → non scade mai
+    const rem = remainingTimerMs(id);
+    const expired = rem <= 0;
+    if (expired) markTimerExpired(id);
+    return expired;
+}
+
+function rejectJsonTimer(res, id, reason = "session_expired", status = 403) {
+    if (id) markTimerExpired(id);
+    exposeHeaders(res, "X-Session-Remaining");
+    res.status(status)
+        .setHeader("X-Session-Remaining", "0")
+        .json({ ok: false, error: reason, timer_chatbot_id: id, remaining_ms: 0 });
+}
+
+function rejectSSETimer(res, id, reason = "session_expired") {
+    if (id) markTimerExpired(id);
+    if (!res.headersSent) openSSE(res);
+    try {
+        res.write(`data: ${JSON.stringify({ error: true, message: reason, timer_chatbot_id: id, remaining_ms: 0 })}\n\n`);
+        res.write("data: [DONE]\n\n");
+    } finally {
+        res.end();
+    }
+}
+
+// Timer come middleware trasversale: vale per qualunque servizio che riceve timer_chatbot_id.
+// Per i servizi "Timer" storici l'id resta obbligatorio.
+const TIMER_REQUIRED_SERVICES = new Set(["azureOpenaiNotStreamTimer", "openaiSimulateurTimer"]);
+
+// true se la richiesta è stata rifiutata (risposta già inviata)
+async function rejectIfTimerExpired(req, res, { service, sse }) {
+    const tId = getTimerId(req);
+    const required = REQUIRE_TIMER_ID && TIMER_REQUIRED_SERVICES.has(service);
+    const reject = (reason, status) => {
+        if (sse) rejectSSETimer(res, tId, reason); else rejectJsonTimer(res, tId, reason, status);
+        return true;
+    };
+
+    if (!tId) return required ? reject("missing_timer_id", 400) : false;
+    if (!(await loadTimerPolicy(tId))) return required ? reject("invalid_timer_id", 403) : false;
+
+    // Crea/aggiorna sessione; se scaduta → tombstone e chiudi
+    await ensureTimerSession(tId);
+    if (isTimerExpired(tId)) return reject("session_expired", 403);
+
+    exposeHeaders(res, "X-Session-Remaining");
+    res.setHeader("X-Session-Remaining", String(remainingTimerMs(tId)));
+    if (sse) watchSSETimer(res, tId);
+    return false;
+}
+
+// Chiude lo stream SSE allo scadere del timer. I branch SSE controllano res.writableEnded (writeSSE / endSSE)
+// e abortiscono l'upstream con responseCloseSignal, così non scrivono dopo la chiusura.
+function watchSSETimer(res, id) {
+    const killer = setInterval(() => {
+        if (res.writableEnded) return clearInterval(killer);
+        if (isTimerExpired(id)) {
+            clearInterval(killer);
+            try { rejectSSETimer(res, id); } catch { }
+        }
+    }, 1000);
+    res.on("close", () => clearInterval(killer));
+}
+
+// Stesso controllo per le WebSocket: evento finale e chiusura con codice 4001
+function watchWsTimer(ws, id) {
+    if (!id || !getTimerPolicy(id)) return;
+    const killer = setInterval(() => {
+        if (ws.readyState !== WebSocket.OPEN) return clearInterval(killer);
+        if (isTimerExpired(id)) {
+            clearInterval(killer);
+            try {
+                ws.send(JSON.stringify({ type: "session.expired", error: "session_expired", timer_chatbot_id: id, remaining_ms: 0 }));
+            } catch { }
+            try { ws.close(4001, "session_expired"); } catch { }
+        }
+    }, 1000);
+    ws.on("close", () => clearInterval(killer));
+}
+
+// END to set code with timer fot chatbot for service openaiSimulateur and azureOpenaiNotStream
+
+// ================== RATE LIMIT (TOKEN BUCKET) ==================
+// Bucket in memoria per servizio × dimensione (ip, user, chatbot): i limiti valgono per istanza.
+// capacity = burst massimo, per_minute = token ricaricati al minuto. Servizio = segmento dopo /api/
+// (es. "openaiSimulateur", "chat", "heygen") o il nome dell'endpoint WS.
+// RATE_LIMITS_JSON: { "default": { "ip": {...} }, "openaiSimulateur": { "user": { "capacity": 20, "per_minute": 10 }, "ip": null } }
+// (null disattiva la dimensione per quel servizio)
+// Senza TRUST_PROXY req.ip è l'IP del load balancer, condiviso da tutti i learner: il limite per IP
+// di default (bucket e sessioni WS) è attivo solo se TRUST_PROXY è configurato; si può sempre
+// impostarlo esplicitamente in RATE_LIMITS_JSON / WS_MAX_SESSIONS_PER_IP.
+const TRUST_PROXY = process.env.TRUST_PROXY || "";
+const RATE_LIMIT_DIMENSIONS = ["ip", "user", "chatbot"];
+const RATE_LIMIT_DEFAULTS = {
+    ip: TRUST_PROXY ? { capacity: 120, per_minute: 120 } : null,
+    user: { capacity: 60, per_minute: 60 },
+    chatbot: { capacity: 600, per_minute: 600 }
+};
+const RATE_LIMITS = parseJsonEnv("RATE_LIMITS_JSON");
+const rateBuckets = new Map(); // "service|dim|id" -> { tokens, updatedAt }
+
+// Sessioni WebSocket contemporanee per endpoint (0 = nessun limite)
+const WS_SESSION_LIMITS = {
+    ip: parseInt(process.env.WS_MAX_SESSIONS_PER_IP || (TRUST_PROXY ? "10" : "0"), 10),
+    user: parseInt(process.env.WS_MAX_SESSIONS_PER_USER || "3", 10),
+    chatbot: parseInt(process.env.WS_MAX_SESSIONS_PER_CHATBOT || "100", 10)
+};
+const wsSessionCounts = new Map(); // "service|dim|id" -> n
+
+// Dietro il load balancer Scaleway: TRUST_PROXY=1 (hop) perché req.ip sia l'IP del client
+if (TRUST_PROXY) {
+    const v = TRUST_PROXY;
+    app.set("trust proxy", /^\d+$/.test(v) ? Number(v) : v === "true" ? true : v);
+}
+
+function rateLimitFor(service, dim) {
+    const own = RATE_LIMITS[service];
+    if (own && dim in own) return own[dim];
+    const def = RATE_LIMITS.default;
+    if (def && dim in def) return def[dim];
+    return RATE_LIMIT_DEFAULTS[dim];
+}
+
+// Secondi per ricaricare `tokens` token
+function refillSeconds(tokens, limit) {
+    return limit.per_minute > 0 ? Math.ceil(tokens * 60 / limit.per_minute) : 3600;
+}
+
+function refillBucket(key, limit, t) {
+    const b = rateBuckets.get(key) || { tokens: limit.capacity, updatedAt: t };
+    b.tokens = Math.min(limit.capacity, b.tokens + (t - b.updatedAt) * limit.per_minute / 60000);
+    b.updatedAt = t;
+    return b;
+}
+
+// Consuma un token da tutti i bucket applicabili, o da nessuno se anche uno solo è vuoto.
+// Ritorna null se nessun limite si applica.
+function takeRateToken(service, ids) {
+    const t = now();
+    const checks = [];
+    for (const dim of RATE_LIMIT_DIMENSIONS) {
+        const limit = ids[dim] && rateLimitFor(service, dim);
+        if (!limit) continue;
+        const key = `${service}|${dim}|${ids[dim]}`;
+        checks.push({ dim, key, limit, bucket: refillBucket(key, limit, t) });
+    }
+    if (!checks.length) return null;
+
+    const blocked = checks.find(c => c.bucket.tokens < 1);
+    for (const c of checks) {
+        if (!blocked) c.bucket.tokens -= 1;
+        rateBuckets.set(c.key, c.bucket);
+    }
+    // Per gli header si riporta il bucket più vicino all'esaurimento
+    const tight = blocked || checks.reduce((a, b) => (b.bucket.tokens < a.bucket.tokens ? b : a));
+    return {
+        allowed: !blocked,
+        dimension: tight.dim,
+        limit: tight.limit,
+        remaining: Math.max(0, Math.floor(tight.bucket.tokens)),
+        reset: refillSeconds(tight.limit.capacity - tight.bucket.tokens, tight.limit),
+        retryAfter: blocked ? refillSeconds(1 - tight.bucket.tokens, tight.limit) : 0
+    };
+}
+
+// Bucket tornati pieni = stato iniziale: si possono dimenticare
+setInterval(() => {
+    const t = now();
+    for (const [key, b] of rateBuckets) {
+        const [service, dim] = key.split("|");
+        const limit = rateLimitFor(service, dim);
+        if (!limit || refillBucket(key, limit, t).tokens >= limit.capacity) rateBuckets.delete(key);
+    }
+}, 60000).unref();
+
+function setRateLimitHeaders(res, result) {
+    const windowS = refillSeconds(result.limit.capacity, result.limit);
+    res.setHeader("RateLimit-Limit", String(result.limit.capacity));
+    res.setHeader("RateLimit-Remaining", String(result.remaining));
+    res.setHeader("RateLimit-Reset", String(result.reset));
+    res.setHeader("RateLimit-Policy", `${result.limit.capacity};w=${windowS}`);
+    exposeHeaders(res, "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "RateLimit-Policy", "Retry-After");
+}
+
+function rateLimitService(pathname) {
+    const parts = pathname.split("/").filter(Boolean);
+    return parts[0] === "api" ? (parts[1] || "api") : (parts[0] || "root");
+}
+
+// Middleware globale (dopo authenticate: l'utente autenticato prevale sugli header)
+function rateLimiter(req, res, next) {
+    if (req.method === "OPTIONS") return next();
+    const service = rateLimitService(req.path);
+    const result = takeRateToken(service, {
+        ip: req.ip,
+        user: (req.auth?.email || req.get("x-user-id") || req.get("x-user-email") || "").toString().trim(),
+        chatbot: getChatbotId(req)
+    });
+    if (!result) return next();
+    setRateLimitHeaders(res, result);
+    if (result.allowed) return next();
+
+    console.warn("⛔ rate_limited:", service, result.dimension);
+    res.setHeader("Retry-After", String(result.retryAfter));
+    const payload = { error: "rate_limited", service, scope: result.dimension, retry_after: result.retryAfter };
+    if (isSSEService(service, req.body)) {
+        openSSE(res);
+        writeSSE(res, { ...payload, error: true, message: "rate_limited" });
+        res.write("data: [DONE]\n\n");
+        return res.end();
+    }
+    return res.status(429).json(payload);
+}
+
+app.use(rateLimiter);
+
+// IP del client sull'upgrade WS (req.ip di Express non esiste qui), coerente con "trust proxy"
+function upgradeClientIp(req) {
+    const trust = app.get("trust proxy");
+    const forwarded = (req.headers["x-forwarded-for"] || "").split(",").map(v => v.trim()).filter(Boolean);
+    if (trust && forwarded.length) {
+        if (typeof trust === "number") return forwarded[Math.max(0, forwarded.length - trust)];
+        return forwarded[0];
+    }
+    return req.socket.remoteAddress;
+}
+
+// Slot di sessione WS: { release } oppure { error: dimensione, max }
+function acquireWsSession(service, ids) {
+    const keys = [];
+    for (const dim of RATE_LIMIT_DIMENSIONS) {
+        const max = WS_SESSION_LIMITS[dim];
+        if (!ids[dim] || !(max > 0)) continue;
+        const key = `${service}|${dim}|${ids[dim]}`;
+        if ((wsSessionCounts.get(key) || 0) >= max) return { error: dim, max };
+        keys.push(key);
+    }
+    for (const k of keys) wsSessionCounts.set(k, (wsSessionCounts.get(k) || 0) + 1);
+    let released = false;
+    return {
+        release: () => {
+            if (released) return;
+            released = true;
+            for (const k of keys) {
+                const n = (wsSessionCounts.get(k) || 1) - 1;
+                if (n <= 0) wsSessionCounts.delete(k); else wsSessionCounts.set(k, n);
+            }
+        }
+    };
+}
+
+// SSE helper for OpenAI Threads
+async function streamAssistant(assistantId, messages, userId, res) {
+    const thread = await openai.beta.threads.create({ messages });
+    const run = await openai.beta.threads.runs.createAndStream(
+        thread.id,
+        { assistant_id: assistantId, stream: true, user: userId }
+    );
+    for await (const event of run) {
+        const delta = event.data?.delta?.content;
+        if (delta) res.write(`data: ${JSON.stringify({ delta })}\n\n`);
+    }
+    res.write("data: [DONE]\n\n");
+    res.end();
+}
+
+function buildSSML({ text, voice }) {
+    const locale = (voice || "fr-FR-RemyMultilingualNeural").substring(0, 5);
+    return `
+<speak version="1.0" xml:lang="${locale}">
+  <voice name="${voice}">${escapeXml(text)}</voice>
+</speak>`.trim();
+}
+
+// ================== SSML DEGLI AUTORI (WHITELIST) ==================
+// Opt-in: campo "ssml" al posto di "text" (azureTTS-Scaleway, azureTTS-websocked-Scaleway, azure-tts-ws),
+// sanitizzato da sanitizeAuthorSsml (ssml.js). Disattivato di default: TTS_SSML=on lo abilita.
+const TTS_SSML_ENABLED = (process.env.TTS_SSML || "off").toLowerCase() === "on";
+
+// Campo "ssml" di una richiesta: null se assente, { error } se rifiutato, altrimenti { ssml, text, voices }
+function authorSsmlFromRequest(ssml, defaultVoice, visemeType = null) {
+    if (ssml === undefined || ssml === null || ssml === "") return null;
+    if (!TTS_SSML_ENABLED) return { error: "SSML mode is disabled (set TTS_SSML=on)" };
+    if (typeof ssml !== "string") return { error: "ssml must be a string" };
+    try {
+        return sanitizeAuthorSsml(ssml, { defaultVoice, visemeType });
+    } catch (e) {
+        return { error: `Invalid SSML: ${e.message}` };
+    }
+}
+
+// ================== CACHE AUDIO TTS (CONTENT-ADDRESSED) ==================
+// Le frasi scriptate (benvenuto, istruzioni) si ripetono migliaia di volte: l'audio viene salvato
+// sotto sha256(provider, modello, voce, stile/rate/pitch, formato, testo) e riservito senza chiamare il provider.
+//   TTS_CACHE_BACKEND = fs (default) | pg (large object Postgres) | off
+//   TTS_CACHE_DIR (fs), TTS_CACHE_TTL_S, TTS_CACHE_MAX_BYTES (totale), TTS_CACHE_MAX_ENTRY_BYTES (per audio)
+// Il client può rimandare l'ETag in If-None-Match → 304.
+const TTS_CACHE_BACKEND = (process.env.TTS_CACHE_BACKEND || "fs").toLowerCase();
+const TTS_CACHE_DIR = process.env.TTS_CACHE_DIR || path.join("/tmp", "tts-cache");
+const TTS_CACHE_TTL_S = parseInt(process.env.TTS_CACHE_TTL_S || "604800", 10); // 7 giorni
+const TTS_CACHE_MAX_BYTES = parseInt(process.env.TTS_CACHE_MAX_BYTES || String(256 * 1024 * 1024), 10);
+const TTS_CACHE_MAX_ENTRY_BYTES = parseInt(process.env.TTS_CACHE_MAX_ENTRY_BYTES || String(5 * 1024 * 1024), 10);
+const TTS_CACHE_PRUNE_MS = 60000;
+
+if (TTS_CACHE_BACKEND === "pg") {
+    SCHEMA_STATEMENTS.push(
+        `CREATE TABLE IF NOT EXISTS tts_cache (
+            key TEXT PRIMARY KEY,
+            content_type TEXT NOT NULL,
+            bytes INTEGER NOT NULL,
+            data_oid OID NOT NULL,
+            hits INTEGER NOT NULL DEFAULT 0,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+            last_hit_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        )`,
+        `CREATE INDEX IF NOT EXISTS tts_cache_last_hit_idx ON tts_cache (last_hit_at)`
+    );
+}
+
+function ttsCacheKey({ provider, model = null, voice = null, style = null, styleDegree = null, rate = null, pitch = null, format, settings = null, text }) {
+    return crypto.createHash("sha256")
+        .update(JSON.stringify([provider, model, voice, style, styleDegree, rate, pitch, format, settings, text]))
+        .digest("hex");
+}
+
+// ---- backend filesystem: <dir>/<aa>/<key>.audio + <key>.json, indice in memoria per TTL/LRU ----
+const fsTtsIndex = new Map(); // key -> { bytes, contentType, createdAt, lastHit }
+let fsTtsIndexReady = null;
+let fsTtsBytes = 0;
+
+function fsTtsPaths(key) {
+    const dir = path.join(TTS_CACHE_DIR, key.slice(0, 2));
+    return { dir, audio: path.join(dir, `${key}.audio`), meta: path.join(dir, `${key}.json`) };
+}
+
+function loadFsTtsIndex() {
+    fsTtsIndexReady ||= (async () => {
+        await fs.promises.mkdir(TTS_CACHE_DIR, { recursive: true });
+        for (const sub of await fs.promises.readdir(TTS_CACHE_DIR)) {
+            let files = [];
+            try { files = await fs.promises.readdir(path.join(TTS_CACHE_DIR, sub)); } catch { continue; }
+            for (const file of files.filter(f => f.endsWith(".json"))) {
+                try {
+                    const meta = JSON.parse(await fs.promises.readFile(path.join(TTS_CACHE_DIR, sub, file), "utf8"));
+                    fsTtsIndex.set(meta.key, { bytes: meta.bytes, contentType: meta.content_type, createdAt: meta.created_at, lastHit: meta.created_at });
+                    fsTtsBytes += meta.bytes;
+                } catch { }
+            }
+        }
+    })().catch((e) => {
+        console.error("❌ tts cache index error:", e.message);
+    });
+    return fsTtsIndexReady;
+}
+
+async function fsTtsDelete(key) {
+    const entry = fsTtsIndex.get(key);
+    if (entry) { fsTtsIndex.delete(key); fsTtsBytes -= entry.bytes; }
+    const p = fsTtsPaths(key);
+    await Promise.all([fs.promises.rm(p.audio, { force: true }), fs.promises.rm(p.meta, { force: true })]);
+}
+
+const fsTtsBackend = {
+    async get(key) {
+        await loadFsTtsIndex();
+        const entry = fsTtsIndex.get(key);
+        if (!entry) return null;
+        if (Date.now() - entry.createdAt > TTS_CACHE_TTL_S * 1000) {
+            await fsTtsDelete(key);
+            return null;
+        }
+        try {
+            const data = await fs.promises.readFile(fsTtsPaths(key).audio);
+            entry.lastHit = Date.now();
+            return { data, contentType: entry.contentType };
+        } catch {
+            await fsTtsDelete(key);
+            return null;
+        }
+    },
+    async set(key, data, contentType) {
+        await loadFsTtsIndex();
+        const p = fsTtsPaths(key);
+        const now = Date.now();
+        await fs.promises.mkdir(p.dir, { recursive: true });
+        await fs.promises.writeFile(p.audio, data);
+        await fs.promises.writeFile(p.meta, JSON.stringify({ key, content_type: contentType, bytes: data.length, created_at: now }));
+        const prev = fsTtsIndex.get(key);
+        if (prev) fsTtsBytes -= prev.bytes;
+        fsTtsIndex.set(key, { bytes: data.length, contentType, createdAt: now, lastHit: now });
+        fsTtsBytes += data.length;
+    },
+    // scaduti, poi i meno usati di recente finché si rientra nel limite
+    async prune() {
+        const now = Date.now();
+        for (const [key, entry] of fsTtsIndex) {
+            if (now - entry.createdAt > TTS_CACHE_TTL_S * 1000) await fsTtsDelete(key);
+        }
+        if (fsTtsBytes <= TTS_CACHE_MAX_BYTES) return;
+        const byLastHit = [...fsTtsIndex.entries()].sort((a, b) => a[1].lastHit - b[1].lastHit);
+        for (const [key] of byLastHit) {
+            if (fsTtsBytes <= TTS_CACHE_MAX_BYTES) break;
+            await fsTtsDelete(key);
+        }
+    }
+};
+
+// ---- backend Postgres: metadati in tts_cache, audio in un large object ----
+const pgTtsBackend = {
+    async get(key) {
+        const { rows } = await pool.query(
+            `UPDATE tts_cache SET hits = hits + 1, last_hit_at = now()
+             WHERE key = $1 AND created_at > now() - make_interval(secs => $2)
+             RETURNING content_type, lo_get(data_oid) AS data`,
+            [key, TTS_CACHE_TTL_S]
+        );
+        return rows[0] ? { data: rows[0].data, contentType: rows[0].content_type } : null;
+    },
+    async set(key, data, contentType) {
+        const client = await pool.connect();
+        try {
+            await client.query("BEGIN");
+            const old = await client.query("DELETE FROM tts_cache WHERE key = $1 RETURNING data_oid", [key]);
+            for (const r of old.rows) await client.query("SELECT lo_unlink($1)", [r.data_oid]);
+            await client.query(
+                `INSERT INTO tts_cache (key, content_type, bytes, data_oid)
+                 VALUES ($1, $2, $3, lo_from_bytea(0, $4))`,
+                [key, contentType, data.length, data]
+            );
+            await client.query("COMMIT");
+        } catch (e) {
+            try { await client.query("ROLLBACK"); } catch { }
+            throw e;
+        } finally {
+            client.release();
+        }
+    },
+    async prune() {
+        await pool.query(
+            `WITH gone AS (
+                DELETE FROM tts_cache WHERE key IN (
+                    SELECT key FROM (
+                        SELECT key, created_at, sum(bytes) OVER (ORDER BY last_hit_at DESC, key) AS running
+                        FROM tts_cache
+                    ) t
+                    WHERE running > $1 OR created_at <= now() - make_interval(secs => $2)
+                )
+                RETURNING data_oid
+            )
+            SELECT lo_unlink(data_oid) FROM gone`,
+            [TTS_CACHE_MAX_BYTES, TTS_CACHE_TTL_S]
+        );
+    }
+};
+
+const ttsCacheBackend = { fs: fsTtsBackend, pg: pgTtsBackend }[TTS_CACHE_BACKEND] || null;
+let ttsCacheLastPrune = 0;
+
+// Errori della cache: log e si prosegue come un miss (mai bloccare la sintesi)
+async function ttsCacheGet(key) {
+    if (!ttsCacheBackend) return null;
+    try { return await ttsCacheBackend.get(key); }
+    catch (e) {
+        console.error("❌ tts cache read error:", e.message);
+        return null;
+    }
+}
+
+function ttsCacheSet(key, data, contentType) {
+    if (!ttsCacheBackend || !data?.length || data.length > TTS_CACHE_MAX_ENTRY_BYTES) return Promise.resolve();
+    return ttsCacheBackend.set(key, Buffer.from(data), contentType)
+        .then(() => {
+            if (Date.now() - ttsCacheLastPrune < TTS_CACHE_PRUNE_MS) return;
+            ttsCacheLastPrune = Date.now();
+            return ttsCacheBackend.prune();
+        })
+        .catch((e) => {
+            console.error("❌ tts cache write error:", e.message);
+        });
+}
+
+function setTtsCacheHeaders(res, key, status) {
+    res.setHeader("ETag", `"${key}"`);
+    res.setHeader("Cache-Control", `private, max-age=${TTS_CACHE_TTL_S}`);
+    res.setHeader("X-TTS-Cache", status);
+}
+
+// Se l'audio è in cache lo serve (o 304) e ritorna true
+async function sendCachedTts(req, res, key) {
+    if (!ttsCacheBackend) return false;
+    const hit = await ttsCacheGet(key);
+    if (!hit) return false;
+    setTtsCacheHeaders(res, key, "hit");
+    const ifNoneMatch = req.get("if-none-match") || "";
+    if (ifNoneMatch.split(",").some(tag => tag.trim().replace(/^W\//, "") === `"${key}"`)) {
+        res.status(304).end();
+        return true;
+    }
+    res.setHeader("Content-Type", hit.contentType);
+    res.send(hit.data);
+    return true;
+}
+
+// Risposta dal provider: salva in cache e invia con ETag
+function sendTtsAudio(res, key, data, contentType) {
+    if (ttsCacheBackend) {
+        setTtsCacheHeaders(res, key, "miss");
+        ttsCacheSet(key, data, contentType);
+    }
+    res.setHeader("Content-Type", contentType);
+    return res.send(data);
+}
+
+// ================== BATCH TTS (PRE-RENDERING DEGLI SCENARI) ==================
+// Gli autori pre-generano le battute fisse di uno scenario: il job gira in background,
+// l'audio finisce in tts_batch_items (scaricabile come zip) e nella cache TTS, così le stesse
+// frasi lette a runtime da azureTTS-websocked-Scaleway / openai-tts / elevenlabs sono già pronte.
+const TTS_BATCH_MAX_ITEMS = parseInt(process.env.TTS_BATCH_MAX_ITEMS || "500", 10);
+const TTS_BATCH_MAX_TEXT = 5000;
+const TTS_BATCH_CONCURRENCY = parseInt(process.env.TTS_BATCH_CONCURRENCY || "2", 10);
+const TTS_BATCH_TTL_DAYS = parseInt(process.env.TTS_BATCH_TTL_DAYS || "7", 10);
+const TTS_BATCH_STALE_MINUTES = parseInt(process.env.TTS_BATCH_STALE_MINUTES || "15", 10);
+const TTS_BATCH_PROVIDERS = ["azure-speech", "openai", "elevenlabs"];
+
+SCHEMA_STATEMENTS.push(
+    `CREATE TABLE IF NOT EXISTS tts_batch_jobs (
+        id UUID PRIMARY KEY,
+        chatbot_id TEXT,
+        user_email TEXT,
+        provider TEXT NOT NULL,
+        format TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        total INTEGER NOT NULL,
+        done INTEGER NOT NULL DEFAULT 0,
+        failed INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        finished_at TIMESTAMPTZ
+    )`,
+    `CREATE INDEX IF NOT EXISTS tts_batch_jobs_chatbot_idx ON tts_batch_jobs (chatbot_id, created_at DESC)`,
+    `CREATE TABLE IF NOT EXISTS tts_batch_items (
+        job_id UUID NOT NULL REFERENCES tts_batch_jobs(id) ON DELETE CASCADE,
+        idx INTEGER NOT NULL,
+        name TEXT,
+        text TEXT NOT NULL,
+        voice TEXT,
+        options JSONB,
+        status TEXT NOT NULL DEFAULT 'pending',
+        error TEXT,
+        cache_key TEXT,
+        bytes INTEGER,
+        audio BYTEA,
+        PRIMARY KEY (job_id, idx)
+    )`
+);
+
+// Voci di default per lingua (stesse dei servizi HTTP)
+const AZURE_VOICE_BY_LANG = {
+    "français": "fr-FR-RemyMultilingualNeural",
+    "espagnol": "es-ES-ElviraNeural",
+    "anglais": "en-US-JennyNeural"
+};
+const ELEVENLABS_VOICE_BY_LANG = { espagnol: "l1zE9xgNpUTaQCZzpNJa", français: "1a3lMdKLUcfcMtvN772u", anglais: "7tRwuZTD1EWi6nydVerp" };
+const OPENAI_TTS_VOICES = ["alloy", "echo", "fable", "onyx", "nova", "shimmer"];
+const OPENAI_TTS_INSTRUCTIONS = "Speak in a gentle, slow and friendly way.";
+const ELEVENLABS_TTS_MODEL = "eleven_flash_v2_5";
+const ELEVENLABS_VOICE_SETTINGS = { stability: 0.6, similarity_boost: 0.7, style: 0.1 };
+
+// format: id di TTS_AUDIO_FORMATS (già validato con resolveTtsFormat)
+async function openaiTtsRequest(apiKey, { voice, text, instructions = OPENAI_TTS_INSTRUCTIONS, format = "mp3" }) {
+    const response = await axios.post(
+        "https://api.openai.com/v1/audio/speech",
+        { model: "gpt-4o-mini-tts", input: text, voice, instructions, response_format: TTS_AUDIO_FORMATS[format].openai },
+        { headers: { Authorization: `Bearer ${apiKey}`, "Content-Type": "application/json" }, responseType: "arraybuffer" }
+    );
+    return Buffer.from(response.data);
+}
+
+async function elevenlabsTtsRequest(apiKey, { voiceId, text, modelId = ELEVENLABS_TTS_MODEL, voiceSettings = ELEVENLABS_VOICE_SETTINGS, format = "mp3" }) {
+    const spec = TTS_AUDIO_FORMATS[format];
+    const response = await axios.post(
+        `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}/stream`,
+        { text, model_id: modelId, voice_settings: voiceSettings },
+        { params: { output_format: spec.elevenlabs }, headers: { "xi-api-key": apiKey, "Content-Type": "application/json" }, responseType: "arraybuffer" }
+    );
+    const audio = Buffer.from(response.data);
+    return spec.wavFromPcm?.includes("elevenlabs") ? wavFromPcm(audio, 24000) : audio;
+}
+
+// Passa un job al pool Azure (enqueueTtsJob) raccogliendo l'audio invece di scriverlo su una risposta HTTP.
+// onChunk riceve i chunk man mano (streaming); signal.abort() smette di scrivere come un client HTTP che chiude.
+function renderTtsToBuffer(format, { ssml, cacheKey }, creds, { onChunk = null, signal = null } = {}) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        const sink = {
+            headersSent: false,
+            setHeader() { },
+            flushHeaders() { this.headersSent = true; },
+            write(chunk) {
+                chunks.push(Buffer.from(chunk));
+                if (onChunk) onChunk(Buffer.from(chunk));
+            },
+            end() {
+                const audio = Buffer.concat(chunks);
+                resolve(TTS_AUDIO_FORMATS[format].wavFromPcm?.includes("azure-speech") ? fixWavSizes(audio) : audio);
+            },
+            fail(error) { reject(error); },
+            status(code) {
+                return { json: (body) => reject(new Error(body?.details || body?.error || `Azure TTS failed (${code})`)) };
+            }
+        };
+        // il job può partire dopo l'abort (era in coda): in quel caso non scrive nulla
+        const req = {
+            on(event, handler) {
+                if (event !== "aborted" || !signal) return;
+                if (signal.aborted) handler();
+                else signal.addEventListener("abort", handler, { once: true });
+            }
+        };
+        signal?.addEventListener("abort", () => reject(Object.assign(new Error("TTS aborted"), { code: "aborted" })), { once: true });
+        const ok = enqueueTtsJob(format, { ssml, res: sink, req, signal, contentType: TTS_AUDIO_FORMATS[format].contentType, cacheKey }, creds);
+        if (!ok) reject(Object.assign(new Error("TTS pool saturated"), { code: "queue_full" }));
+    });
+}
+
+// Normalizza il body del job: { provider, format?, voice?, language?, style?, rate?, pitch?, items: [{ text, name?, voice?, ... }] | texts: [] }
+function ttsBatchItemsFromBody(body) {
+    const provider = body.provider || "azure-speech";
+    if (!TTS_BATCH_PROVIDERS.includes(provider)) return { error: "Invalid provider", providers: TTS_BATCH_PROVIDERS };
+    const resolved = resolveTtsFormat(body.format, provider, "mp3");
+    if (resolved.error) return resolved;
+    const { format } = resolved;
+    const raw = Array.isArray(body.items) ? body.items : Array.isArray(body.texts) ? body.texts.map(text => ({ text })) : null;
+    if (!raw?.length) return { error: "items (or texts) must be a non-empty array" };
+    if (raw.length > TTS_BATCH_MAX_ITEMS) return { error: `Too many items (max ${TTS_BATCH_MAX_ITEMS})` };
+
+    const lang = (body.language || body.selectedLanguage || "").trim().toLowerCase();
+    const items = [];
+    for (const [idx, item] of raw.entries()) {
+        const text = typeof item === "string" ? item : item?.text;
+        if (!text || !String(text).trim()) return { error: "Text is required", index: idx };
+        if (String(text).length > TTS_BATCH_MAX_TEXT) return { error: `Text too long (max ${TTS_BATCH_MAX_TEXT})`, index: idx };
+        const opts = typeof item === "object" ? item : {};
+        let voice = (opts.voice || body.voice || "").trim();
+        if (provider === "azure-speech") voice ||= AZURE_VOICE_BY_LANG[lang] || "fr-FR-RemyMultilingualNeural";
+        if (provider === "openai") voice = OPENAI_TTS_VOICES.includes(voice.toLowerCase()) ? voice.toLowerCase() : "fable";
+        if (provider === "elevenlabs") voice ||= ELEVENLABS_VOICE_BY_LANG[lang] || process.env.ELEVENLABS_DEFAULT_VOICE_ID || "";
+        if (!voice) return { error: "voice (or a supported language) is required", index: idx };
+        const options = provider === "azure-speech"
+            ? {
+                style: opts.style ?? body.style ?? null,
+                styleDegree: opts.style_degree ?? body.style_degree ?? null,
+                rate: opts.rate ?? body.rate ?? null,
+                pitch: opts.pitch ?? body.pitch ?? null
+            }
+            : {};
+        items.push({ idx, name: opts.name ? String(opts.name).slice(0, 100) : null, text: String(text), voice, options });
+    }
+    return { provider, format, items };
+}
+
+// Stessa chiave usata dai servizi runtime, così il pre-rendering riempie la loro cache
+function ttsBatchCacheKey(provider, format, item) {
+    if (provider === "openai") {
+        return ttsCacheKey({ provider, model: "gpt-4o-mini-tts", voice: item.voice, format, settings: { instructions: OPENAI_TTS_INSTRUCTIONS }, text: item.text });
+    }
+    if (provider === "elevenlabs") {
+        return ttsCacheKey({ provider, model: ELEVENLABS_TTS_MODEL, voice: item.voice, format, settings: ELEVENLABS_VOICE_SETTINGS, text: item.text });
+    }
+    const { style, styleDegree, rate, pitch } = item.options || {};
+    return ttsCacheKey({ provider, voice: item.voice, style, styleDegree, rate, pitch, format, text: item.text });
+}
+
+async function renderTtsBatchItem(job, item, creds) {
+    const cacheKey = ttsBatchCacheKey(job.provider, job.format, item);
+    const cached = await ttsCacheGet(cacheKey);
+    if (cached) return { cacheKey, audio: Buffer.from(cached.data), cached: true };
+
+    let audio;
+    if (job.provider === "openai") {
+        const apiKey = creds?.api_key || process.env.OPENAI_API_KEY_SIMULATEUR;
+        if (!apiKey) throw new Error("OpenAI API key missing");
+        audio = await openaiTtsRequest(apiKey, { voice: item.voice, text: item.text, format: job.format });
+        ttsCacheSet(cacheKey, audio, TTS_AUDIO_FORMATS[job.format].contentType);
+    } else if (job.provider === "elevenlabs") {
+        const apiKey = creds?.api_key || process.env.ELEVENLAB_API_KEY;
+        if (!apiKey) throw new Error("ElevenLabs API key missing");
+        audio = await elevenlabsTtsRequest(apiKey, { voiceId: item.voice, text: item.text, format: job.format });
+        ttsCacheSet(cacheKey, audio, TTS_AUDIO_FORMATS[job.format].contentType);
+    } else {
+        const { style, styleDegree, rate, pitch } = item.options || {};
+        const ssml = (style || rate || pitch)
+            ? buildSSMLv2({ text: item.text, voice: item.voice, style, styleDegree, rate, pitch })
+            : buildSSML({ text: item.text, voice: item.voice });
+        // pool saturo dal traffico live: il batch aspetta e riprova (priorità alle sessioni)
+        for (let attempt = 0; ; attempt++) {
+            try {
+                audio = await renderTtsToBuffer(job.format, { ssml, cacheKey }, creds);
+                break;
+            } catch (e) {
+                if (e.code !== "queue_full" || attempt >= 60) throw e;
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+        }
+    }
+    return { cacheKey, audio, cached: false };
+}
+
+// Annullamento via DB (status = 'cancelling'), così funziona da qualunque istanza
+async function ttsBatchCancelRequested(id) {
+    const { rows } = await pool.query("SELECT status FROM tts_batch_jobs WHERE id = $1", [id]);
+    return !rows[0] || rows[0].status === "cancelling";
+}
+
+async function runTtsBatchJob(job, owner) {
+    const creds = await findProviderCredentials(job.provider, owner);
+    const ctx = { chatbotId: owner.chatbotId || null, userEmail: owner.userEmail || null, service: "tts-batch" };
+    const { rows: items } = await pool.query(
+        "SELECT idx, text, voice, options FROM tts_batch_items WHERE job_id = $1 AND status = 'pending' ORDER BY idx",
+        [job.id]
+    );
+    await pool.query("UPDATE tts_batch_jobs SET status = 'running', updated_at = now() WHERE id = $1 AND status = 'queued'", [job.id]);
+
+    let next = 0;
+    let cancelled = false;
+    let overBudget = false;
+    // Budget ricontrollato fra un item e l'altro: un job lungo non deve sforare la quota del tenant
+    const budgetExceeded = async () => {
+        try {
+            return !!(await checkBudget(ctx))?.exceeded;
+        } catch (e) {
+            console.error("❌ tts batch budget check error:", job.id, e.message);
+            return false;
+        }
+    };
+    const workerLoop = async () => {
+        while (next < items.length && !cancelled && !overBudget) {
+            if (await ttsBatchCancelRequested(job.id)) { cancelled = true; break; }
+            if (await budgetExceeded()) { overBudget = true; break; }
+            const item = items[next++];
+            try {
+                const { cacheKey, audio, cached } = await renderTtsBatchItem(job, item, creds);
+                await pool.query(
+                    `UPDATE tts_batch_items SET status = 'done', cache_key = $3, bytes = $4, audio = $5, error = NULL
+                     WHERE job_id = $1 AND idx = $2`,
+                    [job.id, item.idx, cacheKey, audio.length, audio]
+                );
+                await pool.query("UPDATE tts_batch_jobs SET done = done + 1, updated_at = now() WHERE id = $1", [job.id]);
+                if (!cached) {
+                    const model = job.provider === "openai" ? "gpt-4o-mini-tts" : job.provider === "elevenlabs" ? ELEVENLABS_TTS_MODEL : item.voice;
+                    recordUsage(ctx, { provider: job.provider, model, unit: "characters", quantity: item.text.length });
+                }
+            } catch (e) {
+                const message = e?.response?.status ? `HTTP ${e.response.status}` : e.message;
+                console.error("❌ tts batch item error:", job.id, item.idx, message);
+                await pool.query("UPDATE tts_batch_items SET status = 'failed', error = $3 WHERE job_id = $1 AND idx = $2", [job.id, item.idx, message]);
+                await pool.query("UPDATE tts_batch_jobs SET failed = failed + 1, updated_at = now() WHERE id = $1", [job.id]);
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, TTS_BATCH_CONCURRENCY) }, workerLoop));
+
+    const status = cancelled ? "cancelled" : overBudget ? "failed" : "completed";
+    await pool.query(
+        "UPDATE tts_batch_jobs SET status = $2, error = COALESCE($3, error), updated_at = now(), finished_at = now() WHERE id = $1",
+        [job.id, status, !cancelled && overBudget ? "quota_exceeded" : null]
+    );
+}
+
+function startTtsBatchJob(job, owner) {
+    runTtsBatchJob(job, owner).catch(async (e) => {
+        console.error("❌ tts batch job error:", job.id, e.message);
+        await pool.query(
+            "UPDATE tts_batch_jobs SET status = 'failed', error = $2, updated_at = now(), finished_at = now() WHERE id = $1",
+            [job.id, e.message]
+        ).catch(() => { });
+    });
+}
+
+// Job vecchi (e il loro audio) eliminati alla creazione di uno nuovo; solo quelli terminati
+function pruneTtsBatchJobs() {
+    pool.query(
+        `DELETE FROM tts_batch_jobs WHERE created_at < now() - make_interval(days => $1)
+         AND status IN ('completed', 'cancelled', 'failed')`,
+        [TTS_BATCH_TTL_DAYS]
+    ).catch((e) => console.error("❌ tts batch prune error:", e.message));
+}
+
+// Al boot: job rimasti a metà da un processo morto (nessun avanzamento da TTS_BATCH_STALE_MINUTES).
+// La soglia evita di toccare i job ancora vivi su altre istanze; "cancelling" diventa "cancelled".
+async function recoverStaleTtsBatchJobs() {
+    try {
+        const { rows } = await pool.query(
+            `UPDATE tts_batch_jobs
+             SET status = CASE WHEN status = 'cancelling' THEN 'cancelled' ELSE 'failed' END,
+                 error = CASE WHEN status = 'cancelling' THEN error ELSE 'interrupted (server restart)' END,
+                 updated_at = now(), finished_at = now()
+             WHERE status IN ('queued', 'running', 'cancelling')
+               AND updated_at < now() - make_interval(mins => $1)
+             RETURNING id`,
+            [TTS_BATCH_STALE_MINUTES]
+        );
+        if (rows.length) console.warn("⚠️ tts batch jobs marked as interrupted:", rows.map(r => r.id).join(", "));
+    } catch (e) {
+        console.error("❌ tts batch recovery error:", e.message);
+    }
+}
+
+async function loadTtsBatchJob(id) {
+    if (!UUID_RE.test(String(id || ""))) return null;
+    const { rows } = await pool.query("SELECT * FROM tts_batch_jobs WHERE id = $1", [id]);
+    return rows[0] || null;
+}
+
+// Job di un altro tenant: visibili solo all'admin (un trainer senza chatbot nel token non vede nulla)
+function ttsBatchForbidden(req, job) {
+    if (req.auth?.role === "admin") return false;
+    return !req.auth?.chatbotId || job.chatbot_id !== req.auth.chatbotId;
+}
+
+function ttsBatchFilename(item, ext) {
+    const slug = String(item.name || item.text)
+        .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+        .replace(/[^A-Za-z0-9]+/g, "-").replace(/^-+|-+$/g, "")
+        .slice(0, 40).toLowerCase() || "audio";
+    return `${String(item.idx + 1).padStart(3, "0")}-${slug}.${ext}`;
+}
+
+// ================== CHAT UNIFICATA (ADAPTER PER PROVIDER) ==================
+// Formato messaggi normalizzato: [{ role: "system"|"developer"|"user"|"assistant", content: string | parts[] }]
+// Ogni adapter espone stream(request) come async generator che produce:
+//   { type: "delta", text }  e  { type: "usage", usage: { input_tokens, output_tokens, total_tokens } }
+// L'endpoint /api/chat converte sempre nello stesso contratto SSE:
+//   choices[0].delta.content → usage → [DONE]
+
+// Estrae status / requestId / dettagli da errori axios o SDK OpenAI (x-request-id, apim-request-id, ...)
+async function describeUpstreamError(err) {
+    const status = err?.response?.status || err?.status || (err?.code === "FIRST_TOKEN_TIMEOUT" ? 504 : 500);
+    const headers = err?.response?.headers || err?.headers || {};
+    const header = (name) => (typeof headers.get === "function" ? headers.get(name) : headers[name]);
+    const requestId =
+        header("x-request-id") ||
+        header("x-ms-request-id") ||
+        header("apim-request-id") ||
+        err?.request_id ||
+        "";
+
+    let details = err?.response?.data ?? err?.error ?? null;
+    // Con responseType "stream" il body d'errore è ancora uno stream da leggere
+    if (details && typeof details.pipe === "function") {
+        try {
+            const chunks = [];
+            for await (const c of details) chunks.push(Buffer.from(c));
+            details = Buffer.concat(chunks);
+        } catch { details = "<stream>"; }
+    }
+    if (Buffer.isBuffer(details)) {
+        try { details = details.toString("utf8"); } catch { details = "<buffer>"; }
+    }
+    if (details && typeof details === "object") {
+        try { details = JSON.stringify(details); } catch { details = "<unserializable>"; }
+    }
+
+    return { status, requestId, message: err?.message || String(err), details: details || null };
+}
+
+// Legge uno stream SSE (axios responseType "stream") e produce { event, data } per ogni evento
+async function* readSSEEvents(stream) {
+    let buffer = "";
+    for await (const chunk of stream) {
+        buffer += chunk.toString("utf8");
+        let idx;
+        while ((idx = buffer.search(/\r?\n\r?\n/)) !== -1) {
+            const rawEvent = buffer.slice(0, idx);
+            buffer = buffer.slice(idx).replace(/^\r?\n\r?\n/, "");
+
+            let event = null;
+            let data = "";
+            for (const line of rawEvent.split(/\r?\n/)) {
+                if (line.startsWith("event:")) event = line.slice(6).trim();
+                else if (line.startsWith("data:")) {
+                    const payload = line.slice(5).trimStart();
+                    data = data ? data + "\n" + payload : payload;
+                }
+            }
+            if (data) yield { event, data };
+        }
+    }
+}
+
+function contentToText(content) {
+    if (typeof content === "string") return content;
+    if (Array.isArray(content)) {
+        return content
+            .map(p => (typeof p === "string" ? p : (p && (p.text || p.content || ""))))
+            .join("");
+    }
+    if (content && typeof content === "object") return content.text || content.content || "";
+    return "";
+}
+
+// Separa system/developer (→ instructions) dai turni user/assistant
+function normalizeChatMessages(messages, instructions) {
+    let finalInstructions = instructions || null;
+    const conversation = [];
+    for (const m of Array.isArray(messages) ? messages : []) {
+        if (!m) continue;
+        if (m.role === "system" || m.role === "developer") {
+            if (!finalInstructions) finalInstructions = contentToText(m.content);
+            continue;
+        }
+        conversation.push({
+            role: m.role === "assistant" ? "assistant" : "user",
+            content: Array.isArray(m.content) ? m.content : contentToText(m.content)
+        });
+    }
+    return { instructions: finalInstructions, messages: conversation };
+}
+
+// Stima grezza (≈4 caratteri per token) se lo stream si interrompe prima dell'evento usage:
+// il consumo va comunque a ledger, altrimenti interrompere le risposte aggirerebbe i budget
+function estimateChatUsage(chatRequest, content) {
+    const promptChars = (chatRequest.instructions || "").length +
+        (chatRequest.messages || []).reduce((n, m) => n + contentToText(m.content).length, 0);
+    const input = Math.ceil(promptChars / 4);
+    const output = Math.ceil((content || "").length / 4);
+    return { input_tokens: input, output_tokens: output, total_tokens: input + output };
+}
+
+function normalizeUsage(raw) {
+    if (!raw) return null;
+    const input = raw.input_tokens ?? raw.prompt_tokens ?? raw.promptTokenCount ?? 0;
+    const output = raw.output_tokens ?? raw.completion_tokens ?? raw.candidatesTokenCount ?? 0;
+    const total = raw.total_tokens ?? raw.totalTokenCount ?? (input + output);
+    return { input_tokens: input, output_tokens: output, total_tokens: total };
+}
+
+// Messaggio normalizzato → item della Responses API (OpenAI e Azure)
+function toResponsesMessage(m) {
+    if (!Array.isArray(m.content)) return { type: "message", role: m.role, content: m.content };
+    const textType = m.role === "assistant" ? "output_text" : "input_text";
+    return {
+        type: "message",
+        role: m.role,
+        content: m.content.map((part) => {
+            if (typeof part === "string") return { type: textType, text: part };
+            if (part && part.type) return part;
+            return { type: textType, text: String(part?.text ?? "") };
+        })
+    };
+}
+
+// Messaggio normalizzato → message della Chat Completions API (Azure)
+function toChatCompletionMessage(m) {
+    if (!Array.isArray(m.content)) return { role: m.role, content: m.content };
+    if (m.role === "assistant") return { role: m.role, content: contentToText(m.content) };
+    return {
+        role: m.role,
+        content: m.content.map((part) => {
+            if (typeof part === "string") return { type: "text", text: part };
+            if (part?.type === "input_text" || part?.type === "output_text") return { type: "text", text: part.text || "" };
+            if (part?.type === "input_image") return { type: "image_url", image_url: { url: part.image_url } };
+            if (part && part.type) return part;
+            return { type: "text", text: String(part?.text ?? "") };
+        })
+    };
+}
+
+const CHAT_ADAPTERS = {
+    // OpenAI Responses API via SDK
+    "openai": {
+        defaultModel: () => process.env.OPENAI_CHAT_DEFAULT_MODEL || "gpt-4o",
+        async *stream({ model, instructions, messages, params, signal, owner }) {
+            const client = openaiClientFor(await findProviderCredentials("openai", owner));
+            const stream = await client.responses.create({
+                model,
+                input: messages.length ? messages.map(toResponsesMessage) : [{ role: "user", content: "" }],
+                ...(instructions ? { instructions } : {}),
+                stream: true,
+                ...(params.temperature !== undefined ? { temperature: params.temperature } : {}),
+                ...(params.top_p !== undefined ? { top_p: params.top_p } : {}),
+                ...(params.max_output_tokens !== undefined ? { max_output_tokens: params.max_output_tokens } : {}),
+            }, { signal });
+
+            for await (const event of stream) {
+                if (event.type === "response.output_text.delta") {
+                    if (event.delta) yield { type: "delta", text: event.delta };
+                } else if (event.type === "response.completed") {
+                    yield { type: "usage", usage: normalizeUsage(event.response?.usage) };
+                } else if (event.type === "response.error" || event.type === "error") {
+                    throw new Error(event.error?.message || event.message || "openai error");
+                }
+            }
+        }
+    },
+
+    // Azure OpenAI Responses API (stesso endpoint di azureOpenaiResponse)
+    "azure-responses": {
+        defaultModel: () => process.env.AZURE_OPENAI_DEPLOYMENT_SIMULATEUR,
+        async *stream({ model, instructions, messages, params, signal, owner }) {
+            const { apiKey, endpoint, deployment } = azureOpenaiConfig(await findProviderCredentials("azure-openai", owner), model);
+            if (!apiKey || !endpoint) throw new Error("Missing Azure OpenAI env vars (AZURE_OPENAI_KEY_SIMULATEUR, AZURE_OPENAI_ENDPOINT_SIMULATEUR)");
+
+            const url = `${endpoint.replace(/\/$/, "")}/openai/v1/responses`;
+            const payload = {
+                model: deployment,
+                input: messages.length
+                    ? messages.map(toResponsesMessage)
+                    : [{ type: "message", role: "user", content: [{ type: "input_text", text: "Bonjour" }] }],
+                ...(instructions ? { instructions } : {}),
+                stream: true,
+                ...(params.temperature !== undefined ? { temperature: params.temperature } : {}),
+                ...(params.top_p !== undefined ? { top_p: params.top_p } : {}),
+                ...(params.frequency_penalty !== undefined ? { frequency_penalty: params.frequency_penalty } : {}),
+                ...(params.presence_penalty !== undefined ? { presence_penalty: params.presence_penalty } : {}),
+                ...(params.max_output_tokens !== undefined ? { max_output_tokens: params.max_output_tokens } : {}),
+            };
+
+            const axiosResp = await axiosInstance.post(url, payload, {
+                headers: { "api-key": apiKey, "Content-Type": "application/json" },
+                responseType: "stream",
+                decompress: true,
+                signal,
+            });
+
+            for await (const { data } of readSSEEvents(axiosResp.data)) {
+                if (data === "[DONE]") break;
+                let evt;
+                try { evt = JSON.parse(data); } catch { continue; }
+
+                if (evt.type === "response.output_text.delta") {
+                    const text = typeof evt.delta === "string" ? evt.delta : (evt.delta?.text || "");
+                    if (text) yield { type: "delta", text };
+                } else if (evt.type === "response.completed") {
+                    yield { type: "usage", usage: normalizeUsage(evt.response?.usage || evt.usage) };
+                } else if (evt.type === "response.error" || evt.type === "error" || evt.type === "response.failed") {
+                    throw new Error(evt.error?.message || evt.response?.error?.message || "azure error");
+                }
+            }
+        }
+    },
+
+    // Azure OpenAI Chat Completions (deployment = model)
+    "azure-chat": {
+        defaultModel: () => process.env.AZURE_OPENAI_DEPLOYMENT_SIMULATEUR,
+        async *stream({ model, instructions, messages, params, signal, owner }) {
+            const { apiKey, endpoint, deployment } = azureOpenaiConfig(await findProviderCredentials("azure-openai", owner), model);
+            const apiVersion = process.env.AZURE_OPENAI_CHAT_API_VERSION || "2024-10-21";
+            if (!apiKey || !endpoint) throw new Error("Missing Azure OpenAI env vars (AZURE_OPENAI_KEY_SIMULATEUR, AZURE_OPENAI_ENDPOINT_SIMULATEUR)");
+
+            const url = `${endpoint.replace(/\/$/, "")}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions?api-version=${apiVersion}`;
+            const payload = {
+                messages: [
+                    ...(instructions ? [{ role: "system", content: instructions }] : []),
+                    ...messages.map(toChatCompletionMessage)
+                ],
+                stream: true,
+                stream_options: { include_usage: true },
+                ...(params.temperature !== undefined ? { temperature: params.temperature } : {}),
+                ...(params.top_p !== undefined ? { top_p: params.top_p } : {}),
+                ...(params.frequency_penalty !== undefined ? { frequency_penalty: params.frequency_penalty } : {}),
+                ...(params.presence_penalty !== undefined ? { presence_penalty: params.presence_penalty } : {}),
+                ...(params.max_output_tokens !== undefined ? { max_tokens: params.max_output_tokens } : {}),
+            };
+
+            const axiosResp = await axiosInstance.post(url, payload, {
+                headers: { "api-key": apiKey, "Content-Type": "application/json" },
+                responseType: "stream",
+                decompress: true,
+                signal,
+            });
+
+            for await (const { data } of readSSEEvents(axiosResp.data)) {
+                if (data === "[DONE]") break;
+                let evt;
+                try { evt = JSON.parse(data); } catch { continue; }
+                if (evt.error) throw new Error(evt.error.message || "azure error");
+
+                const text = evt.choices?.[0]?.delta?.content;
+                if (text) yield { type: "delta", text };
+                if (evt.usage) yield { type: "usage", usage: normalizeUsage(evt.usage) };
+            }
+        }
+    },
+
+    // Vertex AI (Gemini)
+    "vertex": {
+        defaultModel: () => process.env.VERTEX_MODEL_ID,
+        async *stream({ model, instructions, messages, params, owner }) {
+            const generativeModel = vertexClientFor(await findProviderCredentials("vertex", owner)).getGenerativeModel({
+                model,
+                ...(instructions ? { systemInstruction: instructions } : {}),
+                generationConfig: {
+                    maxOutputTokens: params.max_output_tokens ?? 2048,
+                    ...(params.temperature !== undefined ? { temperature: params.temperature } : {}),
+                    ...(params.top_p !== undefined ? { topP: params.top_p } : {}),
+                    ...(params.frequency_penalty !== undefined ? { frequencyPenalty: params.frequency_penalty } : {}),
+                    ...(params.presence_penalty !== undefined ? { presencePenalty: params.presence_penalty } : {}),
+                }
+            });
+
+            const contents = messages.map(m => ({
+                role: m.role === "assistant" ? "model" : "user",
+                parts: [{ text: contentToText(m.content) }]
+            }));
+            if (contents.length === 0) contents.push({ role: "user", parts: [{ text: "" }] });
+
+            const result = await generativeModel.generateContentStream({ contents });
+            let usage = null;
+            for await (const item of result.stream) {
+                const text = (item.candidates?.[0]?.content?.parts || []).map(p => p.text || "").join("");
+                if (text) yield { type: "delta", text };
+                if (item.usageMetadata) usage = normalizeUsage(item.usageMetadata);
+            }
+            if (usage) yield { type: "usage", usage };
+        }
+    }
+};
+
+const CHAT_DEFAULT_PROVIDER = process.env.CHAT_DEFAULT_PROVIDER || "openai";
+
+// Accetta { provider, model } oppure model nella forma "provider:model" (es. "azure-responses:gpt-4.1")
+function resolveChatTarget({ provider, model } = {}) {
+    let p = (provider || "").toString().trim().toLowerCase();
+    let m = (model || "").toString().trim();
+    if (!p && m.includes(":")) {
+        const i = m.indexOf(":");
+        const candidate = m.slice(0, i).toLowerCase();
+        if (CHAT_ADAPTERS[candidate]) { p = candidate; m = m.slice(i + 1); }
+    }
+    if (!p) p = CHAT_DEFAULT_PROVIDER;
+    const adapter = CHAT_ADAPTERS[p];
+    if (!adapter) return null;
+    return { provider: p, model: m || adapter.defaultModel(), adapter };
+}
+
+// ================== FAILOVER TRA PROVIDER ==================
+// Catena configurabile, es. CHAT_FAILOVER_CHAIN="azure-responses,openai:gpt-4o,vertex".
+// Si passa al provider successivo solo se NESSUN token è stato ancora inviato al client.
+const CHAT_FAILOVER_CHAIN = (process.env.CHAT_FAILOVER_CHAIN || "azure-responses,openai,vertex")
+    .split(",").map(s => s.trim()).filter(Boolean);
+const CHAT_FIRST_TOKEN_TIMEOUT_MS = parseInt(process.env.CHAT_FIRST_TOKEN_TIMEOUT_MS || "20000", 10);
+
+// Il failover scatta solo se il chiamante non ha scelto provider/modello (o lo chiede con failover: true):
+// chi fissa un provider non deve vedersi rispondere da un altro vendor.
+function failoverChainFor(target, spec = {}) {
+    if (spec.failover === false) return [target];
+    if (spec.failover === true || (!spec.provider && !spec.model)) return buildFailoverChain(target);
+    return [target];
+}
+
+function buildFailoverChain(primary) {
+    const chain = [primary];
+    for (const entry of CHAT_FAILOVER_CHAIN) {
+        const target = entry.includes(":") ? resolveChatTarget({ model: entry }) : resolveChatTarget({ provider: entry });
+        if (!target || !target.model) continue;
+        if (chain.some(t => t.provider === target.provider)) continue;
+        chain.push(target);
+    }
+    return chain;
+}
+
+// 408 / 429 / 5xx / timeout / errori di rete → si può provare il provider successivo.
+// Tutto il resto (4xx, chiave mancante, TypeError...) è un errore vero e va propagato, non mascherato.
+const FAILOVER_NETWORK_CODES = new Set([
+    "ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "ETIMEDOUT", "ENOTFOUND", "EAI_AGAIN",
+    "EHOSTUNREACH", "ENETUNREACH", "EPIPE", "ERR_SOCKET_CONNECTION_TIMEOUT",
+    "UND_ERR_CONNECT_TIMEOUT", "UND_ERR_SOCKET", "UND_ERR_HEADERS_TIMEOUT", "UND_ERR_BODY_TIMEOUT"
+]);
+
+function isFailoverError(err) {
+    if (err?.code === "FIRST_TOKEN_TIMEOUT" || err?.code === "ERR_CANCELED") return true;
+    if (err instanceof OpenAI.APIConnectionError) return true; // include APIConnectionTimeoutError
+    if (FAILOVER_NETWORK_CODES.has(err?.code) || FAILOVER_NETWORK_CODES.has(err?.cause?.code)) return true;
+    // axios / SDK OpenAI espongono lo status HTTP; l'SDK Vertex lo mette in code o solo nel messaggio
+    let status = err?.response?.status || err?.status || (typeof err?.code === "number" ? err.code : 0);
+    if (!status) {
+        const m = /got status: (\d{3})/.exec(err?.message || "");
+        if (m) status = parseInt(m[1], 10);
+    }
+    return status === 408 || status === 429 || status >= 500;
+}
+
+// Come adapter.stream, ma scorre la catena; in meta restano provider/model effettivi e tentativi falliti.
+// signal (opzionale) interrompe lo stream upstream: un abort del chiamante non fa failover.
+// Anche uscire dal for-await (break/return) chiude la richiesta upstream in corso.
+async function* streamChatWithFailover(chain, chatRequest, meta, { signal } = {}) {
+    meta.attempts = [];
+    for (let i = 0; i < chain.length; i++) {
+        if (signal?.aborted) return;
+        const target = chain[i];
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        signal?.addEventListener("abort", onAbort);
+        const iterator = target.adapter
+            .stream({ ...chatRequest, model: target.model, signal: controller.signal })[Symbol.asyncIterator]();
+        let started = false;
+        meta.provider = target.provider;
+        meta.model = target.model;
+
+        try {
+            while (true) {
+                let step;
+                if (started) {
+                    step = await iterator.next();
+                } else {
+                    // Watchdog sul primo token: oltre la soglia si abortisce e si passa al successivo
+                    let timer;
+                    const timeout = new Promise((_, reject) => {
+                        timer = setTimeout(() => {
+                            const e = new Error(`No first token within ${CHAT_FIRST_TOKEN_TIMEOUT_MS}ms`);
+                            e.code = "FIRST_TOKEN_TIMEOUT";
+                            controller.abort();
+                            reject(e);
+                        }, CHAT_FIRST_TOKEN_TIMEOUT_MS);
+                    });
+                    try { step = await Promise.race([iterator.next(), timeout]); }
+                    finally { clearTimeout(timer); }
+                }
+                if (step.done) return;
+                if (step.value.type === "delta") started = true;
+                yield step.value;
+            }
+        } catch (err) {
+            const info = await describeUpstreamError(err);
+            meta.attempts.push({
+                provider: target.provider,
+                model: target.model,
+                status: info.status,
+                requestId: info.requestId,
+                message: info.message
+            });
+            if (started || signal?.aborted || i === chain.length - 1 || !isFailoverError(err)) throw err;
+            console.warn("⚠️ chat failover:", target.provider, "→", chain[i + 1].provider, { status: info.status, requestId: info.requestId });
+        } finally {
+            signal?.removeEventListener("abort", onAbort);
+            controller.abort();
+            Promise.resolve(iterator.return?.()).catch(() => { });
+        }
+    }
+}
+
+// Stream SSE con contratto unico (delta → usage → meta → [DONE]), condiviso da /api/chat e azureOpenaiResponse
+// onComplete({ content, usage, provider, model }) viene atteso prima di [DONE] (es. salvataggio del turno);
+// onInterrupted riceve lo stesso oggetto con il testo parziale se lo stream si interrompe a metà (client, timer, errore).
+async function streamChatToSSE(res, chain, chatRequest, { errorMessage, usageCtx, metaExtra, onComplete, onInterrupted } = {}) {
+    const meta = {};
+    let content = "";
+    let usage = null;
+    // Client disconnesso → abortisce subito lo stream upstream invece di aspettare il delta successivo
+    const controller = new AbortController();
+    const onClose = () => { if (!res.writableFinished) controller.abort(); };
+    res.on("close", onClose);
+    const interrupted = () => controller.signal.aborted || res.writableEnded; // client o timer
+    // Stream interrotto: il consumo va a ledger lo stesso (stima se l'usage non è arrivato), poi il turno parziale
+    const savePartial = async () => {
+        if (usage || content || controller.signal.aborted) {
+            recordUsage(usageCtx, { provider: meta.provider, model: meta.model, usage: usage || estimateChatUsage(chatRequest, content) });
+        }
+        if (!onInterrupted || !content) return;
+        try { await onInterrupted({ content, usage, provider: meta.provider, model: meta.model }); }
+        catch (e) { console.error("❌ partial turn save error:", e.message); }
+    };
+    try {
+        for await (const evt of streamChatWithFailover(chain, chatRequest, meta, { signal: controller.signal })) {
+            if (interrupted()) break;
+            if (evt.type === "delta") {
+                content += evt.text;
+                writeSSE(res, { choices: [{ delta: { content: evt.text } }] });
+            }
+            else if (evt.type === "usage") usage = evt.usage;
+        }
+        if (interrupted()) return await savePartial();
+        recordUsage(usageCtx, { provider: meta.provider, model: meta.model, usage });
+        if (onComplete) await onComplete({ content, usage, provider: meta.provider, model: meta.model });
+        writeSSE(res, { usage: usage || { total_tokens: 0 } });
+        writeSSE(res, { meta: { provider: meta.provider, model: meta.model, failover: meta.attempts.length > 0, attempts: meta.attempts, ...metaExtra } });
+        endSSE(res);
+    } catch (err) {
+        await savePartial();
+        if (interrupted()) return;
+        const info = await describeUpstreamError(err);
+        console.error("❌ chat stream error", { provider: meta.provider, ...info });
+        writeSSE(res, {
+            error: true,
+            message: errorMessage || `${meta.provider} error`,
+            provider: meta.provider,
+            status: info.status,
+            requestId: info.requestId,
+            details: info.details || info.message,
+            attempts: meta.attempts
+        });
+        endSSE(res);
+    } finally {
+        res.off("close", onClose);
+    }
+}
+
+// Body di /api/chat → richiesta normalizzata per gli adapter
+function buildChatRequest(body = {}) {
+    const { instructions, messages } = normalizeChatMessages(body.messages || body.input, body.instructions);
+    const maxOutput = body.max_output_tokens ?? body.max_tokens;
+    return {
+        instructions,
+        messages,
+        params: {
+            temperature: body.temperature,
+            top_p: body.top_p,
+            frequency_penalty: body.frequency_penalty,
+            presence_penalty: body.presence_penalty,
+            max_output_tokens: maxOutput
+        }
+    };
+}
+
+function openSSE(res) {
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    res.setHeader("X-Accel-Buffering", "no");
+    res.flushHeaders();
+}
+
+// Aggiunge nomi a Access-Control-Expose-Headers senza sovrascrivere quelli già impostati
+function exposeHeaders(res, ...names) {
+    const current = (res.getHeader("Access-Control-Expose-Headers") || "").toString();
+    const list = current.split(",").map(h => h.trim()).filter(Boolean);
+    for (const n of names) if (!list.includes(n)) list.push(n);
+    res.setHeader("Access-Control-Expose-Headers", list.join(", "));
+}
+
+// Dopo la chiusura (client o timer) le write si saltano: res.write dopo end emette "write after end"
+function writeSSE(res, payload) {
+    if (res.writableEnded) return;
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+}
+
+function endSSE(res) {
+    if (res.writableEnded) return;
+    res.write("data: [DONE]\n\n");
+    res.end();
+}
+
+// Abortisce lo stream upstream quando la risposta si chiude (client disconnesso o timer scaduto)
+function responseCloseSignal(res) {
+    const controller = new AbortController();
+    res.once("close", () => controller.abort());
+    return controller.signal;
+}
+
+// ================== CONVERSAZIONI (POSTGRES) ==================
+// Ogni turno (messaggio utente, risposta, usage, provider) è salvato sotto un conversation_id:
+// il client invia solo il nuovo messaggio e può riprendere la simulazione da un altro device.
+SCHEMA_STATEMENTS.push(
+    `CREATE TABLE IF NOT EXISTS conversations (
+        id UUID PRIMARY KEY,
+        chatbot_id TEXT,
+        user_email TEXT,
+        provider TEXT,
+        model TEXT,
+        instructions TEXT,
+        status TEXT NOT NULL DEFAULT 'active',
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`,
+    `CREATE INDEX IF NOT EXISTS conversations_user_idx ON conversations (user_email, updated_at DESC)`,
+    `CREATE INDEX IF NOT EXISTS conversations_chatbot_idx ON conversations (chatbot_id, updated_at DESC)`,
+    `CREATE TABLE IF NOT EXISTS conversation_turns (
+        id BIGSERIAL PRIMARY KEY,
+        conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+        role TEXT NOT NULL,
+        content TEXT NOT NULL,
+        provider TEXT,
+        model TEXT,
+        usage JSONB,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`,
+    `CREATE INDEX IF NOT EXISTS conversation_turns_conversation_idx ON conversation_turns (conversation_id, id)`
+);
+
+const CONVERSATION_STATUSES = ["active", "completed", "abandoned"];
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Conversazione + turni in ordine di inserimento (null se l'id non esiste)
+async function loadConversation(id) {
+    if (!UUID_RE.test(String(id || ""))) return null;
+    const { rows } = await pool.query("SELECT * FROM conversations WHERE id = $1", [id]);
+    if (!rows[0]) return null;
+    const turns = await pool.query(
+        `SELECT role, content, provider, model, usage, created_at
+         FROM conversation_turns WHERE conversation_id = $1 ORDER BY id`,
+        [id]
+    );
+    return { ...rows[0], turns: turns.rows };
+}
+
+function conversationView(conv) {
+    return {
+        conversation_id: conv.id,
+        chatbot_id: conv.chatbot_id,
+        user_email: conv.user_email,
+        provider: conv.provider,
+        model: conv.model,
+        instructions: conv.instructions,
+        status: conv.status,
+        created_at: conv.created_at,
+        updated_at: conv.updated_at,
+        messages: conv.turns
+    };
+}
+
+// Learner: solo le proprie conversazioni. Credenziale di tenant: solo il proprio chatbot.
+function conversationForbidden(req, conv) {
+    if (isOtherLearner(req, conv.user_email)) return true;
+    return !!req.auth?.chatbotId && conv.chatbot_id !== req.auth.chatbotId;
+}
+
+// Nuovi messaggi del turno: `message` (stringa o { role, content }) oppure `messages`
+function newTurnMessages(body = {}) {
+    const raw = body.message !== undefined ? [body.message] : (Array.isArray(body.messages) ? body.messages : []);
+    return raw
+        .map(m => (typeof m === "string"
+            ? { role: "user", content: m }
+            : { role: m?.role || "user", content: contentToText(m?.content) }))
+        .filter(m => m.content);
+}
+
+async function insertConversationTurns(client, conversationId, turns) {
+    for (const t of turns) {
+        await client.query(
+            `INSERT INTO conversation_turns (conversation_id, role, content, provider, model, usage)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [conversationId, t.role, t.content, t.provider || null, t.model || null, t.usage ? JSON.stringify(t.usage) : null]
+        );
+    }
+    await client.query("UPDATE conversations SET updated_at = now() WHERE id = $1", [conversationId]);
+}
+
+// Salva i turni in un'unica transazione: i messaggi utente prima dello stream (senza result),
+// la risposta (anche parziale, se lo stream si interrompe) alla fine. Un errore DB non rompe la risposta già inviata.
+async function appendConversationTurns(conversationId, messages, result) {
+    const client = await pool.connect().catch(e => {
+        console.error("❌ conversation save error:", e.message);
+        return null;
+    });
+    if (!client) return false;
+    try {
+        await client.query("BEGIN");
+        await insertConversationTurns(client, conversationId, [
+            ...messages,
+            ...(result ? [{ role: "assistant", content: result.content, provider: result.provider, model: result.model, usage: result.usage }] : [])
+        ]);
+        await client.query("COMMIT");
+        return true;
+    } catch (e) {
+        await client.query("ROLLBACK").catch(() => { });
+        console.error("❌ conversation save error:", conversationId, e.message);
+        return false;
+    } finally {
+        client.release();
+    }
+}
+
+// Unified chat: un solo formato in ingresso, un solo contratto SSE in uscita
+// Con conversation_id la history arriva dal DB e basta inviare il nuovo `message`.
+app.post("/api/chat", upload.none(), async (req, res) => {
+    const body = req.body || {};
+
+    let conversation = null;
+    let newMessages = null;
+    if (body.conversation_id) {
+        try {
+            conversation = await loadConversation(body.conversation_id);
+        } catch (e) {
+            console.error("❌ /api/chat conversation load error:", e.message);
+            return res.status(500).json({ error: "Conversation load failed", details: e.message });
+        }
+        if (!conversation) {
+            return res.status(404).json({ error: "conversation_not_found", conversation_id: body.conversation_id });
+        }
+        if (conversationForbidden(req, conversation)) {
+            return res.status(403).json({ error: "forbidden", conversation_id: conversation.id });
+        }
+        if (conversation.status !== "active") {
+            return res.status(409).json({ error: "conversation_closed", conversation_id: conversation.id, status: conversation.status });
+        }
+        newMessages = newTurnMessages(body);
+        if (!newMessages.length) {
+            return res.status(400).json({ error: "Missing message", conversation_id: conversation.id });
+        }
+        // chatbot/utente della conversazione valgono per budget e ledger se il client non li rimanda
+        body.chatbot_id ??= conversation.chatbot_id;
+        body.user_email ??= conversation.user_email;
+    }
+
+    const target = resolveChatTarget(conversation && !body.provider && !body.model
+        ? { provider: conversation.provider, model: conversation.model }
+        : body);
+    if (!target) {
+        return res.status(400).json({ error: "Unknown provider", providers: Object.keys(CHAT_ADAPTERS) });
+    }
+    if (!target.model) {
+        return res.status(400).json({ error: "Missing model", provider: target.provider });
+    }
+
+    if (await rejectIfTimerExpired(req, res, { service: "chat", sse: body.stream !== false })) return;
+    if (await rejectIfOverBudget(req, res, { service: "chat", sse: body.stream !== false })) return;
 
-                console.log("🔹 Azure URL:", url);
-                console.log("🔹 Azure model:", effectiveModel);
+    const chatBody = conversation
+        ? {
+            ...body,
+            instructions: body.instructions ?? conversation.instructions,
+            messages: [...conversation.turns.map(t => ({ role: t.role, content: t.content })), ...newMessages]
+        }
+        : body;
+    const chatRequest = { ...buildChatRequest(chatBody), model: target.model, owner: credentialOwner(req) };
+    const chain = failoverChainFor(target, body);
+    console.log("🔹 /api/chat:", chain.map(t => `${t.provider}:${t.model}`).join(" → "), conversation ? `(conversation ${conversation.id})` : "");
+
+    // Il messaggio utente si salva prima dello stream: se il client si disconnette non va perso
+    if (conversation) await appendConversationTurns(conversation.id, newMessages);
+    const saveAssistantTurn = conversation && (result => appendConversationTurns(conversation.id, [], result));
+
+    // Risposta unica in JSON
+    if (body.stream === false) {
+        const meta = {};
+        try {
+            let content = "";
+            let usage = null;
+            for await (const evt of streamChatWithFailover(chain, chatRequest, meta)) {
+                if (evt.type === "delta") content += evt.text;
+                else if (evt.type === "usage") usage = evt.usage;
+            }
+            recordUsage(usageContext(req, "chat"), { provider: meta.provider, model: meta.model, usage });
+            if (conversation) await saveAssistantTurn({ content, usage, provider: meta.provider, model: meta.model });
+            return res.status(200).json({
+                ok: true,
+                content,
+                usage,
+                provider: meta.provider,
+                model: meta.model,
+                attempts: meta.attempts,
+                ...(conversation && { conversation_id: conversation.id })
+            });
+        } catch (err) {
+            const info = await describeUpstreamError(err);
+            console.error("❌ /api/chat error", { provider: meta.provider, ...info });
+            return res.status(info.status).json({
+                ok: false,
+                message: `${meta.provider} error`,
+                provider: meta.provider,
+                status: info.status,
+                requestId: info.requestId,
+                details: info.details || info.message,
+                attempts: meta.attempts
+            });
+        }
+    }
 
-                const axiosResp = await axiosInstance.post(url, payload, {
-                    headers: { "api-key": apiKey, "Content-Type": "application/json" },
-                    responseType: "stream",
-                    decompress: true,
-                });
+    openSSE(res);
+    await streamChatToSSE(res, chain, chatRequest, {
+        usageCtx: usageContext(req, "chat"),
+        metaExtra: conversation && { conversation_id: conversation.id },
+        onComplete: saveAssistantTurn,
+        onInterrupted: saveAssistantTurn
+    });
+});
+
+// Crea una conversazione. `messages` opzionale per salvare i turni iniziali (es. il messaggio di benvenuto).
+app.post("/api/conversations", async (req, res) => {
+    const body = req.body || {};
+    let provider = null;
+    let model = null;
+    if (body.provider || body.model) {
+        const target = resolveChatTarget(body);
+        if (!target) {
+            return res.status(400).json({ error: "Unknown provider", providers: Object.keys(CHAT_ADAPTERS) });
+        }
+        ({ provider, model } = target);
+    }
 
-                let sseBuffer = ""; // accumula chunk parziali
+    const id = crypto.randomUUID();
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query("BEGIN");
+        await client.query(
+            `INSERT INTO conversations (id, chatbot_id, user_email, provider, model, instructions)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [id, getChatbotId(req) || null, getUserEmail(req) || null, provider, model, body.instructions || null]
+        );
+        await insertConversationTurns(client, id, newTurnMessages({ messages: body.messages }));
+        await client.query("COMMIT");
+    } catch (e) {
+        await client?.query("ROLLBACK").catch(() => { });
+        console.error("❌ conversation create error:", e.message);
+        return res.status(500).json({ error: "Conversation create failed", details: e.message });
+    } finally {
+        client?.release();
+    }
+    return res.status(201).json(conversationView(await loadConversation(id)));
+});
 
-                axiosResp.data.on("data", (chunk) => {
-                    sseBuffer += chunk.toString("utf8");
-
-                    let idx;
-                    while ((idx = sseBuffer.indexOf("\n\n")) !== -1) {
-                        const rawEvent = sseBuffer.slice(0, idx);
-                        sseBuffer = sseBuffer.slice(idx + 2); // salta \n\n
-
-                        const lines = rawEvent.split(/\r?\n/);
-                        let eventName = null;
-                        let dataLine = "";
-
-                        for (const line of lines) {
-                            if (line.startsWith("event:")) eventName = line.slice(6).trim();
-                            else if (line.startsWith("data:")) {
-                                const payload = line.slice(5).trimStart();
-                                dataLine = dataLine ? dataLine + "\n" + payload : payload;
-                            }
-                        }
+// Lettura e modifica richiedono una credenziale anche con AUTH_MODE=off: la history contiene le risposte del learner.
+// Un learner vede solo le proprie (getUserEmail usa l'email del token), un tenant solo il proprio chatbot.
 
-                        if (!dataLine) continue;
-                        if (dataLine === "[DONE]") {
-                            try { res.write("data: [DONE]\n\n"); } catch { }
-                            continue;
-                        }
+// Elenco per riprendere una simulazione: filtrare per user_email e/o chatbot_id (almeno uno)
+app.get("/api/conversations", requireRole("learner"), async (req, res) => {
+    const userEmail = getUserEmail(req);
+    const chatbotId = getChatbotId(req);
+    const { status } = req.query;
+    if (!userEmail && !chatbotId) {
+        return res.status(400).json({ error: "user_email or chatbot_id required" });
+    }
+    if (status && !CONVERSATION_STATUSES.includes(status)) {
+        return res.status(400).json({ error: "Invalid status", statuses: CONVERSATION_STATUSES });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
 
-                        let evt;
-                        try { evt = JSON.parse(dataLine); } catch {
-                            continue;
-                        }
+    const where = [];
+    const params = [];
+    if (userEmail) { params.push(userEmail); where.push(`c.user_email = $${params.length}`); }
+    if (chatbotId) { params.push(chatbotId); where.push(`c.chatbot_id = $${params.length}`); }
+    if (status) { params.push(status); where.push(`c.status = $${params.length}`); }
+    params.push(limit);
 
-                        switch (evt.type) {
-                            case "response.output_text.delta":
-                            case "response.delta":
-                            case "message.delta": {
-                                const deltaText =
-                                    evt.delta?.output_text?.content?.[0]?.text
-                                    || evt.delta
-                                    || evt.output_text?.delta
-                                    || evt.text?.delta
-                                    || "";
-
-                                if (deltaText) {
-                                    const payloadClient = { choices: [{ delta: { content: deltaText } }] };
-                                    res.write(`data: ${JSON.stringify(payloadClient)}\n\n`);
-                                }
-                                break;
-                            }
-
-                            case "response.output_text.done":
-                            case "response.completed": {
-                                const usage = evt.response?.usage || evt.usage;
-                                const totalTokens = (usage?.total_tokens != null)
-                                    ? usage.total_tokens
-                                    : ((usage?.input_tokens || 0) + (usage?.output_tokens || 0));
-
-                                res.write(`data: ${JSON.stringify({ usage: { total_tokens: totalTokens } })}\n\n`);
-                                break;
-                            }
-
-                            case "response.error": {
-                                res.write(`data: ${JSON.stringify({ error: true, message: evt.error?.message || "azure error" })}\n\n`);
-                                break;
-                            }
-
-                            default:
-                                break;
-                        }
-                    }
-                });
+    try {
+        const { rows } = await pool.query(
+            `SELECT c.id AS conversation_id, c.chatbot_id, c.user_email, c.provider, c.model, c.status,
+                    c.created_at, c.updated_at,
+                    (SELECT COUNT(*)::int FROM conversation_turns t WHERE t.conversation_id = c.id) AS turn_count
+             FROM conversations c
+             WHERE ${where.join(" AND ")}
+             ORDER BY c.updated_at DESC
+             LIMIT $${params.length}`,
+            params
+        );
+        return res.json({ conversations: rows });
+    } catch (e) {
+        console.error("❌ conversation list error:", e.message);
+        return res.status(500).json({ error: "Conversation list failed", details: e.message });
+    }
+});
+
+// History completa, per ripristinare la chat lato client
+app.get("/api/conversations/:id", requireRole("learner"), async (req, res) => {
+    try {
+        const conv = await loadConversation(req.params.id);
+        if (!conv) return res.status(404).json({ error: "conversation_not_found", conversation_id: req.params.id });
+        if (conversationForbidden(req, conv)) return res.status(403).json({ error: "forbidden", conversation_id: conv.id });
+        return res.json(conversationView(conv));
+    } catch (e) {
+        console.error("❌ conversation load error:", e.message);
+        return res.status(500).json({ error: "Conversation load failed", details: e.message });
+    }
+});
+
+// Cambia lo stato (active | completed | abandoned): una conversazione chiusa non accetta nuovi turni
+app.put("/api/conversations/:id", requireRole("learner"), async (req, res) => {
+    const { status } = req.body || {};
+    if (!CONVERSATION_STATUSES.includes(status)) {
+        return res.status(400).json({ error: "Invalid status", statuses: CONVERSATION_STATUSES });
+    }
+    try {
+        const conv = await loadConversation(req.params.id);
+        if (!conv) return res.status(404).json({ error: "conversation_not_found", conversation_id: req.params.id });
+        if (conversationForbidden(req, conv)) return res.status(403).json({ error: "forbidden", conversation_id: conv.id });
+        await pool.query(
+            "UPDATE conversations SET status = $2, updated_at = now() WHERE id = $1",
+            [conv.id, status]
+        );
+        return res.json(conversationView(await loadConversation(req.params.id)));
+    } catch (e) {
+        console.error("❌ conversation update error:", e.message);
+        return res.status(500).json({ error: "Conversation update failed", details: e.message });
+    }
+});
+
+// ================== TRASCRIZIONE (/api/transcribe) ==================
+// Campi multipart accanto al file "audio":
+//   model: whisper-1 (default) | gpt-4o-transcribe | gpt-4o-mini-transcribe | azure-speech
+//   language: fr / es / en (anche fr-FR, "français", ...), prompt + vocabulary (termini tecnici, JSON o separati da virgola)
+//   (azure-speech: solo vocabulary, passato come phraseList)
+//   response_format: json ({ text }, default) | verbose_json (segmenti + parole con timestamp) | srt | vtt
+// azure-speech usa la "fast transcription" (sincrona, file caricato): la batch di Azure vuole URL su blob storage.
+// srt/vtt/verbose_json sono costruiti qui dai segmenti, quindi servono modelli con timestamp (whisper-1, azure-speech).
+// Durata: letta dal container (wav, mp3, ogg, m4a, webm...) prima di chiamare il provider, o stimata da dimensione
+// e bitrate dichiarato. Se il container non dà né l'una né l'altro (tipico del webm di MediaRecorder) si guarda a
+// posteriori la durata restituita dal provider: l'audio è già trascritto (e fatturato), quindi la trascrizione
+// viene restituita con warning "audio_too_long" (header X-Transcribe-Warning per srt/vtt) invece di un 413.
+// gpt-4o-(mini-)transcribe non restituiscono la durata: per quei file resta solo il limite TRANSCRIBE_MAX_BYTES.
+const TRANSCRIBE_MAX_BYTES = parseInt(process.env.TRANSCRIBE_MAX_BYTES || String(25 * 1024 * 1024), 10); // limite OpenAI
+const TRANSCRIBE_MAX_SECONDS = parseInt(process.env.TRANSCRIBE_MAX_SECONDS || "1800", 10);
+const TRANSCRIBE_MAX_PROMPT = 1000;
+const TRANSCRIBE_MODELS = {
+    "whisper-1": { provider: "openai", timestamps: true },
+    "gpt-4o-transcribe": { provider: "openai", timestamps: false },
+    "gpt-4o-mini-transcribe": { provider: "openai", timestamps: false },
+    "azure-speech": { provider: "azure-speech", timestamps: true }
+};
+const TRANSCRIBE_FORMATS = ["json", "verbose_json", "srt", "vtt"];
+const TRANSCRIBE_LANGUAGE_NAMES = {
+    "français": "fr", francais: "fr", french: "fr",
+    espagnol: "es", "español": "es", spanish: "es",
+    anglais: "en", english: "en"
+};
+// lingua → locale Azure (gli altri codici vanno passati come locale completo, es. it-IT)
+const TRANSCRIBE_AZURE_LOCALES = { fr: "fr-FR", es: "es-ES", en: "en-US" };
+
+const transcribeUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: TRANSCRIBE_MAX_BYTES } });
+
+// Upload con errori chiari (413 oltre TRANSCRIBE_MAX_BYTES) invece dell'handler di default di Express
+function transcribeUploadSingle(req, res, next) {
+    transcribeUpload.single("audio")(req, res, (err) => {
+        if (!err) return next();
+        if (err.code === "LIMIT_FILE_SIZE") {
+            return res.status(413).json({ error: "file_too_large", max_bytes: TRANSCRIBE_MAX_BYTES });
+        }
+        return res.status(400).json({ error: "Invalid upload", details: err.message });
+    });
+}
+
+// Normalizza le opzioni → { model, spec, language, locale, prompt, responseFormat } | { error, ... }
+function transcribeOptionsFromBody(body = {}) {
+    const model = (body.model || process.env.TRANSCRIBE_DEFAULT_MODEL || "whisper-1").toString().trim().toLowerCase();
+    const spec = TRANSCRIBE_MODELS[model];
+    if (!spec) return { error: "Unknown model", models: Object.keys(TRANSCRIBE_MODELS) };
+
+    const responseFormat = (body.response_format || "json").toString().trim().toLowerCase();
+    if (!TRANSCRIBE_FORMATS.includes(responseFormat)) return { error: "Invalid response_format", formats: TRANSCRIBE_FORMATS };
+    if (responseFormat !== "json" && !spec.timestamps) {
+        return { error: `response_format "${responseFormat}" requires timestamps`, models: Object.keys(TRANSCRIBE_MODELS).filter(m => TRANSCRIBE_MODELS[m].timestamps) };
+    }
+
+    // "fr", "fr-FR" o il nome della lingua come nei selectedLanguage dei servizi TTS
+    let language = null;
+    let locale = null;
+    const rawLanguage = (body.language || "").toString().trim();
+    if (rawLanguage) {
+        const named = TRANSCRIBE_LANGUAGE_NAMES[rawLanguage.toLowerCase()];
+        const m = /^([a-z]{2})(?:-([A-Za-z]{2}))?$/.exec(named || rawLanguage);
+        if (!m) return { error: "Invalid language (ISO-639-1 code such as fr, es, en, or a locale such as fr-FR)" };
+        language = m[1].toLowerCase();
+        locale = m[2] ? `${language}-${m[2].toUpperCase()}` : TRANSCRIBE_AZURE_LOCALES[language] || null;
+        if (spec.provider === "azure-speech" && !locale) return { error: `Unknown locale for language "${language}", pass e.g. ${language}-XX` };
+    }
+
+    let vocabulary = body.vocabulary || [];
+    if (typeof vocabulary === "string") {
+        try { vocabulary = vocabulary.trim().startsWith("[") ? JSON.parse(vocabulary) : vocabulary.split(","); }
+        catch { return { error: "vocabulary must be a JSON array or a comma-separated list" }; }
+    }
+    if (!Array.isArray(vocabulary)) return { error: "vocabulary must be a JSON array or a comma-separated list" };
+    const terms = vocabulary.map(t => String(t).trim()).filter(Boolean);
+    // il prompt orienta ortografia e gergo: i termini in coda, come testo "già detto"
+    const prompt = [(body.prompt || "").toString().trim(), terms.join(", ")].filter(Boolean).join("\n");
+    if (prompt.length > TRANSCRIBE_MAX_PROMPT) return { error: `prompt + vocabulary too long (max ${TRANSCRIBE_MAX_PROMPT} characters)` };
+    if (body.prompt && spec.provider === "azure-speech") return { error: "prompt is not supported with azure-speech (use vocabulary)" };
+
+    return { model, spec, language, locale, prompt, terms, responseFormat };
+}
+
+// { seconds, estimated } dal container, o stimata da dimensione / bitrate dichiarato; null se sconosciuta
+async function audioDurationSeconds(file) {
+    try {
+        const { format } = await musicMetadata.parseBuffer(file.buffer,
+            { mimeType: file.mimetype, size: file.size }, { duration: true, skipCovers: true });
+        if (Number.isFinite(format.duration)) return { seconds: format.duration, estimated: false };
+        if (format.bitrate > 0) return { seconds: (file.size * 8) / format.bitrate, estimated: true };
+        return null;
+    } catch {
+        return null; // formato non riconosciuto: decide il provider
+    }
+}
+
+// Trascrizione normalizzata: { text, language, duration, segments: [{ start, end, text }], words: [{ word, start, end }], usage }
+async function transcribeWithOpenAI(apiKey, file, { model, spec, language, prompt }) {
+    const form = new FormData();
+    form.append("file", file.buffer, { filename: file.originalname || "audio" });
+    form.append("model", model);
+    if (language) form.append("language", language);
+    if (prompt) form.append("prompt", prompt);
+    if (spec.timestamps) {
+        // verbose_json espone durata (ledger) e timestamp per srt/vtt/verbose_json
+        form.append("response_format", "verbose_json");
+        form.append("timestamp_granularities[]", "segment");
+        form.append("timestamp_granularities[]", "word");
+    } else {
+        form.append("response_format", "json");
+    }
+    const { data } = await axios.post(
+        "https://api.openai.com/v1/audio/transcriptions",
+        form,
+        { headers: { ...form.getHeaders(), Authorization: `Bearer ${apiKey}` }, maxBodyLength: Infinity }
+    );
+    return {
+        text: data?.text ?? "",
+        language: data?.language || language,
+        duration: Number(data?.duration) || null,
+        segments: (data?.segments || []).map(s => ({ start: s.start, end: s.end, text: s.text })),
+        words: data?.words || [],
+        usage: data?.usage || null
+    };
+}
+
+async function transcribeWithAzureSpeech(creds, file, { locale, terms }) {
+    const { key, region } = azureSpeechConfig(creds);
+    if (!key || !region) throw new Error("Missing Azure Speech env vars (AZURE_TTS_KEY_AI_SERVICES, AZURE_REGION_AI_SERVICES)");
+    const form = new FormData();
+    form.append("audio", file.buffer, { filename: file.originalname || "audio" });
+    // senza lingua: identificazione automatica tra le lingue dei simulatori
+    form.append("definition", JSON.stringify({
+        locales: locale ? [locale] : Object.values(TRANSCRIBE_AZURE_LOCALES),
+        ...(terms.length ? { phraseList: { phrases: terms } } : {})
+    }));
+    const { data } = await axios.post(
+        `https://${region}.api.cognitive.microsoft.com/speechtotext/transcriptions:transcribe?api-version=2024-11-15`,
+        form,
+        { headers: { ...form.getHeaders(), "Ocp-Apim-Subscription-Key": key }, maxBodyLength: Infinity, timeout: API_TIMEOUT }
+    );
+    const phrases = data?.phrases || [];
+    return {
+        text: (data?.combinedPhrases || []).map(p => p.text).join(" ").trim(),
+        language: phrases[0]?.locale || locale,
+        duration: (Number(data?.durationMilliseconds) || 0) / 1000,
+        segments: phrases.map(p => ({
+            start: p.offsetMilliseconds / 1000,
+            end: (p.offsetMilliseconds + p.durationMilliseconds) / 1000,
+            text: p.text
+        })),
+        words: phrases.flatMap(p => (p.words || []).map(w => ({
+            word: w.text,
+            start: w.offsetMilliseconds / 1000,
+            end: (w.offsetMilliseconds + w.durationMilliseconds) / 1000
+        }))),
+        usage: null
+    };
+}
+
+// Segmenti → sottotitoli SRT ("00:00:01,250") o WebVTT ("00:00:01.250")
+function subtitlesFromSegments(segments, kind) {
+    const stamp = (seconds) => {
+        const ms = Math.max(0, Math.round(seconds * 1000));
+        const pad = (n, w = 2) => String(n).padStart(w, "0");
+        return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${kind === "srt" ? "," : "."}${pad(ms % 1000, 3)}`;
+    };
+    const cues = segments.map((s, i) => `${kind === "srt" ? `${i + 1}\n` : ""}${stamp(s.start)} --> ${stamp(s.end)}\n${String(s.text).trim()}`);
+    return kind === "vtt" ? `WEBVTT\n\n${cues.join("\n\n")}\n` : `${cues.join("\n\n")}\n`;
+}
+
+app.post("/api/transcribe", transcribeUploadSingle, async (req, res) => {
+    console.log("🔹 /api/transcribe, req.file:", req.file?.originalname, req.file?.size);
+    if (!req.file) return res.status(400).json({ error: "No audio file uploaded" });
+    if (!req.file.size) return res.status(400).json({ error: "Empty audio file" });
+    const opts = transcribeOptionsFromBody(req.body);
+    if (opts.error) return res.status(400).json(opts);
+    const audioDuration = await audioDurationSeconds(req.file);
+    if (audioDuration && audioDuration.seconds > TRANSCRIBE_MAX_SECONDS) {
+        return res.status(413).json({
+            error: "audio_too_long",
+            max_seconds: TRANSCRIBE_MAX_SECONDS,
+            duration: Math.round(audioDuration.seconds),
+            ...(audioDuration.estimated ? { estimated: true } : {})
+        });
+    }
+
+    let apiKey = null;
+    let speechCreds = null;
+    if (opts.spec.provider === "openai") {
+        apiKey = (await customerCredentials(req, "openai"))?.api_key || process.env.OPENAI_API_KEY_SIMULATEUR;
+        if (!apiKey) return res.status(500).json({ error: "OpenAI API key missing" });
+    } else {
+        speechCreds = await customerCredentials(req, "azure-speech");
+    }
+    if (await rejectIfTimerExpired(req, res, { service: "transcribe", sse: false })) return;
+    if (await rejectIfOverBudget(req, res, { service: "transcribe", sse: false })) return;
+    try {
+        const result = opts.spec.provider === "openai"
+            ? await transcribeWithOpenAI(apiKey, req.file, opts)
+            : await transcribeWithAzureSpeech(speechCreds, req.file, opts);
+        console.log("🎉 transcription:", opts.model, result.text);
+
+        const ctx = usageContext(req, "transcribe");
+        if (result.usage?.type === "tokens") {
+            recordUsage(ctx, { provider: "openai", model: opts.model, usage: normalizeUsage(result.usage) });
+        } else {
+            recordUsage(ctx, {
+                provider: opts.spec.provider,
+                model: opts.spec.provider === "azure-speech" ? "azure-stt" : opts.model,
+                unit: "seconds",
+                quantity: result.duration || Number(result.usage?.seconds) || 0
+            });
+        }
+        // durata sconosciuta prima della chiamata: l'audio è già fatturato, si restituisce il testo segnalando il limite
+        const warning = !audioDuration && result.duration > TRANSCRIBE_MAX_SECONDS
+            ? { code: "audio_too_long", max_seconds: TRANSCRIBE_MAX_SECONDS, duration: Math.round(result.duration) }
+            : null;
+        if (warning) console.warn("⚠️ transcription over TRANSCRIBE_MAX_SECONDS:", opts.model, warning.duration);
+
+        if (opts.responseFormat === "srt" || opts.responseFormat === "vtt") {
+            if (warning) {
+                exposeHeaders(res, "X-Transcribe-Warning");
+                res.setHeader("X-Transcribe-Warning", warning.code);
+            }
+            res.setHeader("Content-Type", opts.responseFormat === "srt" ? "application/x-subrip; charset=utf-8" : "text/vtt; charset=utf-8");
+            return res.send(subtitlesFromSegments(result.segments, opts.responseFormat));
+        }
+        if (opts.responseFormat === "verbose_json") {
+            const { usage, ...verbose } = result;
+            return res.json({ ...verbose, model: opts.model, ...(warning ? { warning } : {}) });
+        }
+        return res.json({ text: result.text, ...(warning ? { warning } : {}) });
+    } catch (err) {
+        const details = err.response?.data || err.message;
+        console.error("❌ transcription error details:", opts.model, details);
+        return res.status(err.response?.status || 500)
+            .json({ error: "Transcription failed", model: opts.model, details });
+    }
+});
+
+// ------------------ start provider keys ----------------------
+// (prima di /api/:service: POST /api/provider-keys sarebbe catturato dal router dei servizi)
+// Chiavi provider del cliente (BYOK), cifrate con la master key. Il segreto non viene mai restituito.
+// admin: tutto; trainer: il proprio chatbot; learner: solo le proprie chiavi utente.
+const PROVIDER_KEY_COLUMNS = `k.id, k.provider, k.chatbot_id, u.user_mail AS user_email, k.label, k.key_hint,
+    CASE WHEN k.enc_key ~ '^v[0-9]+:' THEN substring(k.enc_key from '^v([0-9]+):')::int ELSE 1 END AS key_version,
+    k.created_at, k.updated_at`;
+
+async function loadProviderKey(id) {
+    const { rows } = await pool.query(
+        `SELECT ${PROVIDER_KEY_COLUMNS}, k.enc_key
+         FROM api_keys k LEFT JOIN users u ON u.id = k.user_id
+         WHERE k.id = $1 AND k.provider <> 'backend' AND k.enc_key <> ''`,
+        [parseInt(id, 10) || 0]
+    );
+    return rows[0] || null;
+}
+
+function providerKeyForbidden(req, row) {
+    if (req.auth.role === "admin") return false;
+    if (isUnscopedCredential(req) || row.chatbot_id !== req.auth.chatbotId) return true;
+    if (req.auth.role === "learner") {
+        return !row.user_email || row.user_email.toLowerCase() !== String(req.auth.email || "").toLowerCase();
+    }
+    return false;
+}
+
+function providerKeyView({ enc_key, ...row }) {
+    return row;
+}
+
+app.get("/api/provider-keys", requireRole("learner"), async (req, res) => {
+    if (isUnscopedCredential(req)) return res.status(403).json({ error: "forbidden", message: "credential not scoped to a chatbot" });
+    if (isOtherLearner(req, req.query.user_email)) return res.status(403).json({ error: "forbidden" });
+    const where = ["k.provider <> 'backend'", "k.enc_key <> ''"];
+    const params = [];
+    const chatbotId = getChatbotId(req);
+    const userEmail = req.auth.role === "learner" ? req.auth.email || "" : (req.query.user_email || "").toString().trim();
+    if (chatbotId) { params.push(chatbotId); where.push(`k.chatbot_id = $${params.length}`); }
+    if (userEmail || req.auth.role === "learner") { params.push(userEmail); where.push(`lower(u.user_mail) = lower($${params.length})`); }
+    if (req.query.provider) { params.push(req.query.provider); where.push(`k.provider = $${params.length}`); }
+    try {
+        const { rows } = await pool.query(
+            `SELECT ${PROVIDER_KEY_COLUMNS}
+             FROM api_keys k LEFT JOIN users u ON u.id = k.user_id
+             WHERE ${where.join(" AND ")}
+             ORDER BY k.chatbot_id, k.provider, k.id`,
+            params
+        );
+        return res.json({ keys: rows, current_key_version: KEY_VERSION });
+    } catch (e) {
+        console.error("❌ provider key list error:", e.message);
+        return res.status(500).json({ error: "Provider key list failed", details: e.message });
+    }
+});
+
+// Body: { provider, chatbot_id, user_email?, label?, api_key | secret: {...} }
+// Una sola chiave per (provider, chatbot, utente): se esiste già viene sostituita.
+app.post("/api/provider-keys", requireRole("learner"), async (req, res) => {
+    const body = req.body || {};
+    if (isUnscopedCredential(req)) return res.status(403).json({ error: "forbidden", message: "credential not scoped to a chatbot" });
+    if (isOtherLearner(req, body.user_email)) return res.status(403).json({ error: "forbidden" });
+    const provider = (body.provider || "").toString().trim();
+    const { secret, error } = providerSecretFromBody(provider, body);
+    if (error) return res.status(400).json({ error, provider, providers: Object.keys(PROVIDER_KEY_FIELDS) });
+    const chatbotId = getChatbotId(req);
+    if (!chatbotId) return res.status(400).json({ error: "chatbot_id is required" });
+    const userEmail = req.auth.role === "learner" ? req.auth.email : (body.user_email || "").toString().trim();
+    if (req.auth.role === "learner" && !userEmail) return res.status(403).json({ error: "forbidden", message: "learner keys need a user" });
+    // Chiave del chatbot (nessun utente) = usata da tutti i learner del tenant → almeno trainer
+    if (!userEmail && roleLevel(req.auth.role) < roleLevel("trainer")) {
+        return res.status(403).json({ error: "forbidden", message: "trainer role required for chatbot-level keys" });
+    }
+
+    try {
+        let userId = null;
+        if (userEmail) {
+            const u = await pool.query("SELECT id FROM users WHERE user_mail = $1", [userEmail]);
+            if (!u.rows[0]) return res.status(404).json({ error: "User not found", user_email: userEmail });
+            userId = u.rows[0].id;
+        }
+        const encKey = encryptSecret(JSON.stringify(secret));
+        const hint = providerKeyHint(secret);
+        const label = body.label ? String(body.label).slice(0, 200) : null;
+        const updated = await pool.query(
+            `UPDATE api_keys SET enc_key = $1, key_hint = $2, label = COALESCE($3, label), updated_at = now()
+             WHERE id = (SELECT id FROM api_keys WHERE provider = $4 AND chatbot_id = $5 AND user_id IS NOT DISTINCT FROM $6
+                         ORDER BY id LIMIT 1)
+             RETURNING id`,
+            [encKey, hint, label, provider, chatbotId, userId]
+        );
+        let id = updated.rows[0]?.id;
+        if (!id) {
+            const inserted = await pool.query(
+                `INSERT INTO api_keys (user_id, provider, chatbot_id, enc_key, key_hint, label)
+                 VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+                [userId, provider, chatbotId, encKey, hint, label]
+            );
+            id = inserted.rows[0].id;
+        }
+        providerCredentialCache.clear();
+        return res.status(updated.rows[0] ? 200 : 201).json(providerKeyView(await loadProviderKey(id)));
+    } catch (e) {
+        console.error("❌ provider key save error:", e.message);
+        return res.status(500).json({ error: "Provider key save failed", details: e.message });
+    }
+});
+
+// Verifica la chiave salvata contro il provider
+app.post("/api/provider-keys/:id/test", requireRole("learner"), async (req, res) => {
+    let row;
+    try {
+        row = await loadProviderKey(req.params.id);
+    } catch (e) {
+        console.error("❌ provider key load error:", e.message);
+        return res.status(500).json({ error: "Provider key load failed", details: e.message });
+    }
+    if (!row) return res.status(404).json({ error: "Provider key not found", id: req.params.id });
+    if (providerKeyForbidden(req, row)) return res.status(403).json({ error: "forbidden", id: row.id });
+    if (!row.user_email && roleLevel(req.auth.role) < roleLevel("trainer")) {
+        return res.status(403).json({ error: "forbidden", id: row.id, message: "trainer role required for chatbot-level keys" });
+    }
+
+    let creds;
+    try {
+        creds = { ...parseProviderSecret(decryptSecret(row.enc_key)), source: "customer", keyId: row.id };
+    } catch (e) {
+        return res.status(500).json({ ok: false, id: row.id, error: "decrypt_failed", details: e.message });
+    }
+    const invalid = providerSecretError(row.provider, creds);
+    if (invalid) return res.status(400).json({ ok: false, id: row.id, provider: row.provider, error: invalid });
+    const started = Date.now();
+    try {
+        await testProviderCredentials(row.provider, creds);
+        return res.json({ ok: true, id: row.id, provider: row.provider, latency_ms: Date.now() - started });
+    } catch (e) {
+        const status = e?.response?.status || e?.status || null;
+        return res.json({
+            ok: false,
+            id: row.id,
+            provider: row.provider,
+            status,
+            latency_ms: Date.now() - started,
+            error: e?.response?.data?.error?.message || e?.response?.data?.detail?.message || e.message
+        });
+    }
+});
+
+app.delete("/api/provider-keys/:id", requireRole("learner"), async (req, res) => {
+    try {
+        const row = await loadProviderKey(req.params.id);
+        if (!row) return res.status(404).json({ error: "Provider key not found", id: req.params.id });
+        if (providerKeyForbidden(req, row)) return res.status(403).json({ error: "forbidden", id: row.id });
+        await pool.query("DELETE FROM api_keys WHERE id = $1", [row.id]);
+        providerCredentialCache.clear();
+        return res.json({ ok: true, id: row.id });
+    } catch (e) {
+        console.error("❌ provider key delete error:", e.message);
+        return res.status(500).json({ error: "Provider key delete failed", details: e.message });
+    }
+});
+
+// === ADMIN: ri-cifratura con la master key corrente (dopo una rotazione) ===
+app.get("/api/admin/provider-keys/reencrypt", requireRole("admin"), async (req, res) => {
+    try {
+        const { rows } = await pool.query(
+            `SELECT CASE WHEN enc_key ~ '^v[0-9]+:' THEN substring(enc_key from '^v([0-9]+):')::int ELSE 1 END AS key_version,
+                    count(*)::int AS keys
+             FROM api_keys WHERE enc_key <> '' GROUP BY 1 ORDER BY 1`
+        );
+        return res.json({
+            current_key_version: KEY_VERSION,
+            configured_versions: [...MASTER_KEYS.keys()].sort((a, b) => a - b),
+            keys_by_version: rows,
+            job: reencryptJob
+        });
+    } catch (e) {
+        console.error("❌ re-encrypt status error:", e.message);
+        return res.status(500).json({ error: "Re-encrypt status failed", details: e.message });
+    }
+});
+
+app.post("/api/admin/provider-keys/reencrypt", requireRole("admin"), (req, res) => {
+    if (reencryptJob.status === "running") return res.status(409).json({ error: "job_running", job: reencryptJob });
+    runReencryptJob();
+    return res.status(202).json({ current_key_version: KEY_VERSION, job: reencryptJob });
+});
+
+// ------------------ end provider keys ----------------------
+
+// Main API router
+// Servizi con ruolo minimo: richiedono sempre una credenziale, anche con AUTH_MODE=off
+const SERVICE_MIN_ROLES = {
+    userList: "learner",
+    updateUserReview: "learner",
+    updateUserGroup: "trainer"
+};
+
+app.post("/api/:service", upload.none(), async (req, res) => {
+    const { service } = req.params;
+    console.log("🔹 Servizio ricevuto:", service);
+    console.log("🔹 Dati ricevuti:", JSON.stringify(req.body));
+
+    // Servizi con ruolo minimo: serve una credenziale anche con AUTH_MODE=off (stessa regola di requireRole)
+    const minRole = SERVICE_MIN_ROLES[service];
+    if (minRole) {
+        if (!req.auth) return res.status(401).json({ error: "unauthorized", message: "Missing credential" });
+        if (roleLevel(req.auth.role) < roleLevel(minRole)) {
+            return res.status(403).json({ error: "forbidden", message: `${minRole} role required` });
+        }
+    }
+
+    if (METERED_SERVICES.has(service)) {
+        const sse = isSSEService(service, req.body);
+        if (await rejectIfTimerExpired(req, res, { service, sse })) return;
+        if (await rejectIfOverBudget(req, res, { service, sse })) return;
+    }
+
+    try {
+
+        // Azure OpenAI Chat (Simulator)
+        /*
+        if (service === "azureOpenai") {
+            const apiKey = process.env.AZURE_OPENAI_KEY_SIMULATEUR;
+            const endpoint = process.env.AZURE_OPENAI_ENDPOINT_SIMULATEUR;
+            const deployment = process.env.AZURE_OPENAI_DEPLOYMENT_SIMULATEUR;
+            const apiVersion = process.env.AZURE_OPENAI_API_VERSION || "2025-03-01-preview";
+
+            const apiUrl = `${endpoint}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`;
+
+            // headers SSE
+            res.setHeader("Content-Type", "text/event-stream");
+            res.setHeader("Cache-Control", "no-cache");
+            res.setHeader("Connection", "keep-alive");
+            res.setHeader("X-Accel-Buffering", "no");
+            res.flushHeaders();
+
+            const { messages, temperature, max_tokens, top_p, frequency_penalty, presence_penalty } = req.body || {};
+            const payload = {
+                messages: messages || [],
+                stream: true,
+                ...(temperature !== undefined ? { temperature } : {}),
+                ...(max_tokens !== undefined ? { max_tokens } : {}),
+                ...(top_p !== undefined ? { top_p } : {}),
+                ...(frequency_penalty !== undefined ? { frequency_penalty } : {}),
+                ...(presence_penalty !== undefined ? { presence_penalty } : {}),
+            };
 
-                axiosResp.data.on("end", () => {
-                    try { res.write("data: [DONE]\n\n"); } catch { }
-                    try { res.end(); } catch { }
+            try {
+                const axiosResp = await axiosInstance.post(apiUrl, payload, {
+                    headers: { "api-key": apiKey, "Content-Type": "application/json" },
+                    responseType: "stream",
+                    // importantissimo con SSE dietro proxy:
+                    decompress: true,
+                    transitional: { clarifyTimeoutError: true }
                 });
 
+                axiosResp.data.on("data", (chunk) => {
+                    res.write(chunk.toString("utf8")); // passthrough 1:1 (Azure manda già "data: ...\n\n")
+                });
+                axiosResp.data.on("end", () => res.end());
                 axiosResp.data.on("error", (e) => {
-                    try {
-                        res.write(`data: ${JSON.stringify({ error: true, message: "stream_error", details: String(e?.message || e) })}\n\n`);
-                        res.write("data: [DONE]\n\n");
-                        res.end();
-                    } catch { }
+                    console.error("Azure SSE stream error:", e?.message || e);
+                    res.write(`data: ${JSON.stringify({ error: true, message: "stream_error", details: String(e) })}\n\n`);
+                    res.write("data: [DONE]\n\n");
+                    res.end();
                 });
 
-                // IMPORTANTE: fermati qui.
-                return;
-
             } catch (err) {
                 const status = err?.response?.status || 500;
                 const headers = err?.response?.headers || {};
-                const requestId =
-                    headers["x-request-id"] ||
-                    headers["x-ms-request-id"] ||
-                    headers["apim-request-id"] ||
-                    "";
-                let body = err?.response?.data;
-
-                if (Buffer.isBuffer(body)) {
-                    try { body = body.toString("utf8"); } catch { body = "<buffer>"; }
-                }
-                if (typeof body === "object") {
-                    try { body = JSON.stringify(body); } catch { body = "<unserializable>"; }
-                }
+                const requestId = headers["x-request-id"] || headers["x-ms-request-id"] || headers["apim-request-id"] || "";
 
-                console.error("❌ azureOpenaiResponse ERROR", {
-                    status,
-                    requestId,
-                    body
-                });
+                let body = err?.response?.data;
+                if (Buffer.isBuffer(body)) { try { body = body.toString("utf8"); } catch { body = "<buffer>"; } }
+                if (typeof body === "object") { try { body = JSON.stringify(body); } catch { } }
 
-                // ⚠️ Se abbiamo già mandato gli header SSE (res.flushHeaders()),
-                // mandiamo almeno un evento di errore e chiudiamo lo stream.
-                if (res.headersSent) {
-                    try {
-                        res.write(
-                            "data: " +
-                            JSON.stringify({
-                                error: true,
-                                message: "azureOpenai error",
-                                status,
-                                requestId,
-                                details: body || null
-                            }) +
-                            "\n\n"
-                        );
-                        res.write("data: [DONE]\n\n");
-                        res.end();
-                    } catch { }
-                    return;
-                }
+                console.error("❌ Azure SSE error:", { status, requestId, body });
 
-                // Se per qualche motivo non avevamo ancora mandato gli header,
-                // rispondiamo in JSON "classico".
-                return res.status(status).json({
-                    ok: false,
+                // Invia i DETTAGLI al client come SSE "data: ..."
+                res.write(`data: ${JSON.stringify({
+                    error: true,
                     message: "azureOpenai error",
                     status,
                     requestId,
                     details: body || null
-                });
+                })}\n\n`);
+                res.write("data: [DONE]\n\n");
+                res.end();
             }
+        }*/
+
+        // Azure OpenAI Response (Simulator) fix
+        // Stesso contratto SSE di prima, ma passa dagli adapter con failover (CHAT_FAILOVER_CHAIN)
+        if (service === "azureOpenaiResponse") {
+            openSSE(res);
+
+            // il client manda input/instructions, NON messages
+            const body = req.body || {};
+            const primary = resolveChatTarget({ provider: "azure-responses", model: body.model });
+            const chatRequest = {
+                ...buildChatRequest({ ...body, messages: body.input }),
+                model: primary.model,
+                owner: credentialOwner(req)
+            };
+            const chain = failoverChainFor(primary, { model: body.model, failover: body.failover });
+
+            console.log("🔹 azureOpenaiResponse chain:", chain.map(t => `${t.provider}:${t.model}`).join(" → "));
+
+            await streamChatToSSE(res, chain, chatRequest, {
+                errorMessage: "azureOpenai error",
+                usageCtx: usageContext(req, service)
+            });
+            return;
         }
 
         else if (service === "azureOpenaiNotStream") {
-            const apiKey = process.env.AZURE_OPENAI_KEY_SIMULATEUR;
-            const endpoint = process.env.AZURE_OPENAI_ENDPOINT_SIMULATEUR;
-            const deployment = process.env.AZURE_OPENAI_DEPLOYMENT_SIMULATEUR;
+            const { apiKey, endpoint, deployment } = azureOpenaiConfig(await customerCredentials(req, "azure-openai"));
             const apiVersion = process.env.AZURE_OPENAI_API_VERSION || "2024-11-20";
 
             const apiUrl = `${endpoint}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`;
@@ -818,6 +3774,7 @@ app.post("/api/:service", upload.none(), async (req, res) => {
                 const { data } = await axiosInstance.post(apiUrl, payload, {
                     headers: { "api-key": apiKey, "Content-Type": "application/json" },
                 });
+                recordUsage(usageContext(req, service), { provider: "azure-openai", model: deployment, usage: normalizeUsage(data?.usage) });
 
                 // Estraggo il testo in modo robusto (stringa o array di parti)
                 let content = "";
@@ -851,25 +3808,11 @@ app.post("/api/:service", upload.none(), async (req, res) => {
         }
 
         // Azure OpenAI non-stream con timer_chatbot_id
+        // (ID obbligatorio, controllo scadenza in rejectIfTimerExpired)
         else if (service === "azureOpenaiNotStreamTimer") {
             const tId = getTimerId(req);
 
-            // Richiesta di ID obbligatorio e whitelistato
-            if (REQUIRE_TIMER_ID && !tId) {
-                return rejectJsonTimer(res, tId, "missing_timer_id", 400);
-            }
-            if (REQUIRE_TIMER_ID && !getTimerPolicy(tId)) {
-                return rejectJsonTimer(res, tId, "invalid_timer_id", 403);
-            }
-
-            ensureTimerSession(tId);
-            if (tId && isTimerExpired(tId)) {
-                return rejectJsonTimer(res, tId);
-            }
-
-            const apiKey = process.env.AZURE_OPENAI_KEY_SIMULATEUR;
-            const endpoint = process.env.AZURE_OPENAI_ENDPOINT_SIMULATEUR;
-            const deployment = process.env.AZURE_OPENAI_DEPLOYMENT_SIMULATEUR;
+            const { apiKey, endpoint, deployment } = azureOpenaiConfig(await customerCredentials(req, "azure-openai"));
             const apiVersion = process.env.AZURE_OPENAI_API_VERSION || "2024-11-20";
             const apiUrl = `${endpoint}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`;
 
@@ -888,10 +3831,9 @@ app.post("/api/:service", upload.none(), async (req, res) => {
                 const { data } = await axiosInstance.post(apiUrl, payload, {
                     headers: { "api-key": apiKey, "Content-Type": "application/json" },
                 });
+                recordUsage(usageContext(req, service), { provider: "azure-openai", model: deployment, usage: normalizeUsage(data?.usage) });
 
                 if (getTimerPolicy(tId)) {
-                    res.setHeader("Access-Control-Allow-Origin", "*");
-                    res.setHeader("Access-Control-Expose-Headers", "X-Session-Remaining");
                     res.setHeader("X-Session-Remaining", String(remainingTimerMs(tId)));
                 }
 
@@ -927,17 +3869,26 @@ app.post("/api/:service", upload.none(), async (req, res) => {
         else if (service === "vertexChat") {
             // CORS already applied globally
             const { messages, stream = true } = req.body;
+            const vertexCreds = await customerCredentials(req, "vertex");
+            const model = vertexCreds
+                ? vertexClientFor(vertexCreds).getGenerativeModel({ model: process.env.VERTEX_MODEL_ID, generationConfig: { maxOutputTokens: 2048 } })
+                : vertexModel;
             const promptText = messages.map(m => `${m.role.toUpperCase()}: ${m.content}`).join("\n");
             const request = { contents: [{ role: "user", parts: [{ text: promptText }] }] };
 
             // Batch invocation
             if (stream === false) {
                 try {
-                    const result = await vertexModel.generateContent({
+                    const result = await model.generateContent({
                         ...request,
                         generationConfig: { maxOutputTokens: 2048 }
                     });
                     const text = result.response?.candidates?.[0]?.content?.parts?.[0]?.text || "";
+                    recordUsage(usageContext(req, service), {
+                        provider: "vertex",
+                        model: process.env.VERTEX_MODEL_ID,
+                        usage: normalizeUsage(result.response?.usageMetadata)
+                    });
                     return res.json({ text });
                 } catch (err) {
                     console.error("Vertex AI batch error:", err);
@@ -950,21 +3901,27 @@ app.post("/api/:service", upload.none(), async (req, res) => {
                 res.setHeader("Content-Type", "text/event-stream");
                 res.setHeader("Cache-Control", "no-cache");
                 res.flushHeaders();
-                const result = await vertexModel.generateContentStream(request);
+                const result = await model.generateContentStream(request);
+                let usageMetadata = null;
                 for await (const item of result.stream) {
+                    if (item.usageMetadata) usageMetadata = item.usageMetadata;
+                    if (res.writableEnded) break;
                     const delta = item.candidates?.[0]?.content?.parts?.[0]?.text;
-                    if (delta) res.write(`data: ${JSON.stringify({ delta })}\n\n`);
+                    if (delta) writeSSE(res, { delta });
                 }
-                res.write("data: [DONE]\n\n");
-                return res.end();
+                recordUsage(usageContext(req, service), {
+                    provider: "vertex",
+                    model: process.env.VERTEX_MODEL_ID,
+                    usage: normalizeUsage(usageMetadata)
+                });
+                return endSSE(res);
             } catch (err) {
                 console.error("Vertex AI streaming error:", err);
                 if (!res.headersSent) {
                     return res.status(500).json({ error: err.message });
                 }
-                res.write(`data: ${JSON.stringify({ error: err.message })}\n\n`);
-                res.write("data: [DONE]\n\n");
-                return res.end();
+                writeSSE(res, { error: err.message });
+                return endSSE(res);
             }
         }
 
@@ -972,80 +3929,59 @@ app.post("/api/:service", upload.none(), async (req, res) => {
         else if (service === "openaiSimulateurBlearn") {
             res.setHeader("Content-Type", "text/event-stream");
             res.setHeader("Cache-Control", "no-cache");
-            res.setHeader("Access-Control-Allow-Origin", "*");
             res.flushHeaders();
 
             // 1) Se presente, usa chiave passata da proxy
+            //    (il Bearer usato come credenziale del backend non è una chiave OpenAI)
             let userKey =
                 req.get("x-user-api-key") ||
-                (req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+                (req.auth?.bearer ? "" : (req.get("authorization") || "").replace(/^Bearer\s+/i, ""));
 
             try {
-                // 2) Fallback: recupera dal DB in base al chatbot_id (storyline_key) e, se disponibile, all'utente
+                // 2) Fallback: chiave dal DB per chatbot_id (storyline_key) e, se disponibile, utente (x-user-id / x-user-email)
                 if (!userKey) {
-                    const chatbotIdStr = ((req.body && req.body.chatbot_id) || req.query.chatbot_id || req.get("x-chatbot-id") || "").toString().trim();
+                    const chatbotIdStr = getChatbotId(req);
                     if (!chatbotIdStr) {
                         res.write(`data: ${JSON.stringify({ error: true, message: "chatbot_id manquant" })}\n\n`);
                         res.write("data: [DONE]\n\n"); return res.end();
                     }
-
-                    // Opzionale: prova a identificare l'utente
-                    const userIdHdr = req.get("x-user-id");
-                    const userEmailHdr = req.get("x-user-email");
-
-                    let userIdNum = userIdHdr ? Number(userIdHdr) : null;
-                    if (!userIdNum && userEmailHdr) {
-                        const rUid = await pool.query("SELECT id FROM users WHERE user_mail = $1", [userEmailHdr]);
-                        userIdNum = rUid.rows[0]?.id || null;
-                    }
-
-                    let rKey;
-                    if (userIdNum) {
-                        // Chiave per utente + provider + chatbot_id (STRINGA = storyline_key)
-                        rKey = await pool.query(
-                            `SELECT enc_key FROM api_keys
-           WHERE user_id = $1 AND provider = 'openai' AND chatbot_id = $2
-           ORDER BY updated_at DESC LIMIT 1`,
-                            [userIdNum, chatbotIdStr]
-                        );
-                    } else {
-                        // Fallback: prendi la più recente per quel chatbot_id (se non distingui l'utente)
-                        rKey = await pool.query(
-                            `SELECT enc_key FROM api_keys
-           WHERE provider = 'openai' AND chatbot_id = $1
-           ORDER BY updated_at DESC LIMIT 1`,
-                            [chatbotIdStr]
-                        );
-                    }
-
-                    if (rKey.rows.length > 0) {
-                        try { userKey = decryptSecret(rKey.rows[0].enc_key); } catch { }
-                    }
-
-                    // Ultimo fallback (se vuoi tenerlo): env globale
-                    /*if (!userKey && !process.env.OPENAI_API_KEY_SIMULATEUR) {
+                    // Senza credenziale (finché AUTH_MODE non è enforce) resta il lookup anonimo per chatbot_id
+                    const creds = req.auth
+                        ? await findProviderCredentials("openai", credentialOwner(req))
+                        : await findProviderCredentials("openai", {
+                            chatbotId: chatbotIdStr,
+                            userEmail: (req.get("x-user-email") || "").trim(),
+                            userId: Number(req.get("x-user-id")) || null
+                        }, { anyUser: true });
+                    userKey = creds?.api_key || "";
+
+                    // Nessuna chiave del cliente: niente fallback sulla chiave env della piattaforma
+                    if (!userKey) {
                         res.write(`data: ${JSON.stringify({ error: true, message: "Aucune clé API disponible" })}\n\n`);
                         res.write("data: [DONE]\n\n"); return res.end();
-                    }*/
+                    }
                 }
 
-                const client = userKey ? new OpenAI({ apiKey: userKey }) : openai;
+                const client = openaiClientFor(userKey ? { api_key: userKey } : null);
 
                 // 3) Stream OpenAI identico a prima
                 const stream = await client.chat.completions.create({
                     model: req.body.model,
                     messages: req.body.messages,
-                    stream: true
-                });
+                    stream: true,
+                    stream_options: { include_usage: true }
+                }, { signal: responseCloseSignal(res) });
+                let usage = null;
                 for await (const part of stream) {
                     const delta = part.choices?.[0]?.delta?.content;
-                    if (delta) res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: delta } }] })}\n\n`);
+                    if (delta) writeSSE(res, { choices: [{ delta: { content: delta } }] });
+                    if (part.usage) usage = part.usage;
                 }
-                res.write("data: [DONE]\n\n");
-                return res.end();
+                recordUsage(usageContext(req, service), { provider: "openai", model: req.body.model, usage: normalizeUsage(usage) });
+                return endSSE(res);
             } catch (err) {
-                res.write(`data: ${JSON.stringify({ error: true, message: err.message })}\n\n`);
-                res.write("data: [DONE]\n\n"); return res.end();
+                writeSSE(res, { error: true, message: err.message });
+                return endSSE(res);
             }
         }
 
@@ -1077,7 +4013,6 @@ app.post("/api/:service", upload.none(), async (req, res) => {
             res.setHeader("Content-Type", "text/event-stream");
             res.setHeader("Cache-Control", "no-cache");
             res.setHeader("Connection", "keep-alive");
-            res.setHeader("Access-Control-Allow-Origin", "*");
             res.setHeader("X-Accel-Buffering", "no");
             res.flushHeaders();
 
@@ -1123,7 +4058,7 @@ app.post("/api/:service", upload.none(), async (req, res) => {
                 }
 
                 // --- chiamata Responses API in streaming con instructions ---
-                const stream = await openai.responses.create({
+                const stream = await openaiClientFor(await customerCredentials(req, "openai")).responses.create({
                     model: model || "gpt-4o",
                     input: finalInput || [],
                     ...(finalInstructions ? { instructions: finalInstructions } : {}), // <— QUI
@@ -1133,7 +4068,7 @@ app.post("/api/:service", upload.none(), async (req, res) => {
                     ...(frequency_penalty !== undefined ? { frequency_penalty } : {}),
                     ...(presence_penalty !== undefined ? { presence_penalty } : {}),
                     ...(effectiveMaxOutputTokens !== undefined ? { max_output_tokens: effectiveMaxOutputTokens } : {}),
-                });
+                }, { signal: responseCloseSignal(res) });
 
                 let usageSnapshot = null;
 
@@ -1143,37 +4078,39 @@ app.post("/api/:service", upload.none(), async (req, res) => {
                     if (t === "response.output_text.delta") {
                         const deltaText = event.delta || "";
                         if (deltaText) {
-                            res.write(`data: ${JSON.stringify({
+                            writeSSE(res, {
                                 choices: [{ delta: { content: deltaText } }]
-                            })}\n\n`);
+                            });
                         }
                     }
                     else if (t === "response.completed") {
                         usageSnapshot = event.response?.usage || null;
+                        recordUsage(usageContext(req, service), {
+                            provider: "openai",
+                            model: model || "gpt-4o",
+                            usage: normalizeUsage(usageSnapshot)
+                        });
                         const totalTokens =
                             (usageSnapshot?.total_tokens !== undefined
                                 ? usageSnapshot.total_tokens
                                 : ((usageSnapshot?.input_tokens || 0) + (usageSnapshot?.output_tokens || 0)));
 
-                        res.write(`data: ${JSON.stringify({ usage: { total_tokens: totalTokens } })}\n\n`);
+                        writeSSE(res, { usage: { total_tokens: totalTokens } });
                     }
                     else if (t === "response.error") {
-                        res.write(`data: ${JSON.stringify({ error: true, message: event.error?.message || "openai error" })}\n\n`);
+                        writeSSE(res, { error: true, message: event.error?.message || "openai error" });
                     }
                 }
 
-                res.write("data: [DONE]\n\n");
-                return res.end();
+                return endSSE(res);
 
             } catch (err) {
+                if (res.writableEnded) return;
                 console.error("openaiSimulateur error:", err);
-                try {
-                    res.write(`data: ${JSON.stringify({
-                        error: true, message: "stream_failed", details: String(err?.message || err)
-                    })}\n\n`);
-                    res.write("data: [DONE]\n\n");
-                } catch { }
-                return res.end();
+                writeSSE(res, {
+                    error: true, message: "stream_failed", details: String(err?.message || err)
+                });
+                return endSSE(res);
             }
         }
 
@@ -1181,21 +4118,25 @@ app.post("/api/:service", upload.none(), async (req, res) => {
             res.setHeader("Content-Type", "text/event-stream");
             res.setHeader("Cache-Control", "no-cache");
             res.flushHeaders();
-            const stream = await openaiCreps.chat.completions.create({
+            const stream = await openaiClientFor(await customerCredentials(req, "openai"), openaiCreps).chat.completions.create({
                 model: req.body.model,
                 messages: req.body.messages,
-                stream: true
+                stream: true,
+                stream_options: { include_usage: true }
             });
+            let usage = null;
             for await (const part of stream) {
+                if (part.usage) usage = part.usage;
+                if (res.writableEnded) break;
                 const delta = part.choices?.[0]?.delta?.content;
                 if (delta) {
-                    res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: delta } }] })}\n\n`);
+                    writeSSE(res, { choices: [{ delta: { content: delta } }] });
                 }
             }
-            const totalTokens = stream.usage?.total_tokens || 0;
-            res.write(`data: ${JSON.stringify({ usage: { total_tokens: totalTokens } })}\n\n`);
-            res.write("data: [DONE]\n\n");
-            return res.end();
+            recordUsage(usageContext(req, service), { provider: "openai", model: req.body.model, usage: normalizeUsage(usage) });
+            const totalTokens = usage?.total_tokens || 0;
+            writeSSE(res, { usage: { total_tokens: totalTokens } });
+            return endSSE(res);
         }
 
         // OpenAI streaming chat-completion (SDK) con timer_chatbot_id
@@ -1204,50 +4145,21 @@ app.post("/api/:service", upload.none(), async (req, res) => {
             res.setHeader("Content-Type", "text/event-stream");
             res.setHeader("Cache-Control", "no-cache");
             res.setHeader("Connection", "keep-alive");
-            res.setHeader("Access-Control-Allow-Origin", "*");
             res.setHeader("X-Accel-Buffering", "no");
 
-            // Timer
-            const tId = getTimerId(req);
-
-            // ID richiesto e whitelistato
-            if (REQUIRE_TIMER_ID && !tId) {
-                return rejectSSETimer(res, tId, "missing_timer_id");
-            }
-            if (REQUIRE_TIMER_ID && !getTimerPolicy(tId)) {
-                return rejectSSETimer(res, tId, "invalid_timer_id");
-            }
-
-            // Crea/aggiorna sessione; se scaduta → tombstone e chiudi
-            ensureTimerSession(tId);
-            if (tId && isTimerExpired(tId)) {
-                return rejectSSETimer(res, tId);
-            }
-
-            if (getTimerPolicy(tId)) {
-                res.setHeader("Access-Control-Expose-Headers", "X-Session-Remaining");
-                res.setHeader("X-Session-Remaining", String(remainingTimerMs(tId)));
-            }
-
+            // Timer: validazione, X-Session-Remaining e chiusura allo scadere in rejectIfTimerExpired
             res.flushHeaders();
 
             let closed = false;
-            const killer = getTimerPolicy(tId) ? setInterval(() => {
-                if (closed) return;
-                if (isTimerExpired(tId)) {
-                    closed = true;
-                    try { rejectSSETimer(res, tId); } catch { }
-                }
-            }, 1000) : null;
-
-            res.on("close", () => { closed = true; if (killer) clearInterval(killer); });
+            res.on("close", () => { closed = true; });
 
             try {
                 const { model, messages, temperature, max_tokens, top_p, frequency_penalty, presence_penalty } = req.body || {};
-                const stream = await openai.chat.completions.create({
+                const stream = await openaiClientFor(await customerCredentials(req, "openai")).chat.completions.create({
                     model,
                     messages,
                     stream: true,
+                    stream_options: { include_usage: true },
                     ...(temperature !== undefined ? { temperature } : {}),
                     ...(max_tokens !== undefined ? { max_tokens } : {}),
                     ...(top_p !== undefined ? { top_p } : {}),
@@ -1255,34 +4167,24 @@ app.post("/api/:service", upload.none(), async (req, res) => {
                     ...(presence_penalty !== undefined ? { presence_penalty } : {}),
                 });
 
+                let usage = null;
                 for await (const part of stream) {
-                    if (closed) break;
-                    if (getTimerPolicy(tId) && isTimerExpired(tId)) {
-                        closed = true;
-                        try { rejectSSETimer(res, tId); } catch { }
-                        break;
-                    }
+                    if (part.usage) usage = part.usage;
+                    if (closed || res.writableEnded) { closed = true; break; }
                     const delta = part.choices?.[0]?.delta?.content;
-                    if (delta) res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: delta } }] })}\n\n`);
+                    if (delta) writeSSE(res, { choices: [{ delta: { content: delta } }] });
                 }
 
-                const totalTokens = stream.usage?.total_tokens || 0;
-                try {
-                    res.write(`data: ${JSON.stringify({ usage: { total_tokens: totalTokens } })}\n\n`);
-                    res.write("data: [DONE]\n\n");
-                    res.end();
-                } catch { }
+                recordUsage(usageContext(req, service), { provider: "openai", model, usage: normalizeUsage(usage) });
+                const totalTokens = usage?.total_tokens || 0;
+                writeSSE(res, { usage: { total_tokens: totalTokens } });
+                endSSE(res);
             } catch (err) {
                 console.error("openaiSimulateurTimer error:", err);
                 if (!closed) {
-                    try {
-                        res.write(`data: ${JSON.stringify({ error: true, message: "stream_failed", details: String(err?.message || err) })}\n\n`);
-                        res.write("data: [DONE]\n\n");
-                        res.end();
-                    } catch { }
+                    writeSSE(res, { error: true, message: "stream_failed", details: String(err?.message || err) });
+                    endSSE(res);
                 }
-            } finally {
-                if (killer) clearInterval(killer);
             }
         }
 
@@ -1412,7 +4314,8 @@ app.post("/api/:service", upload.none(), async (req, res) => {
                 }
 
                 // 3) Chiamata NON-stream
-                const resp = await openai.responses.create(payload);
+                const resp = await openaiClientFor(await customerCredentials(req, "openai")).responses.create(payload);
+                recordUsage(usageContext(req, service), { provider: "openai", model: payload.model, usage: normalizeUsage(resp.usage) });
 
                 // 4) Estrai testo (Responses API espone .output_text)
                 const content = resp.output_text || "";
@@ -1442,9 +4345,9 @@ app.post("/api/:service", upload.none(), async (req, res) => {
         // RIMUOVERE
         // Azure OpenAI Analyse (batch)
         else if (service === "azureOpenaiAnalyse") {
-            const apiKey = process.env.AZURE_OPENAI_KEY_SIMULATEUR;
-            const endpoint = process.env.AZURE_OPENAI_ENDPOINT_SIMULATEUR;
-            const deployment = process.env.AZURE_OPENAI_DEPLOYMENT_COACH;
+            const azureCreds = await customerCredentials(req, "azure-openai");
+            const { apiKey, endpoint } = azureOpenaiConfig(azureCreds);
+            const deployment = azureCreds?.analysis_deployment || azureCreds?.deployment || process.env.AZURE_OPENAI_DEPLOYMENT_COACH;
             const apiVersion = process.env.AZURE_OPENAI_API_VERSION_COACH || "2024-11-20";
 
             if (!apiKey || !endpoint || !deployment) {
@@ -1471,6 +4374,7 @@ app.post("/api/:service", upload.none(), async (req, res) => {
                 const { data } = await axiosInstance.post(apiUrl, payload, {
                     headers: { "api-key": apiKey, "Content-Type": "application/json" },
                 });
+                recordUsage(usageContext(req, service), { provider: "azure-openai", model: deployment, usage: normalizeUsage(data?.usage) });
 
                 // estrai testo in modo robusto (Azure può dare stringa o array di parti)
                 let content = "";
@@ -1506,22 +4410,21 @@ app.post("/api/:service", upload.none(), async (req, res) => {
 
         // OpenAI TTS (batch)
         else if (service === "openai-tts") {
-            const apiKey = process.env.OPENAI_API_KEY_SIMULATEUR;
+            const apiKey = (await customerCredentials(req, "openai"))?.api_key || process.env.OPENAI_API_KEY_SIMULATEUR;
             if (!apiKey) return res.status(500).json({ error: "OpenAI API key missing" });
             const { text, selectedVoice } = req.body;
             if (!text) return res.status(400).json({ error: "Text is required" });
-            const allowedVoices = ["alloy", "echo", "fable", "onyx", "nova", "shimmer"];
-            const voice = allowedVoices.includes((selectedVoice || "").trim().toLowerCase())
+            const voice = OPENAI_TTS_VOICES.includes((selectedVoice || "").trim().toLowerCase())
                 ? selectedVoice.trim().toLowerCase()
                 : "fable";
+            const { format, spec, ...badFormat } = resolveTtsFormat(req.body.format || req.query.format, "openai", "mp3", { accept: req.headers.accept });
+            if (badFormat.error) return res.status(400).json(badFormat);
+            const cacheKey = ttsCacheKey({ provider: "openai", model: "gpt-4o-mini-tts", voice, format, settings: { instructions: OPENAI_TTS_INSTRUCTIONS }, text });
+            if (await sendCachedTts(req, res, cacheKey)) return;
             try {
-                const response = await axios.post(
-                    "https://api.openai.com/v1/audio/speech",
-                    { model: "gpt-4o-mini-tts", input: text, voice, instructions: "Speak in a gentle, slow and friendly way." },
-                    { headers: { Authorization: `Bearer ${apiKey}`, "Content-Type": "application/json" }, responseType: "arraybuffer" }
-                );
-                res.setHeader("Content-Type", "audio/mpeg");
-                return res.send(response.data);
+                const audio = await openaiTtsRequest(apiKey, { voice, text, format });
+                recordUsage(usageContext(req, service), { provider: "openai", model: "gpt-4o-mini-tts", unit: "characters", quantity: text.length });
+                return sendTtsAudio(res, cacheKey, audio, spec.contentType);
             } catch (err) {
                 console.error("OpenAI TTS error:", err.response?.data || err.message);
                 return res.status(err.response?.status || 500).json({ error: "OpenAI TTS failed", details: err.message });
@@ -1530,35 +4433,38 @@ app.post("/api/:service", upload.none(), async (req, res) => {
 
         else if (service === "azureTTS-Scaleway") {
             const {
-                text,
+                text: rawText,
+                ssml: authorSsml,
                 selectedLanguage,
                 selectedVoice,
             } = req.body;
 
-            if (!text) return res.status(400).json({ error: "Text is required" });
+            if (!rawText && !authorSsml) return res.status(400).json({ error: "Text is required" });
 
-            const apiKey = process.env.AZURE_TTS_KEY_AI_SERVICES;
-            const region = process.env.AZURE_REGION_AI_SERVICES;
+            const { key: apiKey, region, endpoint: customEndpoint } = azureSpeechConfig(await customerCredentials(req, "azure-speech"));
             if (!apiKey || !region) {
                 return res.status(500).json({
                     error: "Missing Azure Speech env vars (AZURE_TTS_KEY_AI_SERVICES, AZURE_REGION_AI_SERVICES)"
                 });
             }
 
-            const endpoint = `https://${region}.tts.speech.microsoft.com/cognitiveservices/v1`;
+            const endpoint = customEndpoint || `https://${region}.tts.speech.microsoft.com/cognitiveservices/v1`;
+            const { format, spec, ...badFormat } = resolveTtsFormat(req.body.format || req.query.format, "azure-speech", "mp3", { accept: req.headers.accept });
+            if (badFormat.error) return res.status(400).json(badFormat);
 
-            const voiceMap = {
-                "français": "fr-FR-RemyMultilingualNeural",
-                "espagnol": "es-ES-ElviraNeural",
-                "anglais": "en-US-JennyNeural"
-            };
             const lang = (selectedLanguage || "").trim().toLowerCase();
-            const voice = (selectedVoice && selectedVoice.trim()) || voiceMap[lang] || "fr-FR-RemyMultilingualNeural";
+            const voice = (selectedVoice && selectedVoice.trim()) || AZURE_VOICE_BY_LANG[lang] || "fr-FR-RemyMultilingualNeural";
 
-            const ssml = buildSSML({
+            // SSML dell'autore (validato) oppure testo semplice
+            const authored = authorSsmlFromRequest(authorSsml, voice);
+            if (authored?.error) return res.status(400).json({ error: authored.error });
+            const text = authored ? authored.text : rawText;
+            const ssml = authored ? authored.ssml : buildSSML({
                 text,
                 voice
             });
+            const cacheKey = ttsCacheKey({ provider: "azure-speech", voice, format, settings: customEndpoint ? { endpoint: customEndpoint } : null, text: authored ? ssml : text });
+            if (await sendCachedTts(req, res, cacheKey)) return;
 
             try {
                 const responseTTS = await axios.post(
@@ -1568,15 +4474,15 @@ app.post("/api/:service", upload.none(), async (req, res) => {
                         headers: {
                             "Ocp-Apim-Subscription-Key": apiKey,
                             "Content-Type": "application/ssml+xml; charset=utf-8",
-                            "X-Microsoft-OutputFormat": "audio-16khz-32kbitrate-mono-mp3"
+                            "X-Microsoft-OutputFormat": spec.azure[1]
                         },
                         responseType: "arraybuffer",
                         timeout: API_TIMEOUT
                     }
                 );
+                recordUsage(usageContext(req, service), { provider: "azure-speech", model: voice, unit: "characters", quantity: text.length });
 
-                res.setHeader("Content-Type", "audio/mpeg");
-                return res.send(responseTTS.data);
+                return sendTtsAudio(res, cacheKey, responseTTS.data, spec.contentType);
             } catch (err) {
                 const status = err.response?.status || 500;
                 const headers = err.response?.headers || {};
@@ -1610,36 +4516,40 @@ app.post("/api/:service", upload.none(), async (req, res) => {
         }
 
         else if (service === "azureTTS-websocked-Scaleway") {
-            const { text, selectedLanguage, selectedVoice } = req.body;
-            const qFormat = (req.query.format || "").toLowerCase(); // ?format=webm / mp3
-            const wantedFormat = (qFormat === "mp3" || qFormat === "webm") ? qFormat : "webm";
+            const { text: rawText, ssml: authorSsml, selectedLanguage, selectedVoice } = req.body;
+            // ?format=webm (default) / mp3 / opus / wav / pcm_16000 / pcm_24000 / pcm_48000 / ulaw_8000
+            const { format: wantedFormat, spec, ...badFormat } = resolveTtsFormat(req.query.format || req.body.format, "azure-speech", "webm", { accept: req.headers.accept });
+            if (badFormat.error) return res.status(400).json(badFormat);
 
-            if (!text || !text.trim()) {
+            if ((!rawText || !rawText.trim()) && !authorSsml) {
                 return res.status(400).json({ error: "Text is required" });
             }
-            if (!AZ_TTS_KEY || !AZ_TTS_REGION) {
+            const speechCreds = await customerCredentials(req, "azure-speech");
+            const { key: speechKey, region: speechRegion } = azureSpeechConfig(speechCreds);
+            if (!speechKey || !speechRegion) {
                 return res.status(500).json({
                     error: "Missing Azure Speech env vars (AZURE_TTS_KEY_AI_SERVICES, AZURE_REGION_AI_SERVICES)"
                 });
             }
 
             // Mappa lingua -> voce (default)
-            const voiceMap = {
-                "français": "fr-FR-RemyMultilingualNeural",
-                "espagnol": "es-ES-ElviraNeural",
-                "anglais": "en-US-JennyNeural"
-            };
             const lang = (selectedLanguage || "").trim().toLowerCase();
-            const voice = (selectedVoice && selectedVoice.trim()) || voiceMap[lang] || "fr-FR-RemyMultilingualNeural";
+            const voice = (selectedVoice && selectedVoice.trim()) || AZURE_VOICE_BY_LANG[lang] || "fr-FR-RemyMultilingualNeural";
 
-            const ssml = buildSSML({ text, voice });
-            const contentType = wantedFormat === "webm" ? "audio/webm" : "audio/mpeg";
+            const authored = authorSsmlFromRequest(authorSsml, voice);
+            if (authored?.error) return res.status(400).json({ error: authored.error });
+            const text = authored ? authored.text : rawText;
+            const ssml = authored ? authored.ssml : buildSSML({ text, voice });
+            const contentType = spec.contentType;
+            const cacheKey = ttsCacheKey({ provider: "azure-speech", voice, format: wantedFormat, text: authored ? ssml : text });
+            if (await sendCachedTts(req, res, cacheKey)) return;
 
-            const ok = enqueueTtsJob(wantedFormat, { ssml, res, req, contentType });
+            const ok = enqueueTtsJob(wantedFormat, { ssml, res, req, contentType, cacheKey }, speechCreds);
             if (!ok) {
                 // Istanza satura: rispondi 429 così il client può ritentare o un'altra istanza prenderà il carico
                 return res.status(429).json({ error: "Too many TTS requests on this instance, please retry" });
             }
+            recordUsage(usageContext(req, service), { provider: "azure-speech", model: voice, unit: "characters", quantity: text.length });
         }
 
 
@@ -1652,9 +4562,12 @@ app.post("/api/:service", upload.none(), async (req, res) => {
             const voice = allowed.includes((selectedVoice || "").trim().toLowerCase())
                 ? selectedVoice.trim().toLowerCase()
                 : "fable";
+            const { spec, ...badFormat } = resolveTtsFormat(req.body.format || req.query.format, "openai", "mp3", { accept: req.headers.accept });
+            if (badFormat.error) return res.status(400).json(badFormat);
             try {
-                const ttsResp = await openai.audio.speech.create({ model: "tts-1", input: text, voice, instructions: "Speak in a cheerful and positive tone.", response_format: "mp3" });
-                res.setHeader("Content-Type", "audio/mpeg");
+                const ttsResp = await openaiClientFor(await customerCredentials(req, "openai")).audio.speech.create({ model: "tts-1", input: text, voice, instructions: "Speak in a cheerful and positive tone.", response_format: spec.openai });
+                recordUsage(usageContext(req, service), { provider: "openai", model: "tts-1", unit: "characters", quantity: text.length });
+                res.setHeader("Content-Type", spec.contentType);
                 res.setHeader("Transfer-Encoding", "chunked");
                 ttsResp.body.pipe(res);
             } catch (err) {
@@ -1667,18 +4580,22 @@ app.post("/api/:service", upload.none(), async (req, res) => {
         else if (service === "azureTextToSpeech") {
             const { text, selectedVoice } = req.body;
             if (!text) return res.status(400).json({ error: "Text is required" });
-            const endpoint = process.env.AZURE_TTS_ENDPOINT;
-            const apiKey = process.env.AZURE_TTS_KEY;
+            const ttsCreds = await customerCredentials(req, "azure-openai");
+            const endpoint = ttsCreds?.endpoint || process.env.AZURE_TTS_ENDPOINT;
+            const apiKey = ttsCreds?.api_key || process.env.AZURE_TTS_KEY;
             const deployment = "tts";
             const apiVersion = "2025-03-01-preview";
             const url = `${endpoint}/openai/deployments/${deployment}/audio/speech?api-version=${apiVersion}`;
             const voiceMap = { alloy: "alloy", echo: "echo", fable: "fable", onyx: "onyx", nova: "nova", shimmer: "shimmer" };
             const voice = voiceMap[(selectedVoice || "").trim().toLowerCase()] || "fable";
+            const { spec, ...badFormat } = resolveTtsFormat(req.body.format || req.query.format, "azure-openai", "mp3", { accept: req.headers.accept });
+            if (badFormat.error) return res.status(400).json(badFormat);
             try {
-                const response = await axios.post(url, { model: "tts-1", input: text, voice },
-                    { headers: { "Content-Type": "application/json", "api-key": apiKey, "Accept": "audio/mpeg" }, responseType: "arraybuffer" }
+                const response = await axios.post(url, { model: "tts-1", input: text, voice, response_format: spec.openai },
+                    { headers: { "Content-Type": "application/json", "api-key": apiKey, "Accept": spec.contentType }, responseType: "arraybuffer" }
                 );
-                res.setHeader("Content-Type", "audio/mpeg");
+                recordUsage(usageContext(req, service), { provider: "azure-openai", model: "tts-1", unit: "characters", quantity: text.length });
+                res.setHeader("Content-Type", spec.contentType);
                 return res.send(response.data);
             } catch (err) {
                 console.error("Azure TTS error:", err.response?.data || err.message);
@@ -1688,9 +4605,28 @@ app.post("/api/:service", upload.none(), async (req, res) => {
         else if (service === "userList") {
             // aggiungi timeSession dal body (stringa 'HH:MM:SS')
             const { chatbotID, userID, userName, userScore,
-                historique, rapport, usergroup, timeSession } = req.body;
+                rapport, usergroup, timeSession, conversation_id } = req.body;
+            let { historique } = req.body;
+            if (isOtherLearner(req, userID)) {
+                return res.status(403).json({ error: "forbidden", message: "userID must match the authenticated user" });
+            }
 
             try {
+                // Con conversation_id la history viene dai turni salvati e la conversazione viene chiusa
+                if (conversation_id) {
+                    let conv = await loadConversation(conversation_id);
+                    if (conv && conversationForbidden(req, conv)) conv = null;
+                    if (conv && historique == null) {
+                        historique = JSON.stringify(conv.turns.map(t => ({ role: t.role, content: t.content })));
+                    }
+                    if (conv) {
+                        await pool.query(
+                            "UPDATE conversations SET status = 'completed', updated_at = now() WHERE id = $1",
+                            [conv.id]
+                        );
+                    }
+                }
+
                 const result = await pool.query(
                     `INSERT INTO userlist (chatbot_name, user_email, name, score, chat_history, chat_analysis, usergroup, timesession)
                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8::interval)
@@ -1709,17 +4645,11 @@ app.post("/api/:service", upload.none(), async (req, res) => {
 
                 return res
                     .status(201)
-                    .header("Access-Control-Allow-Origin", "*")
-                    .header("Access-Control-Allow-Methods", "GET,POST,OPTIONS")
-                    .header("Access-Control-Allow-Headers", "Content-Type")
                     .json({ message: "Utente inserito!", data: result.rows[0] });
             } catch (err) {
                 console.error("❌ Errore inserimento userList:", err);
                 res
                     .status(500)
-                    .header("Access-Control-Allow-Origin", "*")
-                    .header("Access-Control-Allow-Methods", "GET,POST,OPTIONS")
-                    .header("Access-Control-Allow-Headers", "Content-Type")
                     .json({ error: err.message });
             }
         }
@@ -1740,9 +4670,6 @@ app.post("/api/:service", upload.none(), async (req, res) => {
 
                 return res
                     .status(200)
-                    .header("Access-Control-Allow-Origin", "*")
-                    .header("Access-Control-Allow-Methods", "GET,POST,OPTIONS")
-                    .header("Access-Control-Allow-Headers", "Content-Type")
                     .json({
                         message: "Record aggiornati!",
                         count: result.rowCount,
@@ -1753,15 +4680,15 @@ app.post("/api/:service", upload.none(), async (req, res) => {
                 console.error("❌ Errore aggiornamento gruppo:", err);
                 res
                     .status(500)
-                    .header("Access-Control-Allow-Origin", "*")
-                    .header("Access-Control-Allow-Methods", "GET,POST,OPTIONS")
-                    .header("Access-Control-Allow-Headers", "Content-Type")
                     .json({ error: err.message });
             }
         }
 
         else if (service === "updateUserReview") {
             const { userID, stars, review } = req.body;
+            if (isOtherLearner(req, userID)) {
+                return res.status(403).json({ error: "forbidden", message: "userID must match the authenticated user" });
+            }
 
             try {
                 const result = await pool.query(
@@ -1779,7 +4706,6 @@ app.post("/api/:service", upload.none(), async (req, res) => {
 
                 return res
                     .status(200)
-                    .header("Access-Control-Allow-Origin", "*")
                     .json({
                         message: "Recensione aggiornata!",
                         count: result.rowCount,
@@ -1808,24 +4734,35 @@ app.post("/api/:service", upload.none(), async (req, res) => {
                 websocket_endpoint: "/api/elevenlabs-tts"
             });
         }
+        else if (service === "chat-tts-ws") {
+            return res.status(426).json({
+                error: "Use WebSocket for chat with streaming TTS",
+                websocket_endpoint: "/api/chat-tts-ws"
+            });
+        }
+        else if (service === "stt-ws") {
+            return res.status(426).json({
+                error: "Use WebSocket for streaming speech-to-text",
+                websocket_endpoint: "/api/stt-ws"
+            });
+        }
         // ElevenLabs TTS
         else if (service === "elevenlabs") {
-            const apiKey = process.env.ELEVENLAB_API_KEY;
+            const apiKey = (await customerCredentials(req, "elevenlabs"))?.api_key || process.env.ELEVENLAB_API_KEY;
             if (!apiKey) return res.status(500).json({ error: "ElevenLabs API key missing" });
             const { text, selectedLanguage } = req.body;
-            const voiceMap = { espagnol: "l1zE9xgNpUTaQCZzpNJa", français: "1a3lMdKLUcfcMtvN772u", anglais: "7tRwuZTD1EWi6nydVerp" };
             const lang = (selectedLanguage || "").trim().toLowerCase();
-            const voiceId = voiceMap[lang];
+            const voiceId = ELEVENLABS_VOICE_BY_LANG[lang];
             if (!voiceId) return res.status(400).json({ error: "Not supported language" });
-            const apiUrl = `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}/stream`;
+            const { format, spec, ...badFormat } = resolveTtsFormat(req.body.format || req.query.format, "elevenlabs", "mp3", { accept: req.headers.accept });
+            if (badFormat.error) return res.status(400).json(badFormat);
+            const cacheKey = ttsCacheKey({ provider: "elevenlabs", model: ELEVENLABS_TTS_MODEL, voice: voiceId, format, settings: ELEVENLABS_VOICE_SETTINGS, text });
+            if (await sendCachedTts(req, res, cacheKey)) return;
             try {
-                const response = await axios.post(apiUrl,
-                    { text, model_id: "eleven_flash_v2_5", voice_settings: { stability: 0.6, similarity_boost: 0.7, style: 0.1 } },
-                    { headers: { "xi-api-key": apiKey, "Content-Type": "application/json" }, responseType: "arraybuffer" }
-                );
+                const audio = await elevenlabsTtsRequest(apiKey, { voiceId, text, format });
                 console.log("Audio received from ElevenLabs!");
-                res.setHeader("Content-Type", "audio/mpeg");
-                return res.send(response.data);
+                recordUsage(usageContext(req, service), { provider: "elevenlabs", model: ELEVENLABS_TTS_MODEL, unit: "characters", quantity: (text || "").length });
+                return sendTtsAudio(res, cacheKey, audio, spec.contentType);
             } catch (err) {
                 if (err.response) {
                     let msg;
@@ -1838,194 +4775,1171 @@ app.post("/api/:service", upload.none(), async (req, res) => {
             }
         }
 
-        // Fallback invalid service
-        else {
-            return res.status(400).json({ error: "Invalid service" });
+        // Fallback invalid service
+        else {
+            return res.status(400).json({ error: "Invalid service" });
+        }
+    } catch (error) {
+
+        // ⬇️ evita di rispondere due volte
+        if (res.headersSent) {
+            console.error("❌ (post-catch) headers already sent:", error?.message || error);
+            return;
+        }
+
+        const status = error?.response?.status || 500;
+        const headers = error?.response?.headers || {};
+        const requestId = headers["x-requestid"] || headers["x-ms-requestid"] || "";
+
+        let details = error?.response?.data;
+        if (Buffer.isBuffer(details)) {
+            try { details = details.toString("utf8"); } catch { details = "<buffer>"; }
+        } else if (typeof details === "object") {
+            details = JSON.stringify(details);
+        }
+
+        console.error(`❌ API error on /api/${req.params.service}`, {
+            status,
+            message: error.message,
+            requestId,
+            details,
+        });
+
+        return res.status(status).json({
+            error: "API request error",
+            service: req.params.service,
+            status,
+            message: error.message,
+            requestId,
+            details
+        });
+    }
+});
+
+// Secure endpoint to obtain Azure Speech token
+app.get("/get-azure-token", async (req, res) => {
+    const speechCreds = await customerCredentials(req, "azure-speech");
+    const apiKey = speechCreds?.api_key || process.env.AZURE_SPEECH_API_KEY;
+    const region = speechCreds?.region || process.env.AZURE_REGION_AI_SERVICES;
+    if (!apiKey || !region) return res.status(500).json({ error: "Azure keys missing in the backend" });
+    try {
+        const tokenRes = await axios.post(
+            `https://${region}.api.cognitive.microsoft.com/sts/v1.0/issueToken`,
+            null,
+            { headers: { "Ocp-Apim-Subscription-Key": apiKey } }
+        );
+        res.json({ token: tokenRes.data, region });
+    } catch (err) {
+        console.error("Failed to generate Azure token:", err.response?.data || err.message);
+        res.status(500).json({ error: "Failed to generate token" });
+    }
+});
+
+// ------------------ start heygen ----------------------
+// Tutte le route consumano crediti HeyGen: serve una credenziale anche con AUTH_MODE=off
+
+// === HEYGEN: Streaming token (client -> server -> HeyGen) ===
+app.get("/api/heygen/streaming-token", requireRole("learner"), async (req, res) => {
+    try {
+        const r = await heygen.post("/v1/streaming.create_token", null, heygenOptions(await customerCredentials(req, "heygen")));
+        const token = r.data?.data?.token;
+        if (!token) return res.status(502).json({ error: "No token from HeyGen" });
+        res.json({ token });
+    } catch (e) {
+        const status = e?.response?.status || 500;
+        return res.status(status).json({ error: "HeyGen token error", details: e?.response?.data || e.message });
+    }
+});
+
+// === HEYGEN: Lista streaming avatars (per UI di scelta) ===
+app.get("/api/heygen/streaming/avatars", requireRole("learner"), async (req, res) => {
+    try {
+        const r = await heygen.get("/v1/streaming/avatar.list", heygenOptions(await customerCredentials(req, "heygen")));
+        res.json(r.data);
+    } catch (e) {
+        res.status(e?.response?.status || 500).json({ error: "HeyGen avatars error", details: e?.response?.data || e.message });
+    }
+});
+
+// === HEYGEN: Lista voices (v2) ===
+app.get("/api/heygen/voices", requireRole("learner"), async (req, res) => {
+    try {
+        const r = await heygen.get("/v2/voices", heygenOptions(await customerCredentials(req, "heygen")));
+        res.json(r.data);
+    } catch (e) {
+        res.status(e?.response?.status || 500).json({ error: "HeyGen voices error", details: e?.response?.data || e.message });
+    }
+});
+
+// === HEYGEN: Lista avatars (v2) ===
+app.get("/api/heygen/avatars", requireRole("learner"), async (req, res) => {
+    try {
+        const r = await heygen.get("/v2/avatars", heygenOptions(await customerCredentials(req, "heygen")));
+        res.json(r.data);
+    } catch (e) {
+        res.status(e?.response?.status || 500).json({ error: "HeyGen avatars v2 error", details: e?.response?.data || e.message });
+    }
+});
+
+// === HEYGEN: Generazione video (v2) ===
+app.post("/api/heygen/video/generate", requireRole("learner"), async (req, res) => {
+    const {
+        avatar_id = process.env.HEYGEN_DEFAULT_AVATAR_ID || "default",
+        voice_id = process.env.HEYGEN_DEFAULT_VOICE_ID,
+        text,
+        language = process.env.HEYGEN_DEFAULT_LANG || "fr",
+        ratio = "16:9",        // opzionale: "16:9" | "9:16" | "1:1"
+        background = "green_screen" // o "transparent" (dipende dal piano) / "office" / ecc.
+    } = req.body || {};
+
+    if (!text) return res.status(400).json({ error: "text is required" });
+
+    try {
+        const r = await heygen.post("/v2/video/generate", {
+            avatar_id,
+            voice_id,
+            text,
+            language,
+            ratio,
+            background
+        }, heygenOptions(await customerCredentials(req, "heygen")));
+        // risposta contiene data.video_id
+        res.json(r.data);
+    } catch (e) {
+        res.status(e?.response?.status || 500).json({ error: "HeyGen video generate error", details: e?.response?.data || e.message });
+    }
+});
+
+// === HEYGEN: LiveKit v2 endpoints (proxy sicuro) ===
+app.post("/api/heygen/streaming/new", requireRole("learner"), async (req, res) => {
+    try {
+        const { avatar_id, voice_id, language = "fr", version = "v2" } = req.body || {};
+        const r = await heygen.post("/v1/streaming.new", { version, avatar_id, voice_id, language, background: "transparent" }, heygenOptions(await customerCredentials(req, "heygen")));
+        res.json(r.data?.data || r.data);
+    } catch (e) {
+        res.status(e?.response?.status || 500).json({ error: "HeyGen streaming.new error", details: e?.response?.data || e.message });
+    }
+});
+
+app.post("/api/heygen/streaming/start", requireRole("learner"), async (req, res) => {
+    try {
+        const { session_id } = req.body || {};
+        const r = await heygen.post("/v1/streaming.start", { session_id }, heygenOptions(await customerCredentials(req, "heygen")));
+        res.json(r.data?.data || r.data);
+    } catch (e) {
+        res.status(e?.response?.status || 500).json({ error: "HeyGen streaming.start error", details: e?.response?.data || e.message });
+    }
+});
+
+app.post("/api/heygen/streaming/task", requireRole("learner"), async (req, res) => {
+    try {
+        const { session_id, text, task_type = "talk" } = req.body || {};
+        const r = await heygen.post("/v1/streaming.task", { session_id, text, task_type }, heygenOptions(await customerCredentials(req, "heygen")));
+        res.json(r.data?.data || r.data);
+    } catch (e) {
+        res.status(e?.response?.status || 500).json({ error: "HeyGen streaming.task error", details: e?.response?.data || e.message });
+    }
+});
+
+app.post("/api/heygen/streaming/stop", requireRole("learner"), async (req, res) => {
+    try {
+        const { session_id } = req.body || {};
+        const r = await heygen.post("/v1/streaming.stop", { session_id }, heygenOptions(await customerCredentials(req, "heygen")));
+        res.json(r.data?.data || r.data);
+    } catch (e) {
+        res.status(e?.response?.status || 500).json({ error: "HeyGen streaming.stop error", details: e?.response?.data || e.message });
+    }
+});
+
+// === HEYGEN: Stato video (polling) ===
+app.get("/api/heygen/video/status", requireRole("learner"), async (req, res) => {
+    const { video_id } = req.query;
+    if (!video_id) return res.status(400).json({ error: "video_id is required" });
+    try {
+        // endpoint status
+        const r = await heygen.get("/v1/video_status.get", { params: { video_id }, ...heygenOptions(await customerCredentials(req, "heygen")) });
+        res.json(r.data);
+    } catch (e) {
+        res.status(e?.response?.status || 500).json({ error: "HeyGen video status error", details: e?.response?.data || e.message });
+    }
+});
+
+// ------------------ end heygen ----------------------
+
+// ------------------ start tts batch ----------------------
+// Body: vedi ttsBatchItemsFromBody. Risposta 202 con il job; avanzamento su GET /api/tts/batch/:id
+app.post("/api/tts/batch", requireRole("trainer"), async (req, res) => {
+    if (isUnscopedCredential(req)) return res.status(403).json({ error: "forbidden", message: "credential not scoped to a chatbot" });
+    const parsed = ttsBatchItemsFromBody(req.body || {});
+    if (parsed.error) return res.status(400).json(parsed);
+    if (await rejectIfOverBudget(req, res, { service: "tts-batch", sse: false })) return;
+    const { provider, format, items } = parsed;
+    const owner = credentialOwner(req);
+
+    const id = crypto.randomUUID();
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query("BEGIN");
+        await client.query(
+            `INSERT INTO tts_batch_jobs (id, chatbot_id, user_email, provider, format, total)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [id, owner.chatbotId || null, owner.userEmail || null, provider, format, items.length]
+        );
+        for (const item of items) {
+            await client.query(
+                `INSERT INTO tts_batch_items (job_id, idx, name, text, voice, options)
+                 VALUES ($1, $2, $3, $4, $5, $6)`,
+                [id, item.idx, item.name, item.text, item.voice, JSON.stringify(item.options)]
+            );
+        }
+        await client.query("COMMIT");
+    } catch (e) {
+        await client?.query("ROLLBACK").catch(() => { });
+        console.error("❌ tts batch create error:", e.message);
+        return res.status(500).json({ error: "TTS batch create failed", details: e.message });
+    } finally {
+        client?.release();
+    }
+
+    pruneTtsBatchJobs();
+    startTtsBatchJob({ id, provider, format }, owner);
+    return res.status(202).json(await loadTtsBatchJob(id));
+});
+
+app.get("/api/tts/batch", requireRole("trainer"), async (req, res) => {
+    if (isUnscopedCredential(req)) return res.status(403).json({ error: "forbidden", message: "credential not scoped to a chatbot" });
+    const chatbotId = getChatbotId(req);
+    if (!chatbotId && req.auth.role !== "admin") return res.status(400).json({ error: "chatbot_id is required" });
+    try {
+        const { rows } = await pool.query(
+            `SELECT * FROM tts_batch_jobs
+             WHERE ($1::text IS NULL OR chatbot_id = $1)
+             ORDER BY created_at DESC LIMIT $2`,
+            [chatbotId || null, Math.min(parseInt(req.query.limit, 10) || 50, 200)]
+        );
+        return res.json({ jobs: rows });
+    } catch (e) {
+        console.error("❌ tts batch list error:", e.message);
+        return res.status(500).json({ error: "TTS batch list failed", details: e.message });
+    }
+});
+
+app.get("/api/tts/batch/:id", requireRole("trainer"), async (req, res) => {
+    try {
+        const job = await loadTtsBatchJob(req.params.id);
+        if (!job) return res.status(404).json({ error: "tts_batch_not_found", id: req.params.id });
+        if (ttsBatchForbidden(req, job)) return res.status(403).json({ error: "forbidden", id: job.id });
+        const { rows: items } = await pool.query(
+            `SELECT idx, name, text, voice, options, status, error, bytes, cache_key
+             FROM tts_batch_items WHERE job_id = $1 ORDER BY idx`,
+            [job.id]
+        );
+        const progress = job.total ? Math.round(((job.done + job.failed) / job.total) * 100) : 100;
+        return res.json({ ...job, progress, items });
+    } catch (e) {
+        console.error("❌ tts batch status error:", e.message);
+        return res.status(500).json({ error: "TTS batch status failed", details: e.message });
+    }
+});
+
+// Zip con un file audio per item riuscito + manifest.json (?partial=true per scaricare un job non finito)
+app.get("/api/tts/batch/:id/download", requireRole("trainer"), async (req, res) => {
+    let job;
+    try {
+        job = await loadTtsBatchJob(req.params.id);
+    } catch (e) {
+        console.error("❌ tts batch load error:", e.message);
+        return res.status(500).json({ error: "TTS batch load failed", details: e.message });
+    }
+    if (!job) return res.status(404).json({ error: "tts_batch_not_found", id: req.params.id });
+    if (ttsBatchForbidden(req, job)) return res.status(403).json({ error: "forbidden", id: job.id });
+    if (["queued", "running", "cancelling"].includes(job.status) && req.query.partial !== "true") {
+        return res.status(409).json({ error: "job_not_finished", id: job.id, status: job.status, done: job.done, total: job.total });
+    }
+
+    const ext = TTS_AUDIO_FORMATS[job.format]?.ext || "mp3";
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="tts-batch-${job.id.slice(0, 8)}.zip"`);
+
+    // audio già compresso: nessuna deflate (solo wav/PCM ne guadagnano)
+    const archive = archiver("zip", { store: !["wav", "pcm"].includes(ext) });
+    let aborted = false;
+    res.on("close", () => { aborted = true; });
+    archive.on("error", (e) => {
+        console.error("❌ tts batch zip error:", e.message);
+        res.destroy(e);
+    });
+    archive.pipe(res);
+
+    const manifest = [];
+    try {
+        let lastIdx = -1;
+        while (!aborted) {
+            const { rows } = await pool.query(
+                `SELECT idx, name, text, voice, options, status, error, cache_key, audio
+                 FROM tts_batch_items WHERE job_id = $1 AND idx > $2 ORDER BY idx LIMIT 20`,
+                [job.id, lastIdx]
+            );
+            if (!rows.length) break;
+            for (const { audio, ...item } of rows) {
+                lastIdx = item.idx;
+                const file = audio ? ttsBatchFilename(item, ext) : null;
+                manifest.push({ ...item, file });
+                if (!audio) continue;
+                const written = new Promise(resolve => archive.once("entry", resolve));
+                archive.append(audio, { name: file });
+                await written;
+            }
+        }
+        archive.append(JSON.stringify({ job, items: manifest }, null, 2), { name: "manifest.json" });
+        await archive.finalize();
+    } catch (e) {
+        console.error("❌ tts batch download error:", e.message);
+        res.destroy(e);
+    }
+});
+
+// Job attivo → annullamento (gli item già pronti restano scaricabili); altrimenti eliminazione
+app.delete("/api/tts/batch/:id", requireRole("trainer"), async (req, res) => {
+    try {
+        const job = await loadTtsBatchJob(req.params.id);
+        if (!job) return res.status(404).json({ error: "tts_batch_not_found", id: req.params.id });
+        if (ttsBatchForbidden(req, job)) return res.status(403).json({ error: "forbidden", id: job.id });
+        if (job.status === "queued" || job.status === "running") {
+            await pool.query("UPDATE tts_batch_jobs SET status = 'cancelling', updated_at = now() WHERE id = $1", [job.id]);
+            return res.status(202).json({ ok: true, id: job.id, status: "cancelling" });
         }
-    } catch (error) {
+        await pool.query("DELETE FROM tts_batch_jobs WHERE id = $1", [job.id]);
+        return res.json({ ok: true, id: job.id, deleted: true });
+    } catch (e) {
+        console.error("❌ tts batch delete error:", e.message);
+        return res.status(500).json({ error: "TTS batch delete failed", details: e.message });
+    }
+});
 
-        // ⬇️ evita di rispondere due volte
-        if (res.headersSent) {
-            console.error("❌ (post-catch) headers already sent:", error?.message || error);
-            return;
-        }
+// ------------------ end tts batch ----------------------
 
-        const status = error?.response?.status || 500;
-        const headers = error?.response?.headers || {};
-        const requestId = headers["x-requestid"] || headers["x-ms-requestid"] || "";
+// ------------------ start admin timers ----------------------
 
-        let details = error?.response?.data;
-        if (Buffer.isBuffer(details)) {
-            try { details = details.toString("utf8"); } catch { details = "<buffer>"; }
-        } else if (typeof details === "object") {
-            details = JSON.stringify(details);
+// Admin: ADMIN_API_KEY (x-admin-key o Bearer), oppure JWT / API key con ruolo admin
+const requireAdmin = requireRole("admin");
+
+// Dimentica policy e sessione in cache su QUESTA istanza (le altre si riallineano al prossimo ensureTimerSession)
+function invalidateTimerCache(id) {
+    timerPolicyCache.delete(id);
+    runtimeTimers.delete(id);
+    expiredSticky.delete(id);
+}
+
+function timerAdminView(row) {
+    const expiresAtMs = row.expires_at ? new Date(row.expires_at).getTime() : null;
+    return {
+        timer_chatbot_id: row.timer_chatbot_id,
+        policy: {
+            ttl_ms: Number(row.ttl_ms || 0),
+            sliding: !!row.sliding,
+            hard_stop_at: row.hard_stop_at ? new Date(row.hard_stop_at).toISOString() : null
+        },
+        session: expiresAtMs == null ? null : {
+            expires_at: new Date(expiresAtMs).toISOString(),
+            expired: !!row.expired || expiresAtMs <= now(),
+            remaining_ms: row.expired ? 0 : Math.max(0, expiresAtMs - now())
         }
+    };
+}
 
-        console.error(`❌ API error on /api/${req.params.service}`, {
-            status,
-            message: error.message,
-            requestId,
-            details,
-        });
+const TIMER_ADMIN_SELECT = `
+    SELECT p.timer_chatbot_id, p.ttl_ms, p.sliding, p.hard_stop_at,
+           s.expires_at, s.expired
+    FROM timer_policies p
+    LEFT JOIN timer_sessions s ON s.timer_chatbot_id = p.timer_chatbot_id`;
+
+// Valida i campi policy del body; partial=true per gli update
+function parseTimerPolicyBody(body, partial) {
+    const out = {};
+    if (body.ttl_ms !== undefined) {
+        const ttl = Number(body.ttl_ms);
+        if (!Number.isInteger(ttl) || ttl < 0) return { error: "ttl_ms must be a non-negative integer" };
+        out.ttl_ms = ttl;
+    } else if (!partial) {
+        return { error: "ttl_ms is required" };
+    }
+    if (body.sliding !== undefined) out.sliding = !!body.sliding;
+    if (body.hard_stop_at !== undefined) {
+        if (body.hard_stop_at === null || body.hard_stop_at === "") out.hard_stop_at = null;
+        else if (isNaN(new Date(body.hard_stop_at).getTime())) return { error: "hard_stop_at must be an ISO date" };
+        else out.hard_stop_at = new Date(body.hard_stop_at).toISOString();
+    }
+    return { values: out };
+}
 
-        return res.status(status).json({
-            error: "API request error",
-            service: req.params.service,
-            status,
-            message: error.message,
-            requestId,
-            details
-        });
+async function sendTimerAdminView(res, id, status = 200) {
+    const { rows } = await pool.query(`${TIMER_ADMIN_SELECT} WHERE p.timer_chatbot_id = $1`, [id]);
+    if (!rows[0]) return res.status(404).json({ error: "Timer not found", timer_chatbot_id: id });
+    return res.status(status).json(timerAdminView(rows[0]));
+}
+
+// === ADMIN: lista policy + stato sessioni live ===
+app.get("/api/admin/timers", requireAdmin, async (req, res) => {
+    try {
+        const { rows } = await pool.query(`${TIMER_ADMIN_SELECT} ORDER BY p.timer_chatbot_id`);
+        res.json({ timers: rows.map(timerAdminView) });
+    } catch (e) {
+        console.error("❌ admin timers list error:", e);
+        res.status(500).json({ error: e.message });
     }
 });
 
-// Secure endpoint to obtain Azure Speech token
-app.get("/get-azure-token", async (req, res) => {
-    const apiKey = process.env.AZURE_SPEECH_API_KEY;
-    const region = process.env.AZURE_REGION_AI_SERVICES;
-    if (!apiKey || !region) return res.status(500).json({ error: "Azure keys missing in the backend" });
+app.get("/api/admin/timers/:id", requireAdmin, async (req, res) => {
     try {
-        const tokenRes = await axios.post(
-            `https://${region}.api.cognitive.microsoft.com/sts/v1.0/issueToken`,
-            null,
-            { headers: { "Ocp-Apim-Subscription-Key": apiKey } }
+        await sendTimerAdminView(res, req.params.id);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// === ADMIN: crea policy ===
+app.post("/api/admin/timers", requireAdmin, async (req, res) => {
+    const id = (req.body?.timer_chatbot_id || "").toString().trim();
+    if (!id) return res.status(400).json({ error: "timer_chatbot_id is required" });
+    const parsed = parseTimerPolicyBody(req.body || {}, false);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const v = parsed.values;
+    try {
+        const r = await pool.query(
+            `INSERT INTO timer_policies (timer_chatbot_id, ttl_ms, sliding, hard_stop_at)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (timer_chatbot_id) DO NOTHING`,
+            [id, v.ttl_ms, v.sliding ?? false, v.hard_stop_at ?? null]
         );
-        res.json({ token: tokenRes.data, region });
-    } catch (err) {
-        console.error("Failed to generate Azure token:", err.response?.data || err.message);
-        res.status(500).json({ error: "Failed to generate token" });
+        if (r.rowCount === 0) return res.status(409).json({ error: "Timer already exists", timer_chatbot_id: id });
+        invalidateTimerCache(id);
+        await sendTimerAdminView(res, id, 201);
+    } catch (e) {
+        console.error("❌ admin timer create error:", e);
+        res.status(500).json({ error: e.message });
     }
 });
 
-// ------------------ start heygen ----------------------
+// === ADMIN: aggiorna policy (ttl_ms / sliding / hard_stop_at) ===
+app.put("/api/admin/timers/:id", requireAdmin, async (req, res) => {
+    const id = req.params.id;
+    const parsed = parseTimerPolicyBody(req.body || {}, true);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const v = parsed.values;
+    try {
+        const r = await pool.query(
+            `UPDATE timer_policies SET
+                 ttl_ms = COALESCE($2, ttl_ms),
+                 sliding = COALESCE($3, sliding),
+                 hard_stop_at = CASE WHEN $4::boolean THEN $5::timestamptz ELSE hard_stop_at END,
+                 updated_at = now()
+             WHERE timer_chatbot_id = $1`,
+            [id, v.ttl_ms ?? null, v.sliding ?? null, v.hard_stop_at !== undefined, v.hard_stop_at ?? null]
+        );
+        if (r.rowCount === 0) return res.status(404).json({ error: "Timer not found", timer_chatbot_id: id });
+        invalidateTimerCache(id);
+        await sendTimerAdminView(res, id);
+    } catch (e) {
+        console.error("❌ admin timer update error:", e);
+        res.status(500).json({ error: e.message });
+    }
+});
 
-// === HEYGEN: Streaming token (client -> server -> HeyGen) ===
-app.get("/api/heygen/streaming-token", async (req, res) => {
+// === ADMIN: elimina policy e sessione ===
+app.delete("/api/admin/timers/:id", requireAdmin, async (req, res) => {
+    const id = req.params.id;
     try {
-        const r = await heygen.post("/v1/streaming.create_token");
-        const token = r.data?.data?.token;
-        if (!token) return res.status(502).json({ error: "No token from HeyGen" });
-        res.json({ token });
+        await pool.query("DELETE FROM timer_sessions WHERE timer_chatbot_id = $1", [id]);
+        const r = await pool.query("DELETE FROM timer_policies WHERE timer_chatbot_id = $1", [id]);
+        invalidateTimerCache(id);
+        if (r.rowCount === 0) return res.status(404).json({ error: "Timer not found", timer_chatbot_id: id });
+        res.json({ ok: true, timer_chatbot_id: id });
     } catch (e) {
-        const status = e?.response?.status || 500;
-        return res.status(status).json({ error: "HeyGen token error", details: e?.response?.data || e.message });
+        res.status(500).json({ error: e.message });
     }
 });
 
-// === HEYGEN: Lista streaming avatars (per UI di scelta) ===
-app.get("/api/heygen/streaming/avatars", async (req, res) => {
+// === ADMIN: estendi la sessione (ms in più, oppure nuova scadenza assoluta expires_at) e togli il tombstone ===
+app.post("/api/admin/timers/:id/extend", requireAdmin, async (req, res) => {
+    const id = req.params.id;
+    const { ms, expires_at } = req.body || {};
+    const extraMs = Number(ms);
+    const absolute = expires_at ? new Date(expires_at).getTime() : null;
+    if (absolute === null && (!Number.isInteger(extraMs) || extraMs <= 0)) {
+        return res.status(400).json({ error: "Provide ms (positive integer) or expires_at (ISO date)" });
+    }
+    if (absolute !== null && isNaN(absolute)) return res.status(400).json({ error: "expires_at must be an ISO date" });
+
     try {
-        const r = await heygen.get("/v1/streaming/avatar.list");
-        res.json(r.data);
+        invalidateTimerCache(id);
+        if (!(await ensureTimerSession(id))) return res.status(404).json({ error: "Timer not found", timer_chatbot_id: id });
+        const { rows } = await pool.query(
+            `UPDATE timer_sessions SET
+                 expires_at = CASE
+                     WHEN $2::bigint IS NOT NULL THEN to_timestamp($2::bigint / 1000.0)
+                     ELSE GREATEST(expires_at, now()) + ($3::bigint * interval '1 millisecond')
+                 END,
+                 expired = false,
+                 updated_at = now()
+             WHERE timer_chatbot_id = $1
+             RETURNING (extract(epoch FROM expires_at) * 1000)::bigint AS expires_at_ms, expired`,
+            [id, absolute, absolute === null ? extraMs : null]
+        );
+        applyTimerSessionRow(id, rows[0]);
+        await sendTimerAdminView(res, id);
     } catch (e) {
-        res.status(e?.response?.status || 500).json({ error: "HeyGen avatars error", details: e?.response?.data || e.message });
+        console.error("❌ admin timer extend error:", e);
+        res.status(500).json({ error: e.message });
     }
 });
 
-// === HEYGEN: Lista voices (v2) ===
-app.get("/api/heygen/voices", async (req, res) => {
+// === ADMIN: reset (la prossima richiesta riparte da zero con la policy) ===
+app.post("/api/admin/timers/:id/reset", requireAdmin, async (req, res) => {
+    const id = req.params.id;
     try {
-        const r = await heygen.get("/v2/voices");
-        res.json(r.data);
+        await pool.query("DELETE FROM timer_sessions WHERE timer_chatbot_id = $1", [id]);
+        invalidateTimerCache(id);
+        await sendTimerAdminView(res, id);
     } catch (e) {
-        res.status(e?.response?.status || 500).json({ error: "HeyGen voices error", details: e?.response?.data || e.message });
+        res.status(500).json({ error: e.message });
     }
 });
 
-// === HEYGEN: Lista avatars (v2) ===
-app.get("/api/heygen/avatars", async (req, res) => {
+// === ADMIN: revoca (scadenza immediata) ===
+app.post("/api/admin/timers/:id/revoke", requireAdmin, async (req, res) => {
+    const id = req.params.id;
     try {
-        const r = await heygen.get("/v2/avatars");
-        res.json(r.data);
+        invalidateTimerCache(id);
+        if (!(await ensureTimerSession(id))) return res.status(404).json({ error: "Timer not found", timer_chatbot_id: id });
+        await pool.query(
+            "UPDATE timer_sessions SET expired = true, expires_at = LEAST(expires_at, now()), updated_at = now() WHERE timer_chatbot_id = $1",
+            [id]
+        );
+        applyTimerSessionRow(id, { expired: true });
+        await sendTimerAdminView(res, id);
     } catch (e) {
-        res.status(e?.response?.status || 500).json({ error: "HeyGen avatars v2 error", details: e?.response?.data || e.message });
+        res.status(500).json({ error: e.message });
     }
 });
 
-// === HEYGEN: Generazione video (v2) ===
-app.post("/api/heygen/video/generate", async (req, res) => {
-    const {
-        avatar_id = process.env.HEYGEN_DEFAULT_AVATAR_ID || "default",
-        voice_id = process.env.HEYGEN_DEFAULT_VOICE_ID,
-        text,
-        language = process.env.HEYGEN_DEFAULT_LANG || "fr",
-        ratio = "16:9",        // opzionale: "16:9" | "9:16" | "1:1"
-        background = "green_screen" // o "transparent" (dipende dal piano) / "office" / ecc.
-    } = req.body || {};
+// ------------------ end admin timers ----------------------
 
-    if (!text) return res.status(400).json({ error: "text is required" });
+// ------------------ start admin budgets ----------------------
+
+function budgetAdminView(row) {
+    return {
+        id: row.id,
+        scope: row.scope,
+        scope_id: row.scope_id,
+        period: row.period,
+        max_tokens: row.max_tokens != null ? Number(row.max_tokens) : null,
+        max_cost: row.max_cost != null ? Number(row.max_cost) : null,
+        created_at: new Date(row.created_at).toISOString(),
+        updated_at: new Date(row.updated_at).toISOString()
+    };
+}
+
+// Valida i campi del body; partial=true per gli update (scope / scope_id / period non si cambiano)
+function parseBudgetBody(body, partial) {
+    const out = {};
+    if (!partial) {
+        if (!["chatbot", "user"].includes(body.scope)) return { error: "scope must be 'chatbot' or 'user'" };
+        const scopeId = (body.scope_id || "").toString().trim();
+        if (!scopeId) return { error: "scope_id is required" };
+        if (!["daily", "monthly"].includes(body.period)) return { error: "period must be 'daily' or 'monthly'" };
+        Object.assign(out, { scope: body.scope, scope_id: scopeId, period: body.period });
+    }
+    for (const field of ["max_tokens", "max_cost"]) {
+        if (body[field] === undefined) continue;
+        if (body[field] === null || body[field] === "") { out[field] = null; continue; }
+        const n = Number(body[field]);
+        if (!Number.isFinite(n) || n < 0 || (field === "max_tokens" && !Number.isInteger(n))) {
+            return { error: `${field} must be a non-negative ${field === "max_tokens" ? "integer" : "number"} or null` };
+        }
+        out[field] = n;
+    }
+    return { values: out };
+}
 
+// === ADMIN: lista budget (filtri opzionali ?scope=&scope_id=) ===
+app.get("/api/admin/budgets", requireAdmin, async (req, res) => {
+    const scope = (req.query.scope || "").toString() || null;
+    const scopeId = (req.query.scope_id || "").toString().trim() || null;
     try {
-        const r = await heygen.post("/v2/video/generate", {
-            avatar_id,
-            voice_id,
-            text,
-            language,
-            ratio,
-            background
-        });
-        // risposta contiene data.video_id
-        res.json(r.data);
+        const { rows } = await pool.query(
+            `SELECT * FROM usage_budgets
+             WHERE ($1::text IS NULL OR scope = $1) AND ($2::text IS NULL OR scope_id = $2)
+             ORDER BY scope, scope_id, period`,
+            [scope, scopeId]
+        );
+        res.json({ budgets: rows.map(budgetAdminView) });
     } catch (e) {
-        res.status(e?.response?.status || 500).json({ error: "HeyGen video generate error", details: e?.response?.data || e.message });
+        console.error("❌ admin budgets list error:", e);
+        res.status(500).json({ error: e.message });
     }
 });
 
-// === HEYGEN: LiveKit v2 endpoints (proxy sicuro) ===
-app.post("/api/heygen/streaming/new", async (req, res) => {
+app.get("/api/admin/budgets/:id", requireAdmin, async (req, res) => {
     try {
-        const { avatar_id, voice_id, language = "fr", version = "v2" } = req.body || {};
-        const r = await heygen.post("/v1/streaming.new", { version, avatar_id, voice_id, language, background: "transparent" });
-        res.json(r.data?.data || r.data);
+        const { rows } = await pool.query("SELECT * FROM usage_budgets WHERE id = $1", [parseInt(req.params.id, 10) || 0]);
+        if (!rows[0]) return res.status(404).json({ error: "Budget not found", id: req.params.id });
+        res.json(budgetAdminView(rows[0]));
     } catch (e) {
-        res.status(e?.response?.status || 500).json({ error: "HeyGen streaming.new error", details: e?.response?.data || e.message });
+        res.status(500).json({ error: e.message });
     }
 });
 
-app.post("/api/heygen/streaming/start", async (req, res) => {
+// === ADMIN: crea budget ===
+app.post("/api/admin/budgets", requireAdmin, async (req, res) => {
+    const parsed = parseBudgetBody(req.body || {}, false);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const v = parsed.values;
     try {
-        const { session_id } = req.body || {};
-        const r = await heygen.post("/v1/streaming.start", { session_id });
-        res.json(r.data?.data || r.data);
+        const { rows } = await pool.query(
+            `INSERT INTO usage_budgets (scope, scope_id, period, max_tokens, max_cost)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (scope, scope_id, period) DO NOTHING
+             RETURNING *`,
+            [v.scope, v.scope_id, v.period, v.max_tokens ?? null, v.max_cost ?? null]
+        );
+        if (!rows[0]) {
+            return res.status(409).json({ error: "Budget already exists", scope: v.scope, scope_id: v.scope_id, period: v.period });
+        }
+        res.status(201).json(budgetAdminView(rows[0]));
     } catch (e) {
-        res.status(e?.response?.status || 500).json({ error: "HeyGen streaming.start error", details: e?.response?.data || e.message });
+        console.error("❌ admin budget create error:", e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// === ADMIN: aggiorna limiti (max_tokens / max_cost, null = nessun limite) ===
+app.put("/api/admin/budgets/:id", requireAdmin, async (req, res) => {
+    const parsed = parseBudgetBody(req.body || {}, true);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const v = parsed.values;
+    try {
+        const { rows } = await pool.query(
+            `UPDATE usage_budgets SET
+                 max_tokens = CASE WHEN $2::boolean THEN $3::bigint ELSE max_tokens END,
+                 max_cost = CASE WHEN $4::boolean THEN $5::numeric ELSE max_cost END,
+                 updated_at = now()
+             WHERE id = $1
+             RETURNING *`,
+            [parseInt(req.params.id, 10) || 0,
+                v.max_tokens !== undefined, v.max_tokens ?? null,
+                v.max_cost !== undefined, v.max_cost ?? null]
+        );
+        if (!rows[0]) return res.status(404).json({ error: "Budget not found", id: req.params.id });
+        res.json(budgetAdminView(rows[0]));
+    } catch (e) {
+        console.error("❌ admin budget update error:", e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// === ADMIN: elimina budget ===
+app.delete("/api/admin/budgets/:id", requireAdmin, async (req, res) => {
+    try {
+        const r = await pool.query("DELETE FROM usage_budgets WHERE id = $1", [parseInt(req.params.id, 10) || 0]);
+        if (r.rowCount === 0) return res.status(404).json({ error: "Budget not found", id: req.params.id });
+        res.json({ ok: true, id: Number(req.params.id) });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// ------------------ end admin budgets ----------------------
+
+// ------------------ start auth tokens / api keys ----------------------
+const AUTH_TOKEN_MAX_TTL_S = parseInt(process.env.AUTH_TOKEN_MAX_TTL_S || "43200", 10);
+
+// === Emissione JWT: trainer/admin (es. il backend LMS con la sua API key) firma token per i propri utenti ===
+app.post("/api/auth/token", requireRole("trainer"), (req, res) => {
+    if (!AUTH_JWT_SECRET) return res.status(503).json({ error: "Token issuing disabled (AUTH_JWT_SECRET not set)" });
+    const { email, role = "learner", chatbot_id, ttl_seconds } = req.body || {};
+    if (!AUTH_ROLES.includes(role)) return res.status(400).json({ error: "Invalid role", roles: AUTH_ROLES });
+    if (roleLevel(role) > roleLevel(req.auth.role)) {
+        return res.status(403).json({ error: "forbidden", message: `cannot issue a ${role} token` });
+    }
+    if (role === "learner" && !email) return res.status(400).json({ error: "email is required for learner tokens" });
+
+    const ttl = Math.min(Math.max(parseInt(ttl_seconds, 10) || 3600, 60), AUTH_TOKEN_MAX_TTL_S);
+    const iat = Math.floor(Date.now() / 1000);
+    const chatbotId = req.auth.chatbotId || chatbot_id || null;
+    const token = signJwt({
+        sub: email || null,
+        email: email || null,
+        role,
+        chatbot_id: chatbotId,
+        iat,
+        exp: iat + ttl
+    });
+    return res.json({ access_token: token, token_type: "Bearer", expires_in: ttl, role, chatbot_id: chatbotId });
+});
+
+// === ADMIN: API key backend (provider = 'backend' in api_keys, salvato solo l'hash) ===
+app.get("/api/admin/api-keys", requireAdmin, async (req, res) => {
+    try {
+        const { rows } = await pool.query(
+            `SELECT k.id, u.user_mail AS user_email, COALESCE(k.role, u.role, 'learner') AS role,
+                    k.chatbot_id, k.created_at, k.updated_at
+             FROM api_keys k LEFT JOIN users u ON u.id = k.user_id
+             WHERE k.provider = 'backend' ORDER BY k.id`
+        );
+        return res.json({ keys: rows });
+    } catch (e) {
+        console.error("❌ api key list error:", e.message);
+        return res.status(500).json({ error: "API key list failed", details: e.message });
+    }
+});
+
+// La chiave in chiaro viene restituita solo qui
+app.post("/api/admin/api-keys", requireAdmin, async (req, res) => {
+    const { user_email, role = "trainer", chatbot_id } = req.body || {};
+    if (!AUTH_ROLES.includes(role)) return res.status(400).json({ error: "Invalid role", roles: AUTH_ROLES });
+    if (!user_email) return res.status(400).json({ error: "user_email is required" });
+    try {
+        const u = await pool.query("SELECT id FROM users WHERE user_mail = $1", [user_email]);
+        if (!u.rows[0]) return res.status(404).json({ error: "User not found", user_email });
+
+        const key = BACKEND_KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+        // enc_key non serve per le chiavi backend (si verifica l'hash)
+        const { rows } = await pool.query(
+            `INSERT INTO api_keys (user_id, provider, chatbot_id, enc_key, key_hash, role)
+             VALUES ($1, 'backend', $2, '', $3, $4)
+             RETURNING id, chatbot_id, role, created_at`,
+            [u.rows[0].id, chatbot_id || null, hashBackendKey(key), role]
+        );
+        return res.status(201).json({ ...rows[0], user_email, api_key: key });
+    } catch (e) {
+        console.error("❌ api key create error:", e.message);
+        return res.status(500).json({ error: "API key create failed", details: e.message });
+    }
+});
+
+app.delete("/api/admin/api-keys/:id", requireAdmin, async (req, res) => {
+    try {
+        const { rowCount } = await pool.query(
+            "DELETE FROM api_keys WHERE id = $1 AND provider = 'backend'",
+            [parseInt(req.params.id, 10) || 0]
+        );
+        if (!rowCount) return res.status(404).json({ error: "API key not found", id: req.params.id });
+        authKeyCache.clear();
+        return res.json({ ok: true, id: Number(req.params.id) });
+    } catch (e) {
+        console.error("❌ api key delete error:", e.message);
+        return res.status(500).json({ error: "API key delete failed", details: e.message });
+    }
+});
+
+// ------------------ end auth tokens / api keys ----------------------
+
+// ------------------ start admin cors origins ----------------------
+app.get("/api/admin/cors-origins", requireAdmin, async (req, res) => {
+    try {
+        const { rows } = await pool.query("SELECT id, chatbot_id, origin, created_at FROM cors_origins ORDER BY chatbot_id NULLS FIRST, origin");
+        return res.json({ mode: CORS_MODE, env_origins: CORS_ENV_ORIGINS.map(e => e.origin), origins: rows });
+    } catch (e) {
+        console.error("❌ cors origins list error:", e.message);
+        return res.status(500).json({ error: "CORS origins list failed", details: e.message });
+    }
+});
+
+// Body: { origin, chatbot_id? } (senza chatbot_id l'origine vale per tutti i chatbot)
+app.post("/api/admin/cors-origins", requireAdmin, async (req, res) => {
+    const origin = normalizeOrigin(req.body?.origin);
+    if (!origin) return res.status(400).json({ error: "origin must be a URL origin (https://host[:port]) or https://*.domain" });
+    const chatbotId = (req.body?.chatbot_id || "").toString().trim() || null;
+    try {
+        const { rows } = await pool.query(
+            `INSERT INTO cors_origins (chatbot_id, origin) VALUES ($1, $2)
+             ON CONFLICT (COALESCE(chatbot_id, ''), origin) DO UPDATE SET origin = EXCLUDED.origin
+             RETURNING id, chatbot_id, origin, created_at`,
+            [chatbotId, origin]
+        );
+        corsOriginsCache.loadedAt = 0;
+        return res.status(201).json(rows[0]);
+    } catch (e) {
+        console.error("❌ cors origin create error:", e.message);
+        return res.status(500).json({ error: "CORS origin create failed", details: e.message });
+    }
+});
+
+app.delete("/api/admin/cors-origins/:id", requireAdmin, async (req, res) => {
+    try {
+        const { rowCount } = await pool.query("DELETE FROM cors_origins WHERE id = $1", [parseInt(req.params.id, 10) || 0]);
+        if (!rowCount) return res.status(404).json({ error: "CORS origin not found", id: req.params.id });
+        corsOriginsCache.loadedAt = 0;
+        return res.json({ ok: true, id: Number(req.params.id) });
+    } catch (e) {
+        console.error("❌ cors origin delete error:", e.message);
+        return res.status(500).json({ error: "CORS origin delete failed", details: e.message });
+    }
+});
+
+// ------------------ end admin cors origins ----------------------
+
+// ------------------ start userlist results ----------------------
+// Lettura dei risultati salvati da userList / updateUserGroup / updateUserReview (dashboard trainer)
+
+// score può essere salvato come testo: solo i valori numerici ("12", "12.5", "12,5") entrano nei filtri
+const USERLIST_SCORE_SQL = `(CASE WHEN score::text ~ '^[[:space:]]*-?[0-9]+([.,][0-9]+)?[[:space:]]*$'
+    THEN replace(trim(score::text), ',', '.')::numeric END)`;
+
+const USERLIST_SORTS = {
+    created_at: "created_at",
+    score: USERLIST_SCORE_SQL,
+    timesession: "timesession",
+    stars: "stars",
+    name: "name"
+};
+
+// Valori multipli ammessi: ?chatbot_name=a&chatbot_name=b oppure ?chatbot_name=a,b
+function queryList(value) {
+    if (value === undefined) return [];
+    return (Array.isArray(value) ? value : [value])
+        .flatMap(v => String(v).split(","))
+        .map(v => v.trim())
+        .filter(Boolean);
+}
+
+// from/to → { op, iso }. "to" con sola data (YYYY-MM-DD) include tutta la giornata.
+function parseDateBound(query, key) {
+    if (!query[key]) return null;
+    const raw = String(query[key]);
+    const d = new Date(raw);
+    if (isNaN(d.getTime())) return { error: `${key} must be an ISO date` };
+    if (key === "from") return { op: ">=", iso: d.toISOString() };
+    if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) {
+        d.setUTCDate(d.getUTCDate() + 1);
+        return { op: "<", iso: d.toISOString() };
+    }
+    return { op: "<=", iso: d.toISOString() };
+}
+
+// Filtri comuni (chatbot_name, usergroup, user_email, from/to, min_score/max_score) → WHERE parametrizzato
+function buildUserlistFilters(query = {}) {
+    const where = [];
+    const params = [];
+    const add = (value, build) => {
+        params.push(value);
+        where.push(build(`$${params.length}`));
+    };
+
+    const chatbots = queryList(query.chatbot_name);
+    if (chatbots.length) add(chatbots, p => `chatbot_name = ANY(${p})`);
+    const groups = queryList(query.usergroup);
+    if (groups.length) add(groups, p => `usergroup = ANY(${p})`);
+    if (query.user_email) add(String(query.user_email).trim(), p => `lower(user_email) = lower(${p})`);
+
+    for (const key of ["from", "to"]) {
+        const bound = parseDateBound(query, key);
+        if (bound?.error) return bound;
+        if (bound) add(bound.iso, p => `created_at ${bound.op} ${p}`);
+    }
+
+    for (const [key, op] of [["min_score", ">="], ["max_score", "<="]]) {
+        if (query[key] === undefined || query[key] === "") continue;
+        const v = Number(query[key]);
+        if (!Number.isFinite(v)) return { error: `${key} must be a number` };
+        add(v, p => `${USERLIST_SCORE_SQL} ${op} ${p}`);
+    }
+
+    return { where: where.length ? `WHERE ${where.join(" AND ")}` : "", params };
+}
+
+// Trainer con credenziale di tenant: i filtri sono limitati al proprio chatbot
+function tenantUserlistQuery(req) {
+    return req.auth?.chatbotId ? { ...req.query, chatbot_name: req.auth.chatbotId } : req.query;
+}
+
+const USERLIST_COLUMNS = `id, chatbot_name, user_email, name, score, usergroup,
+    timesession::text AS timesession, EXTRACT(EPOCH FROM timesession)::int AS timesession_seconds,
+    stars, review, created_at`;
+
+// === Sessioni paginate e filtrate ===
+app.get("/api/userlist", requireRole("trainer"), async (req, res) => {
+    const query = tenantUserlistQuery(req);
+    const filters = buildUserlistFilters(query);
+    if (filters.error) return res.status(400).json({ error: filters.error });
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.page_size, 10) || 50, 1), 500);
+    const sortKey = USERLIST_SORTS[req.query.sort] ? req.query.sort : "created_at";
+    const order = String(req.query.order).toLowerCase() === "asc" ? "ASC" : "DESC";
+    const { where, params } = filters;
+
+    try {
+        const total = await pool.query(`SELECT COUNT(*)::int AS n FROM userlist ${where}`, params);
+        const { rows } = await pool.query(
+            `SELECT ${USERLIST_COLUMNS}
+             FROM userlist ${where}
+             ORDER BY ${USERLIST_SORTS[sortKey]} ${order} NULLS LAST, id ${order}
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, pageSize, (page - 1) * pageSize]
+        );
+        const n = total.rows[0].n;
+        return res.json({
+            data: rows,
+            page,
+            page_size: pageSize,
+            total: n,
+            total_pages: Math.ceil(n / pageSize)
+        });
+    } catch (err) {
+        console.error("❌ Errore lettura userlist:", err);
+        return res.status(500).json({ error: err.message });
+    }
+});
+
+// Colonne dell'export, nell'ordine del foglio
+const USERLIST_EXPORT_COLUMNS = [
+    { key: "id", header: "ID", width: 8 },
+    { key: "chatbot_name", header: "Chatbot", width: 20 },
+    { key: "name", header: "Name", width: 24 },
+    { key: "user_email", header: "Email", width: 30 },
+    { key: "usergroup", header: "Group", width: 16 },
+    { key: "score", header: "Score", width: 10 },
+    { key: "timesession", header: "Duration", width: 12 },
+    { key: "stars", header: "Stars", width: 8 },
+    { key: "review", header: "Review", width: 40 },
+    { key: "created_at", header: "Date", width: 22 }
+];
+const USERLIST_EXPORT_BATCH = 1000;
+
+// Legge a blocchi (keyset su id) per non caricare tutta la tabella in memoria
+async function* iterateUserlistRows(filters, columns) {
+    let lastId = 0;
+    const { where, params } = filters;
+    const idParam = `$${params.length + 1}`;
+    const cond = where ? `${where} AND id > ${idParam}` : `WHERE id > ${idParam}`;
+    while (true) {
+        const { rows } = await pool.query(
+            `SELECT ${columns} FROM userlist ${cond} ORDER BY id LIMIT ${USERLIST_EXPORT_BATCH}`,
+            [...params, lastId]
+        );
+        for (const row of rows) yield row;
+        if (rows.length < USERLIST_EXPORT_BATCH) return;
+        lastId = rows[rows.length - 1].id;
+    }
+}
+
+// Valori che Excel interpreterebbe come formula vengono neutralizzati con un apostrofo
+function csvCell(value, delimiter) {
+    if (value === null || value === undefined) return "";
+    let s = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@\t\r]/.test(s) && !/^-?\d+([.,]\d+)?$/.test(s)) s = `'${s}`;
+    if (s.includes(delimiter) || /["\r\n]/.test(s)) s = `"${s.replace(/"/g, '""')}"`;
+    return s;
+}
+
+// === Export CSV / XLSX (stessi filtri di GET /api/userlist) ===
+app.get("/api/userlist/export", requireRole("trainer"), async (req, res) => {
+    const format = String(req.query.format || "csv").toLowerCase();
+    if (!["csv", "xlsx"].includes(format)) {
+        return res.status(400).json({ error: "format must be csv or xlsx" });
+    }
+    const delimiter = req.query.delimiter === ";" ? ";" : ",";
+    const includeAnalysis = ["1", "true", "yes"].includes(String(req.query.include_analysis).toLowerCase());
+    const query = tenantUserlistQuery(req);
+    const filters = buildUserlistFilters(query);
+    if (filters.error) return res.status(400).json({ error: filters.error });
+
+    const columns = includeAnalysis
+        ? [...USERLIST_EXPORT_COLUMNS, { key: "chat_analysis", header: "Analysis", width: 80 }]
+        : USERLIST_EXPORT_COLUMNS;
+    const select = `${USERLIST_COLUMNS}${includeAnalysis ? ", chat_analysis" : ""}`;
+    const scope = queryList(query.chatbot_name).join("_") || "all";
+    const filename = `userlist-${scope.replace(/[^\w.-]+/g, "-")}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    exposeHeaders(res, "Content-Disposition");
+
+    try {
+        if (format === "csv") {
+            res.setHeader("Content-Type", "text/csv; charset=utf-8");
+            // pipeline gestisce backpressure e disconnessione del client (chiude il generatore → niente più query)
+            async function* csvLines() {
+                // BOM: Excel apre correttamente gli accenti
+                yield "\uFEFF" + columns.map(c => csvCell(c.header, delimiter)).join(delimiter) + "\r\n";
+                for await (const row of iterateUserlistRows(filters, select)) {
+                    yield columns.map(c => csvCell(row[c.key], delimiter)).join(delimiter) + "\r\n";
+                }
+            }
+            return await pipeline(Readable.from(csvLines()), res);
+        }
+
+        res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+        const sheet = workbook.addWorksheet("Results");
+        sheet.columns = columns.map(({ key, header, width }) => ({ key, header, width }));
+        sheet.getRow(1).font = { bold: true };
+        sheet.getRow(1).commit();
+        for await (const row of iterateUserlistRows(filters, select)) {
+            if (res.destroyed) return;
+            const score = String(row.score ?? "").trim().replace(",", ".");
+            sheet.addRow({ ...row, score: /^-?\d+(\.\d+)?$/.test(score) ? Number(score) : row.score }).commit();
+        }
+        sheet.commit();
+        await workbook.commit();
+    } catch (err) {
+        if (err.code === "ERR_STREAM_PREMATURE_CLOSE") return; // client disconnesso
+        console.error("❌ Errore export userlist:", err);
+        if (!res.headersSent) return res.status(500).json({ error: err.message });
+        res.destroy(err);
     }
 });
 
-app.post("/api/heygen/streaming/task", async (req, res) => {
-    try {
-        const { session_id, text, task_type = "talk" } = req.body || {};
-        const r = await heygen.post("/v1/streaming.task", { session_id, text, task_type });
-        res.json(r.data?.data || r.data);
-    } catch (e) {
-        res.status(e?.response?.status || 500).json({ error: "HeyGen streaming.task error", details: e?.response?.data || e.message });
+// stars come score: solo valori numerici
+const USERLIST_STARS_SQL = `(CASE WHEN stars::text ~ '^[[:space:]]*[0-9]+([.][0-9]+)?[[:space:]]*$'
+    THEN trim(stars::text)::numeric END)`;
+
+// Sentiment delle recensioni ricavato dalle stelle: >= 4 positive, 3 neutral, <= 2 negative
+const USERLIST_STATS_SELECT = `
+    COUNT(*)::int AS sessions,
+    COUNT(DISTINCT lower(user_email))::int AS learners,
+    ROUND(AVG(score_n), 2) AS avg_score,
+    ROUND(percentile_cont(0.5) WITHIN GROUP (ORDER BY score_n)::numeric, 2) AS median_score,
+    MIN(score_n) AS min_score,
+    MAX(score_n) AS max_score,
+    ROUND(AVG(EXTRACT(EPOCH FROM timesession)))::int AS avg_timesession_seconds,
+    ROUND(AVG(stars_n), 2) AS avg_stars,
+    COUNT(stars_n)::int AS rated,
+    COUNT(*) FILTER (WHERE nullif(trim(review), '') IS NOT NULL)::int AS reviews,
+    COUNT(*) FILTER (WHERE stars_n >= 4)::int AS positive,
+    COUNT(*) FILTER (WHERE stars_n >= 3 AND stars_n < 4)::int AS neutral,
+    COUNT(*) FILTER (WHERE stars_n < 3)::int AS negative`;
+
+function userlistStatsView(row) {
+    const num = v => (v === null || v === undefined ? null : Number(v));
+    return {
+        sessions: row.sessions,
+        learners: row.learners,
+        avg_score: num(row.avg_score),
+        median_score: num(row.median_score),
+        min_score: num(row.min_score),
+        max_score: num(row.max_score),
+        avg_timesession_seconds: row.avg_timesession_seconds,
+        avg_stars: num(row.avg_stars),
+        rated: row.rated,
+        reviews: row.reviews,
+        review_sentiment: { positive: row.positive, neutral: row.neutral, negative: row.negative }
+    };
+}
+
+// Consumi dal ledger per i chatbot del filtro (usergroup non esiste nel ledger)
+async function usageStatsForChatbots(query, chatbots) {
+    if (!chatbots.length) return [];
+    const params = [chatbots];
+    const where = ["chatbot_id = ANY($1)"];
+    if (query.user_email) {
+        params.push(String(query.user_email).trim());
+        where.push(`lower(user_email) = lower($${params.length})`);
     }
-});
+    for (const key of ["from", "to"]) {
+        const bound = parseDateBound(query, key);
+        if (bound) {
+            params.push(bound.iso);
+            where.push(`created_at ${bound.op} $${params.length}`);
+        }
+    }
+    const { rows } = await pool.query(
+        `SELECT chatbot_id, unit, COUNT(*)::int AS requests, SUM(quantity) AS quantity, SUM(cost) AS cost
+         FROM usage_ledger WHERE ${where.join(" AND ")}
+         GROUP BY chatbot_id, unit ORDER BY chatbot_id, unit`,
+        params
+    );
+    const byChatbot = new Map();
+    for (const r of rows) {
+        const entry = byChatbot.get(r.chatbot_id) || { chatbot_id: r.chatbot_id, requests: 0, cost: 0, quantities: {} };
+        entry.requests += r.requests;
+        entry.cost = Number((entry.cost + Number(r.cost || 0)).toFixed(6));
+        entry.quantities[r.unit] = Number(r.quantity || 0);
+        byChatbot.set(r.chatbot_id, entry);
+    }
+    return [...byChatbot.values()];
+}
+
+// === Statistiche aggregate (stessi filtri di GET /api/userlist) ===
+app.get("/api/userlist/analytics", requireRole("trainer"), async (req, res) => {
+    const query = tenantUserlistQuery(req);
+    const filters = buildUserlistFilters(query);
+    if (filters.error) return res.status(400).json({ error: filters.error });
+    const bucketSize = Number(req.query.bucket_size || 10);
+    if (!Number.isFinite(bucketSize) || bucketSize <= 0) {
+        return res.status(400).json({ error: "bucket_size must be a positive number" });
+    }
+
+    const { where, params } = filters;
+    const source = `(SELECT *, ${USERLIST_SCORE_SQL} AS score_n, ${USERLIST_STARS_SQL} AS stars_n
+                     FROM userlist ${where}) u`;
 
-app.post("/api/heygen/streaming/stop", async (req, res) => {
     try {
-        const { session_id } = req.body || {};
-        const r = await heygen.post("/v1/streaming.stop", { session_id });
-        res.json(r.data?.data || r.data);
-    } catch (e) {
-        res.status(e?.response?.status || 500).json({ error: "HeyGen streaming.stop error", details: e?.response?.data || e.message });
+        const [overall, byChatbot, byGroup, distribution, perDay] = await Promise.all([
+            pool.query(`SELECT ${USERLIST_STATS_SELECT} FROM ${source}`, params),
+            pool.query(`SELECT chatbot_name, ${USERLIST_STATS_SELECT} FROM ${source} GROUP BY chatbot_name ORDER BY chatbot_name`, params),
+            pool.query(`SELECT usergroup, ${USERLIST_STATS_SELECT} FROM ${source} GROUP BY usergroup ORDER BY usergroup NULLS LAST`, params),
+            pool.query(
+                `SELECT floor(score_n / $${params.length + 1}) * $${params.length + 1} AS bucket, COUNT(*)::int AS count
+                 FROM ${source} WHERE score_n IS NOT NULL GROUP BY 1 ORDER BY 1`,
+                [...params, bucketSize]
+            ),
+            pool.query(
+                `SELECT to_char(date_trunc('day', created_at), 'YYYY-MM-DD') AS day, COUNT(*)::int AS completions
+                 FROM ${source} WHERE created_at IS NOT NULL GROUP BY 1 ORDER BY 1`,
+                params
+            )
+        ]);
+
+        const chatbots = byChatbot.rows.map(r => r.chatbot_name).filter(Boolean);
+        const usage = await usageStatsForChatbots(query, chatbots).catch(err => {
+            console.error("⚠️ analytics usage error:", err.message);
+            return [];
+        });
+
+        return res.json({
+            overall: userlistStatsView(overall.rows[0]),
+            by_chatbot: byChatbot.rows.map(r => ({ chatbot_name: r.chatbot_name, ...userlistStatsView(r) })),
+            by_usergroup: byGroup.rows.map(r => ({ usergroup: r.usergroup, ...userlistStatsView(r) })),
+            score_distribution: distribution.rows.map(r => ({
+                from: Number(r.bucket),
+                to: Number(r.bucket) + bucketSize,
+                count: r.count
+            })),
+            completions_per_day: perDay.rows,
+            usage
+        });
+    } catch (err) {
+        console.error("❌ Errore analytics userlist:", err);
+        return res.status(500).json({ error: err.message });
     }
 });
 
-// === HEYGEN: Stato video (polling) ===
-app.get("/api/heygen/video/status", async (req, res) => {
-    const { video_id } = req.query;
-    if (!video_id) return res.status(400).json({ error: "video_id is required" });
+// === Singola sessione, con chat_history e chat_analysis ===
+app.get("/api/userlist/:id", requireRole("trainer"), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || String(id) !== req.params.id) {
+        return res.status(400).json({ error: "Invalid id" });
+    }
     try {
-        // endpoint status
-        const r = await heygen.get("/v1/video_status.get", { params: { video_id } });
-        res.json(r.data);
-    } catch (e) {
-        res.status(e?.response?.status || 500).json({ error: "HeyGen video status error", details: e?.response?.data || e.message });
+        const { rows } = await pool.query(
+            `SELECT ${USERLIST_COLUMNS}, chat_history, chat_analysis FROM userlist WHERE id = $1`,
+            [id]
+        );
+        if (!rows[0]) return res.status(404).json({ error: "Session not found", id });
+        if (req.auth.chatbotId && rows[0].chatbot_name !== req.auth.chatbotId) {
+            return res.status(403).json({ error: "forbidden", id });
+        }
+        return res.json(rows[0]);
+    } catch (err) {
+        console.error("❌ Errore lettura userlist:", err);
+        return res.status(500).json({ error: err.message });
     }
 });
 
-// ------------------ end heygen ----------------------
+// ------------------ end userlist results ----------------------
 
 // Start server
 /*
@@ -2038,6 +5952,128 @@ const server = http.createServer(app);
 const wss = new WebSocket.Server({ noServer: true });
 const wssEl = new WebSocket.Server({ noServer: true });
 const wssAzureTTS = new WebSocket.Server({ noServer: true });
+const wssChatTts = new WebSocket.Server({ noServer: true });
+const wssStt = new WebSocket.Server({ noServer: true });
+
+// Risposta HTTP "grezza" sul socket quando rifiutiamo un upgrade
+function rejectUpgrade(socket, status, payload, headers = {}) {
+    const body = JSON.stringify(payload);
+    const extra = Object.entries(headers).map(([k, v]) => `${k}: ${v}\r\n`).join("");
+    try {
+        socket.end(
+            `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+            "Content-Type: application/json\r\n" +
+            extra +
+            `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+            "Connection: close\r\n\r\n" +
+            body
+        );
+    } catch {
+        socket.destroy();
+    }
+}
+
+// Controllo timer (timer_chatbot_id in query) prima dell'handshake, poi watchdog sulla connessione
+// Provider usati da ciascun bridge WS (per la ricerca delle chiavi del cliente)
+const WS_PROVIDERS = {
+    "/api/fullCustomRealtimeAzureOpenAI": ["azure-openai", "elevenlabs"],
+    "/api/elevenlabs-tts": ["elevenlabs"],
+    "/api/azure-tts-ws": ["azure-speech"],
+    "/api/chat-tts-ws": ["azure-speech", "openai", "elevenlabs"],
+    "/api/stt-ws": ["azure-speech"]
+};
+
+async function acceptUpgrade(wsServer, req, socket, head) {
+    let url;
+    try {
+        url = new URL(req.url, `http://${req.headers.host}`);
+    } catch {
+        return rejectUpgrade(socket, 400, { ok: false, error: "bad_request" });
+    }
+    const requested = (url.searchParams.get("chatbot_id") || "").trim();
+
+    // Stessa allowlist CORS delle route HTTP (il browser manda sempre Origin sull'handshake)
+    if (!(await isOriginAllowed(req.headers.origin, requested))) {
+        return rejectUpgrade(socket, 403, { ok: false, error: "origin_not_allowed", origin: req.headers.origin });
+    }
+
+    // Auth: il browser non può mandare header sui WS → ?access_token= / ?api_key=
+    try {
+        const result = await resolveAuth(req.headers, Object.fromEntries(url.searchParams));
+        if (result?.error) return rejectUpgrade(socket, 401, { ok: false, error: "unauthorized", message: result.error });
+        req.auth = result?.auth || null;
+    } catch (e) {
+        console.error("❌ upgrade auth error:", e?.message || e);
+        return rejectUpgrade(socket, 503, { ok: false, error: "auth_unavailable" });
+    }
+    if (!req.auth && AUTH_MODE === "enforce") {
+        return rejectUpgrade(socket, 401, { ok: false, error: "unauthorized", message: "Missing credential" });
+    }
+    if (req.auth?.chatbotId && requested && requested !== req.auth.chatbotId) {
+        return rejectUpgrade(socket, 403, { ok: false, error: "forbidden", message: "chatbot_id outside credential scope" });
+    }
+
+    let tId = "";
+    try {
+        tId = (url.searchParams.get("timer_chatbot_id") || "").trim();
+        if (tId && await loadTimerPolicy(tId)) {
+            await ensureTimerSession(tId);
+            if (isTimerExpired(tId)) {
+                return rejectUpgrade(socket, 403, { ok: false, error: "session_expired", timer_chatbot_id: tId, remaining_ms: 0 });
+            }
+        }
+    } catch (e) {
+        console.error("❌ upgrade timer check error:", e?.message || e);
+    }
+
+    // Rate limit sulle nuove connessioni + tetto di sessioni contemporanee
+    const service = rateLimitService(url.pathname);
+    const ids = {
+        ip: upgradeClientIp(req),
+        user: (req.auth?.email || url.searchParams.get("user_email") || "").trim(),
+        chatbot: req.auth?.chatbotId || requested
+    };
+    const rate = takeRateToken(service, ids);
+    if (rate && !rate.allowed) {
+        return rejectUpgrade(socket, 429,
+            { ok: false, error: "rate_limited", service, scope: rate.dimension, retry_after: rate.retryAfter },
+            { "Retry-After": rate.retryAfter });
+    }
+    const slot = acquireWsSession(service, ids);
+    if (slot.error) {
+        return rejectUpgrade(socket, 429,
+            { ok: false, error: "too_many_sessions", service, scope: slot.error, max_sessions: slot.max },
+            { "Retry-After": 5 });
+    }
+    socket.once("close", slot.release);
+
+    // Budget: un tenant oltre quota non apre nuovi stream. Fail-open su errori DB come le route HTTP.
+    try {
+        const budget = await checkBudget(usageContextFromUrl(url, service, req.auth));
+        if (budget?.exceeded) {
+            slot.release();
+            console.warn("⛔ quota_exceeded (ws):", service, budget.scope, budget.scope_id, budget.period);
+            const retryAfter = budgetRetryAfter(budget);
+            return rejectUpgrade(socket, 429, { ok: false, ...quotaPayload(budget) }, retryAfter ? { "Retry-After": retryAfter } : {});
+        }
+    } catch (e) {
+        console.error("❌ upgrade budget check error:", e?.message || e);
+    }
+
+    // Chiavi del cliente risolte prima dell'handshake: gli handler "connection" sono sincroni
+    req.providerCreds = {};
+    const owner = scopedCredentialOwner(req.auth, { chatbotId: requested, userEmail: ids.user });
+    for (const provider of WS_PROVIDERS[url.pathname] || []) {
+        req.providerCreds[provider] = await findProviderCredentials(provider, owner);
+    }
+    req.credentialOwner = owner; // per gli adapter chat (/api/chat-tts-ws)
+
+    wsServer.handleUpgrade(req, socket, head, (ws) => {
+        ws.once("close", slot.release);
+        watchWsTimer(ws, tId);
+        wsServer.emit("connection", ws, req);
+    });
+}
 
 // ✅ Router unico per gli upgrade WS
 server.on("upgrade", (req, socket, head) => {
@@ -2048,23 +6084,27 @@ server.on("upgrade", (req, socket, head) => {
     } catch { }
 
     if (pathname === "/api/fullCustomRealtimeAzureOpenAI") {
-        wss.handleUpgrade(req, socket, head, (ws) => {
-            wss.emit("connection", ws, req);
-        });
+        acceptUpgrade(wss, req, socket, head);
         return;
     }
 
     if (pathname === "/api/elevenlabs-tts") {
-        wssEl.handleUpgrade(req, socket, head, (ws) => {
-            wssEl.emit("connection", ws, req);
-        });
+        acceptUpgrade(wssEl, req, socket, head);
         return;
     }
 
     if (pathname === "/api/azure-tts-ws") {                // 👈 nuovo
-        wssAzureTTS.handleUpgrade(req, socket, head, (ws) => {
-            wssAzureTTS.emit("connection", ws, req);
-        });
+        acceptUpgrade(wssAzureTTS, req, socket, head);
+        return;
+    }
+
+    if (pathname === "/api/chat-tts-ws") {
+        acceptUpgrade(wssChatTts, req, socket, head);
+        return;
+    }
+
+    if (pathname === "/api/stt-ws") {
+        acceptUpgrade(wssStt, req, socket, head);
         return;
     }
 
@@ -2073,8 +6113,13 @@ server.on("upgrade", (req, socket, head) => {
 });
 
 
-server.listen(port, () => {
-    console.log(`HTTP+WS server on http://localhost:${port}`);
+// Schema prima di accettare richieste: le route presuppongono che le tabelle esistano già
+ensureSchema().then(() => {
+    server.listen(port, () => {
+        console.log(`HTTP+WS server on http://localhost:${port}`);
+        warnIfCorsAllowlistEmpty();
+        recoverStaleTtsBatchJobs();
+    });
 });
 
 // helper: decode base64 el_vs e normalizza i valori
@@ -2096,7 +6141,7 @@ function parseElVS(b64) {
 }
 
 // util per SSML con stile, rate e pitch
-function buildSSMLv2({ text, voice, style, styleDegree, rate, pitch }) {
+function buildSSMLv2({ text, voice, style, styleDegree, rate, pitch, visemeType }) {
     const v = voice || "fr-FR-RemyMultilingualNeural";
     const locale = v.substring(0, 5);
     const safe = escapeXml(text || "");
@@ -2107,14 +6152,21 @@ function buildSSMLv2({ text, voice, style, styleDegree, rate, pitch }) {
         ? `<mstts:express-as style="${style}"${styleDegree ? ` styledegree="${styleDegree}"` : ""}>${prosody}</mstts:express-as>`
         : prosody;
 
+    // visemeType: "FacialExpression" (blend shapes) o "redlips_front" (SVG) → animation negli eventi viseme
+    const viseme = visemeType ? `<mstts:viseme type="${visemeType}"/>` : "";
+
     return `
 <speak version="1.0" xml:lang="${locale}" xmlns:mstts="https://www.w3.org/2001/mstts">
-  <voice name="${v}">${body}</voice>
+  <voice name="${v}">${viseme}${body}</voice>
 </speak>`.trim();
 }
 
+// offset/durate dell'SDK Speech in tick da 100 ns
+const ticksToMs = (ticks) => Math.round((Number(ticks) || 0) / 10000);
+
 wssAzureTTS.on("connection", (ws, req) => {
-    if (!AZ_TTS_KEY || !AZ_TTS_REGION) {
+    const { key: speechKey, region: speechRegion } = azureSpeechConfig(req.providerCreds?.["azure-speech"]);
+    if (!speechKey || !speechRegion) {
         try { ws.close(1011, "Missing Azure Speech env vars"); } catch { }
         return;
     }
@@ -2122,71 +6174,184 @@ wssAzureTTS.on("connection", (ws, req) => {
     // parametri opzionali in query: ?voice=fr-FR-RemyMultilingualNeural
     const urlObj = new URL(req.url, `http://${req.headers.host}`);
     const qVoice = urlObj.searchParams.get("voice");
+    const usageCtx = usageContextFromUrl(urlObj, "azure-tts-ws", req.auth);
+
+    // eventi temporizzati opzionali: ?events=word,sentence,punctuation,viseme (&viseme_type=blendshapes|svg)
+    // → { word: {...} } / { viseme: {...} } insieme ai chunk audio; offset_ms relativo all'inizio dell'audio del testo corrente
+    const wantedEvents = new Set((urlObj.searchParams.get("events") || "").split(",").map(e => e.trim().toLowerCase()).filter(Boolean));
+    const wantBoundaries = ["word", "sentence", "punctuation"].some(e => wantedEvents.has(e));
+    const visemeType = { blendshapes: "FacialExpression", svg: "redlips_front" }[(urlObj.searchParams.get("viseme_type") || "").toLowerCase()];
+
+    // formato dei chunk { audio }: ?format=pcm_24000 (default, PCM 24k 16bit mono) / pcm_16000 / pcm_48000 / ulaw_8000 / mp3 / opus / webm (niente wav: l'header RIFF richiede la lunghezza totale)
+    const { spec: audioFormat, ...badFormat } = resolveTtsFormat(urlObj.searchParams.get("format"), "azure-speech", "pcm_24000", { streaming: true });
+    if (badFormat.error) {
+        try { ws.close(1008, badFormat.error.slice(0, 120)); } catch { }
+        return;
+    }
 
-    // istanzio un sintetizzatore per QUESTA connessione, formato PCM 24k 16bit mono
-    const speechConfig = sdk.SpeechConfig.fromSubscription(AZ_TTS_KEY, AZ_TTS_REGION);
-    speechConfig.speechSynthesisOutputFormat = sdk.SpeechSynthesisOutputFormat.Raw24Khz16BitMonoPcm;
-    const synth = new sdk.SpeechSynthesizer(speechConfig);
+    // istanzio un sintetizzatore per QUESTA connessione
+    const speechConfig = sdk.SpeechConfig.fromSubscription(speechKey, speechRegion);
+    speechConfig.speechSynthesisOutputFormat = sdk.SpeechSynthesisOutputFormat[audioFormat.azure[0]];
+    if (wantedEvents.has("sentence")) speechConfig.setProperty(sdk.PropertyId.SpeechServiceResponse_RequestSentenceBoundary, "true");
+    if (wantedEvents.has("punctuation")) speechConfig.setProperty(sdk.PropertyId.SpeechServiceResponse_RequestPunctuationBoundary, "true");
+    // Ogni testo è un'utterance con id (del client: "utterance"/"id", altrimenti u1, u2, ...):
+    // tutti gli eventi portano "utterance". Barge-in: { cancel: true } ferma quella in corso
+    // (il synth viene chiuso e ricreato: l'SDK non ha uno stop per la singola richiesta) e svuota la coda;
+    // { cancel: true, utterance } annulla solo quella. Risposta: { cancelled: true, utterances: [...] }.
+    const createSynth = () => new sdk.SpeechSynthesizer(speechConfig);
+    let synth = createSynth();
+
+    const BOUNDARY_KINDS = {
+        [sdk.SpeechSynthesisBoundaryType.Word]: "word",
+        [sdk.SpeechSynthesisBoundaryType.Sentence]: "sentence",
+        [sdk.SpeechSynthesisBoundaryType.Punctuation]: "punctuation"
+    };
 
     let busy = false;
     const queue = [];
+    let current = null; // job in sintesi
     let closed = false;
+    let utteranceSeq = 0;
+
+    const sendWs = (payload) => {
+        if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(payload));
+    };
+
+    const clearHandlers = () => {
+        synth.synthesizing = undefined;
+        synth.synthesisCompleted = undefined;
+        synth.canceled = undefined;
+        synth.wordBoundary = undefined;
+        synth.visemeReceived = undefined;
+    };
 
     const doNext = () => {
         if (closed || busy || queue.length === 0) return;
         busy = true;
-        const job = queue.shift(); // { ssml }
-        let sentAny = false;
+        const job = queue.shift(); // { ssml, text, utterance, voice }
+        current = job;
+        let textCursor = 0; // text_offset calcolato sul testo in chiaro (quello dell'SDK punta dentro l'SSML)
+        // eventi di un job annullato (synth chiuso) vengono ignorati
+        const send = (payload) => {
+            if (current === job) sendWs({ ...payload, utterance: job.utterance });
+        };
+        const finish = () => {
+            if (current !== job) return;
+            current = null;
+            busy = false;
+            // IMPORTANT: rimuovi i listener per il prossimo job
+            clearHandlers();
+            doNext();
+        };
+
+        send({ started: true });
+        recordUsage(usageCtx, { provider: "azure-speech", model: job.voice, unit: "characters", quantity: job.text.length });
+
+        if (wantBoundaries) {
+            synth.wordBoundary = (_s, e) => {
+                const kind = BOUNDARY_KINDS[e.boundaryType] || "word";
+                if (!wantedEvents.has(kind)) return;
+                // le frasi arrivano prima delle loro parole: non spostano il cursore
+                const at = job.text.indexOf(e.text, textCursor);
+                const textOffset = at >= 0 ? at : null;
+                if (at >= 0 && kind !== "sentence") textCursor = at + e.text.length;
+                send({
+                    word: {
+                        boundary: kind,
+                        text: e.text,
+                        offset_ms: ticksToMs(e.audioOffset),
+                        duration_ms: ticksToMs(e.duration),
+                        text_offset: textOffset,
+                        length: e.text.length
+                    }
+                });
+            };
+        }
+        if (wantedEvents.has("viseme")) {
+            synth.visemeReceived = (_s, e) => {
+                send({
+                    viseme: {
+                        id: e.visemeId,
+                        offset_ms: ticksToMs(e.audioOffset),
+                        ...(e.animation ? { animation: e.animation } : {})
+                    }
+                });
+            };
+        }
 
         // stream chunk-by-chunk
         synth.synthesizing = (_s, e) => {
             const bytes = e?.result?.audioData;
             if (bytes && bytes.byteLength) {
-                sentAny = true;
-                ws.send(JSON.stringify({ audio: Buffer.from(bytes).toString("base64") }));
+                send({ audio: Buffer.from(bytes).toString("base64") });
             }
         };
         synth.synthesisCompleted = () => {
-            ws.send(JSON.stringify({ done: true }));
-            busy = false;
-            // IMPORTANT: rimuovi i listener per il prossimo job
-            synth.synthesizing = undefined;
-            synth.synthesisCompleted = undefined;
-            synth.canceled = undefined;
-            doNext();
+            send({ done: true });
+            finish();
         };
         synth.canceled = (_s, e) => {
-            ws.send(JSON.stringify({ error: e?.errorDetails || "synthesis canceled" }));
-            busy = false;
-            synth.synthesizing = undefined;
-            synth.synthesisCompleted = undefined;
-            synth.canceled = undefined;
-            doNext();
+            send({ error: e?.errorDetails || "synthesis canceled" });
+            finish();
         };
 
         synth.speakSsmlAsync(job.ssml, () => { }, (err) => {
-            ws.send(JSON.stringify({ error: String(err) }));
-            busy = false;
-            synth.synthesizing = undefined;
-            synth.synthesisCompleted = undefined;
-            synth.canceled = undefined;
-            doNext();
+            send({ error: String(err) });
+            finish();
         });
     };
 
+    const cancelUtterances = (utterance) => {
+        const cancelled = [];
+        for (let i = queue.length - 1; i >= 0; i--) {
+            if (utterance == null || queue[i].utterance === utterance) cancelled.unshift(queue.splice(i, 1)[0].utterance);
+        }
+        if (current && (utterance == null || current.utterance === utterance)) {
+            cancelled.unshift(current.utterance);
+            current = null;
+            busy = false;
+            clearHandlers();
+            try { synth.close(); } catch { }
+            synth = createSynth();
+        }
+        sendWs({ cancelled: true, utterances: cancelled });
+        doNext();
+    };
+
+    const enqueue = (msg, job) => {
+        const clientId = msg.utterance ?? msg.id;
+        const utterance = clientId != null && clientId !== "" ? String(clientId).slice(0, 64) : `u${++utteranceSeq}`;
+        queue.push({ ...job, utterance });
+        sendWs({ queued: true, utterance });
+        doNext();
+    };
+
     ws.on("message", (data) => {
         let msg; try { msg = JSON.parse(data.toString()); } catch { return; }
-        if (typeof msg.text === "string") {
+        if (msg.cancel) {
+            const target = msg.utterance ?? msg.id;
+            cancelUtterances(target != null && target !== "" ? String(target) : null);
+        } else if (typeof msg.ssml === "string") {
+            // SSML dell'autore: stessa whitelist dei servizi HTTP
+            const voice = msg.voice || qVoice || "fr-FR-RemyMultilingualNeural";
+            const authored = authorSsmlFromRequest(msg.ssml, voice, visemeType);
+            if (authored?.error) {
+                sendWs({ error: authored.error, ...(msg.utterance ?? msg.id ? { utterance: String(msg.utterance ?? msg.id) } : {}) });
+                return;
+            }
+            enqueue(msg, { ssml: authored.ssml, text: authored.text, voice: authored.voices[0] });
+        } else if (typeof msg.text === "string") {
+            const voice = msg.voice || qVoice || "fr-FR-RemyMultilingualNeural";
             const ssml = buildSSMLv2({
                 text: msg.text,
-                voice: msg.voice || qVoice || "fr-FR-RemyMultilingualNeural",
+                voice,
                 style: msg.style,
                 styleDegree: msg.styleDegree,
                 rate: msg.rate,
-                pitch: msg.pitch
+                pitch: msg.pitch,
+                visemeType
             });
-            queue.push({ ssml });
-            doNext();
+            enqueue(msg, { ssml, text: msg.text, voice });
         } else if (msg.flush) {
             // niente da fare specifico con Azure; i job vanno a fine con Completed
         }
@@ -2194,12 +6359,422 @@ wssAzureTTS.on("connection", (ws, req) => {
 
     const cleanup = () => {
         closed = true;
+        current = null;
+        queue.length = 0;
         try { synth.close(); } catch { }
     };
     ws.on("close", cleanup);
     ws.on("error", cleanup);
 });
 
+// === Pipeline chat → frasi → TTS su un'unica WebSocket: /api/chat-tts-ws ===
+// Per i simulatori testuali: il browser non deve più leggere l'SSE e chiamare a parte il TTS.
+// Query: ?tts=azure-speech (default) | openai | elevenlabs, &voice=, &language=, &format=pcm_24000 (vedi TTS_AUDIO_FORMATS)
+//        + chatbot_id / user_email / access_token / timer_chatbot_id come gli altri WS.
+// Client → { messages | input, instructions?, provider?, model?, temperature?, ..., voice? } avvia un turno
+//          (stesso body di /api/chat; un turno in corso viene interrotto = barge-in), { cancel: true } lo interrompe e basta.
+// Server → { turn, started }, { turn, delta } testo LLM, { turn, utterance, sentence } frase mandata al TTS,
+//          { utterance, audio } base64, { utterance, done } | { utterance, error }, { turn, usage, meta } a fine testo,
+//          { turn, turn_done } a fine audio, { cancelled, turn, utterances }, { turn, error } (quota, LLM).
+const CHAT_TTS_PROVIDERS = ["azure-speech", "openai", "elevenlabs"];
+const CHAT_TTS_PREFETCH = parseInt(process.env.CHAT_TTS_PREFETCH || "2", 10); // frasi sintetizzate in anticipo
+
+// Spezza il testo in streaming in frasi: fine frase = .!?… seguito da spazio, oppure a capo.
+// Le frasi troppo corte si uniscono alla successiva, quelle troppo lunghe si tagliano su virgola/spazio.
+function createSentenceSegmenter({ minChars = 20, maxChars = 300 } = {}) {
+    let buffer = "";
+    const take = (end) => {
+        const sentence = buffer.slice(0, end).trim();
+        buffer = buffer.slice(end);
+        return sentence;
+    };
+    return {
+        push(text) {
+            buffer += text;
+            const out = [];
+            while (true) {
+                const re = /[.!?…。！？]+["'»”)\]]*\s+|\n+/g;
+                let cut = -1;
+                let m;
+                while ((m = re.exec(buffer))) {
+                    if (m.index + m[0].length >= minChars) { cut = m.index + m[0].length; break; }
+                }
+                if (cut < 0 && buffer.length > maxChars) {
+                    const window = buffer.slice(0, maxChars);
+                    const comma = window.lastIndexOf(", ");
+                    const space = window.lastIndexOf(" ");
+                    cut = comma > minChars ? comma + 1 : space > minChars ? space : maxChars;
+                }
+                if (cut < 0) break;
+                const sentence = take(cut);
+                if (sentence) out.push(sentence);
+            }
+            return out;
+        },
+        flush() {
+            const sentence = take(buffer.length);
+            return sentence ? [sentence] : [];
+        }
+    };
+}
+
+function chatTtsVoice(provider, requested, lang) {
+    const voice = (requested || "").toString().trim();
+    if (provider === "openai") return OPENAI_TTS_VOICES.includes(voice.toLowerCase()) ? voice.toLowerCase() : "fable";
+    if (provider === "elevenlabs") {
+        return voice.replace(/[^A-Za-z0-9_\-]/g, "").slice(0, 64) || ELEVENLABS_VOICE_BY_LANG[lang] || process.env.ELEVENLABS_DEFAULT_VOICE_ID;
+    }
+    return voice || AZURE_VOICE_BY_LANG[lang] || "fr-FR-RemyMultilingualNeural";
+}
+
+// Sintetizza una frase passando i chunk a onChunk; signal interrompe la richiesta al provider
+async function streamSentenceAudio({ provider, voice, format, creds }, text, { onChunk, signal }) {
+    const spec = TTS_AUDIO_FORMATS[format];
+    if (provider === "azure-speech") {
+        await renderTtsToBuffer(format, { ssml: buildSSML({ text, voice }) }, creds, { onChunk, signal });
+        return;
+    }
+    if (provider === "openai") {
+        const apiKey = creds?.api_key || process.env.OPENAI_API_KEY_SIMULATEUR;
+        if (!apiKey) throw new Error("OpenAI API key missing");
+        const response = await axios.post(
+            "https://api.openai.com/v1/audio/speech",
+            { model: "gpt-4o-mini-tts", input: text, voice, instructions: OPENAI_TTS_INSTRUCTIONS, response_format: spec.openai },
+            { headers: { Authorization: `Bearer ${apiKey}`, "Content-Type": "application/json" }, responseType: "stream", signal }
+        );
+        for await (const chunk of response.data) onChunk(Buffer.from(chunk));
+        return;
+    }
+    // ElevenLabs: una connessione stream-input per frase, chiusa dal flush finale
+    const el = openElevenLabsWs({ voiceId: voice, modelId: ELEVENLABS_TTS_MODEL, voiceSettings: ELEVENLABS_VOICE_SETTINGS, creds, outputFormat: spec.elevenlabs });
+    await new Promise((resolve, reject) => {
+        signal.addEventListener("abort", () => {
+            try { el.ws.close(); } catch { }
+            reject(Object.assign(new Error("TTS aborted"), { code: "aborted" }));
+        }, { once: true });
+        el.ws.on("message", (m) => {
+            let d; try { d = JSON.parse(m.toString("utf8")); } catch { return; }
+            if (d.audio) onChunk(Buffer.from(d.audio, "base64"));
+            if (d.error) reject(new Error(d.message || d.error));
+            if (d.isFinal) {
+                try { el.ws.close(); } catch { }
+                resolve();
+            }
+        });
+        el.ws.on("close", () => resolve());
+        el.ws.on("error", reject);
+        el.sendText(`${text} `);
+        el.flushAndClose();
+    });
+}
+
+wssChatTts.on("connection", (ws, req) => {
+    const urlObj = new URL(req.url, `http://${req.headers.host}`);
+    const usageCtx = usageContextFromUrl(urlObj, "chat-tts-ws", req.auth);
+    const owner = req.credentialOwner;
+
+    const ttsProvider = (urlObj.searchParams.get("tts") || "azure-speech").trim().toLowerCase();
+    if (!CHAT_TTS_PROVIDERS.includes(ttsProvider)) {
+        try { ws.close(1008, `Unknown tts provider (${CHAT_TTS_PROVIDERS.join(", ")})`); } catch { }
+        return;
+    }
+    const { format, ...badFormat } = resolveTtsFormat(urlObj.searchParams.get("format"), ttsProvider, "pcm_24000", { streaming: true });
+    if (badFormat.error) {
+        try { ws.close(1008, badFormat.error.slice(0, 120)); } catch { }
+        return;
+    }
+    const ttsCreds = req.providerCreds?.[ttsProvider] || null;
+    if (ttsProvider === "azure-speech") {
+        const { key, region } = azureSpeechConfig(ttsCreds);
+        if (!key || !region) {
+            try { ws.close(1011, "Missing Azure Speech env vars"); } catch { }
+            return;
+        }
+    }
+    const qVoice = urlObj.searchParams.get("voice");
+    const lang = (urlObj.searchParams.get("language") || "").trim().toLowerCase();
+    const ttsModel = (voice) => ttsProvider === "openai" ? "gpt-4o-mini-tts" : ttsProvider === "elevenlabs" ? ELEVENLABS_TTS_MODEL : voice;
+
+    let turnSeq = 0;
+    let turn = null; // { id, controller, tts, utterances: [{ id, text, chunks, started, finished, error }], textDone, finished }
+
+    const send = (payload) => {
+        if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(payload));
+    };
+
+    const startUtterance = (t, u) => {
+        u.started = true;
+        recordUsage(usageCtx, { provider: ttsProvider, model: ttsModel(t.tts.voice), unit: "characters", quantity: u.text.length });
+        streamSentenceAudio(t.tts, u.text, {
+            signal: t.controller.signal,
+            onChunk: (chunk) => {
+                u.chunks.push(chunk);
+                pump(t);
+            }
+        })
+            .catch((e) => { if (e.code !== "aborted") u.error = e.message || String(e); })
+            .finally(() => {
+                u.finished = true;
+                pump(t);
+            });
+    };
+
+    // Audio sempre nell'ordine delle frasi: la prima in coda va in diretta,
+    // le successive (già in sintesi per il prefetch) restano in buffer finché non tocca a loro
+    function pump(t) {
+        if (turn !== t) return;
+        while (t.utterances.length) {
+            const u = t.utterances[0];
+            for (const chunk of u.chunks.splice(0)) send({ utterance: u.id, audio: chunk.toString("base64") });
+            if (!u.finished) break;
+            send(u.error ? { utterance: u.id, error: u.error } : { utterance: u.id, done: true });
+            t.utterances.shift();
+        }
+        for (const u of t.utterances.slice(0, CHAT_TTS_PREFETCH)) {
+            if (!u.started) startUtterance(t, u);
+        }
+        if (t.textDone && !t.utterances.length && !t.finished) {
+            t.finished = true;
+            turn = null;
+            send({ turn: t.id, turn_done: true });
+        }
+    }
+
+    // → { turn, utterances } del turno interrotto, o null
+    const cancelTurn = () => {
+        const t = turn;
+        if (!t) return null;
+        turn = null;
+        t.controller.abort();
+        return { turn: t.id, utterances: t.utterances.map(u => u.id) };
+    };
+
+    const runTurn = async (msg) => {
+        const target = resolveChatTarget(msg);
+        if (!target) return send({ error: "Unknown provider", providers: Object.keys(CHAT_ADAPTERS) });
+        if (!target.model) return send({ error: "Missing model", provider: target.provider });
+
+        const interrupted = cancelTurn();
+        if (interrupted) send({ cancelled: true, ...interrupted });
+        const t = {
+            id: `t${++turnSeq}`,
+            controller: new AbortController(),
+            tts: { provider: ttsProvider, format, creds: ttsCreds, voice: chatTtsVoice(ttsProvider, msg.voice || qVoice, lang) },
+            utterances: [],
+            sentenceSeq: 0,
+            textDone: false,
+            finished: false
+        };
+        turn = t;
+        send({ turn: t.id, started: true });
+
+        let budget = null;
+        try {
+            budget = await checkBudget(usageCtx);
+        } catch (e) {
+            console.error("❌ budget check error:", e.message);
+        }
+        if (turn !== t) return;
+        if (budget?.exceeded) {
+            turn = null;
+            return send({ turn: t.id, ...quotaPayload(budget) });
+        }
+
+        const chatRequest = { ...buildChatRequest(msg), model: target.model, owner };
+        const chain = failoverChainFor(target, msg);
+        const segmenter = createSentenceSegmenter();
+        const enqueueSentences = (sentences) => {
+            for (const text of sentences) {
+                const u = { id: `${t.id}.${t.sentenceSeq++}`, text, chunks: [], started: false, finished: false, error: null };
+                t.utterances.push(u);
+                send({ turn: t.id, utterance: u.id, sentence: text });
+            }
+            pump(t);
+        };
+
+        const meta = {};
+        let content = "";
+        let usage = null;
+        try {
+            // il signal del turno chiude subito lo stream upstream su cancel / nuovo turno / chiusura
+            for await (const evt of streamChatWithFailover(chain, chatRequest, meta, { signal: t.controller.signal })) {
+                if (turn !== t) return; // interrotto: cancel, nuovo turno o chiusura
+                if (evt.type === "delta") {
+                    content += evt.text;
+                    send({ turn: t.id, delta: evt.text });
+                    enqueueSentences(segmenter.push(evt.text));
+                }
+                else if (evt.type === "usage") usage = evt.usage;
+            }
+            if (turn !== t) return;
+            enqueueSentences(segmenter.flush());
+            send({
+                turn: t.id,
+                usage: usage || { total_tokens: 0 },
+                meta: { provider: meta.provider, model: meta.model, failover: meta.attempts.length > 0, attempts: meta.attempts }
+            });
+        } catch (err) {
+            if (turn !== t) return; // interrotto: l'abort fa fallire lo stream upstream, non è un errore
+            const info = await describeUpstreamError(err);
+            console.error("❌ chat-tts-ws stream error", { provider: meta.provider, ...info });
+            send({ turn: t.id, error: "chat_failed", provider: meta.provider, status: info.status, requestId: info.requestId, details: info.details || info.message });
+        } finally {
+            // anche i turni interrotti vanno a ledger (stima se l'usage non è arrivato)
+            if (usage || content || t.controller.signal.aborted) {
+                recordUsage(usageCtx, { provider: meta.provider, model: meta.model, usage: usage || estimateChatUsage(chatRequest, content) });
+            }
+        }
+        t.textDone = true;
+        pump(t);
+    };
+
+    ws.on("message", (data) => {
+        let msg; try { msg = JSON.parse(data.toString()); } catch { return; }
+        if (msg.cancel) {
+            send({ cancelled: true, ...(cancelTurn() || { turn: null, utterances: [] }) });
+        } else if (msg.messages || msg.input) {
+            runTurn(msg).catch((e) => {
+                console.error("❌ chat-tts-ws turn error:", e?.message || e);
+                send({ error: "turn_failed", details: e?.message || String(e) });
+            });
+        }
+    });
+
+    ws.on("close", cancelTurn);
+    ws.on("error", cancelTurn);
+});
+
+// === Riconoscimento vocale in streaming (Azure Speech): /api/stt-ws ===
+// La chiave Azure resta sul server: alternativa a /get-azure-token + SDK nel browser, valida per ogni client.
+// Query: ?language=fr-FR (oppure languages=fr-FR,en-US,... per il rilevamento automatico, max 4)
+//        &format=pcm_16000 (default, PCM 16 bit mono) | pcm_8000 | ulaw_8000 | opus (Ogg/Opus) | webm (WebM/Opus)
+//        &interim=false per ricevere solo i risultati finali.
+// Client → frame binari con l'audio, poi { end: true } a fine parlato.
+// Server → { ready: true }, { interim: { text, offset_ms, duration_ms } }, { final: { text, offset_ms, duration_ms, language } },
+//          { error, details }, infine { done: true, duration_ms } e chiusura della connessione.
+// bytesPerSec: durata fatturata calcolata sui byte ricevuti; per Opus si usa la fine dell'ultimo risultato.
+const STT_INPUT_FORMATS = {
+    pcm_16000: { bytesPerSec: 32000, stream: () => sdk.AudioStreamFormat.getWaveFormatPCM(16000, 16, 1) },
+    pcm_8000: { bytesPerSec: 16000, stream: () => sdk.AudioStreamFormat.getWaveFormatPCM(8000, 16, 1) },
+    ulaw_8000: { bytesPerSec: 8000, stream: () => sdk.AudioStreamFormat.getWaveFormat(8000, 8, 1, sdk.AudioFormatTag.MuLaw) },
+    opus: { bytesPerSec: null, stream: () => sdk.AudioStreamFormat.getWaveFormat(16000, 16, 1, sdk.AudioFormatTag.OGG_OPUS) },
+    webm: { bytesPerSec: null, stream: () => sdk.AudioStreamFormat.getWaveFormat(16000, 16, 1, sdk.AudioFormatTag.WEBM_OPUS) }
+};
+const STT_FORMAT_ALIASES = { pcm: "pcm_16000", pcm16k: "pcm_16000", pcm8k: "pcm_8000", ulaw: "ulaw_8000", mulaw: "ulaw_8000", ogg: "opus" };
+const STT_LANGUAGE_RE = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8}){1,2}$/;
+
+wssStt.on("connection", (ws, req) => {
+    const { key: speechKey, region: speechRegion } = azureSpeechConfig(req.providerCreds?.["azure-speech"]);
+    if (!speechKey || !speechRegion) {
+        try { ws.close(1011, "Missing Azure Speech env vars"); } catch { }
+        return;
+    }
+
+    const urlObj = new URL(req.url, `http://${req.headers.host}`);
+    const usageCtx = usageContextFromUrl(urlObj, "stt-ws", req.auth);
+    const rawFormat = (urlObj.searchParams.get("format") || "pcm_16000").trim().toLowerCase();
+    const input = STT_INPUT_FORMATS[STT_FORMAT_ALIASES[rawFormat] || rawFormat];
+    if (!input) {
+        try { ws.close(1008, `Unsupported audio format (${Object.keys(STT_INPUT_FORMATS).join(", ")})`); } catch { }
+        return;
+    }
+    const languages = (urlObj.searchParams.get("languages") || urlObj.searchParams.get("language") || "fr-FR")
+        .split(",").map(l => l.trim()).filter(Boolean);
+    if (!languages.length || languages.length > 4 || languages.some(l => !STT_LANGUAGE_RE.test(l))) {
+        try { ws.close(1008, "Invalid language (e.g. fr-FR, or up to 4 comma-separated)"); } catch { }
+        return;
+    }
+    const wantInterim = urlObj.searchParams.get("interim") !== "false";
+
+    const speechConfig = sdk.SpeechConfig.fromSubscription(speechKey, speechRegion);
+    const pushStream = sdk.AudioInputStream.createPushStream(input.stream());
+    const audioConfig = sdk.AudioConfig.fromStreamInput(pushStream);
+    let recognizer;
+    if (languages.length > 1) {
+        // rilevamento continuo: la lingua può cambiare durante la sessione
+        speechConfig.setProperty(sdk.PropertyId.SpeechServiceConnection_LanguageIdMode, "Continuous");
+        recognizer = sdk.SpeechRecognizer.FromConfig(speechConfig, sdk.AutoDetectSourceLanguageConfig.fromLanguages(languages), audioConfig);
+    } else {
+        speechConfig.speechRecognitionLanguage = languages[0];
+        recognizer = new sdk.SpeechRecognizer(speechConfig, audioConfig);
+    }
+
+    let bytesIn = 0;
+    let lastResultEndMs = 0;
+    let sessionStarted = false; // senza sessione col servizio (errore di connessione) non si fattura nulla
+    let finished = false;
+
+    const send = (payload) => {
+        if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(payload));
+    };
+    const resultTiming = (result) => {
+        const offsetMs = ticksToMs(result.offset);
+        const durationMs = ticksToMs(result.duration);
+        lastResultEndMs = Math.max(lastResultEndMs, offsetMs + durationMs);
+        return { offset_ms: offsetMs, duration_ms: durationMs };
+    };
+    const languageOf = (result) => languages.length > 1
+        ? sdk.AutoDetectSourceLanguageResult.fromResult(result).language || null
+        : languages[0];
+
+    const finish = () => {
+        if (finished) return;
+        finished = true;
+        const durationMs = input.bytesPerSec ? Math.round(bytesIn / input.bytesPerSec * 1000) : lastResultEndMs;
+        if (sessionStarted) recordUsage(usageCtx, { provider: "azure-speech", model: "azure-stt", unit: "seconds", quantity: durationMs / 1000 });
+        recognizer.stopContinuousRecognitionAsync(() => recognizer.close(), () => recognizer.close());
+        send({ done: true, duration_ms: durationMs });
+        try { ws.close(1000); } catch { }
+    };
+
+    if (wantInterim) {
+        recognizer.recognizing = (_s, e) => {
+            if (e.result.text) send({ interim: { text: e.result.text, ...resultTiming(e.result) } });
+        };
+    }
+    recognizer.recognized = (_s, e) => {
+        if (e.result.reason !== sdk.ResultReason.RecognizedSpeech || !e.result.text) return;
+        send({ final: { text: e.result.text, ...resultTiming(e.result), language: languageOf(e.result) } });
+    };
+    // EndOfStream dopo { end } → fine normale; Error → segnalato al client
+    recognizer.canceled = (_s, e) => {
+        if (e.reason === sdk.CancellationReason.Error) {
+            send({ error: "recognition_failed", details: e.errorDetails, code: sdk.CancellationErrorCode[e.errorCode] });
+        }
+        finish();
+    };
+    recognizer.sessionStarted = () => { sessionStarted = true; };
+    recognizer.sessionStopped = () => finish();
+
+    recognizer.startContinuousRecognitionAsync(
+        () => send({ ready: true }),
+        (err) => {
+            send({ error: "recognition_failed", details: String(err) });
+            finish();
+        }
+    );
+
+    ws.on("message", (data, isBinary) => {
+        if (finished) return;
+        if (isBinary) {
+            bytesIn += data.length;
+            pushStream.write(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+            return;
+        }
+        let msg; try { msg = JSON.parse(data.toString()); } catch { return; }
+        // chiude l'input: il riconoscitore smaltisce l'audio rimasto e poi termina la sessione
+        if (msg.end) pushStream.close();
+    });
+
+    const cleanup = () => {
+        try { pushStream.close(); } catch { }
+        finish();
+    };
+    ws.on("close", cleanup);
+    ws.on("error", cleanup);
+});
+
+
 
 // === WebSocket bridge per Azure Realtime ===
 // Unico endpoint WS: /api/fullCustomRealtimeAzureOpenAI
@@ -2214,10 +6789,17 @@ wssEl.on("connection", (client, req) => {
     const elVoiceId = clean(urlObj.searchParams.get("el_voice")) || process.env.ELEVENLABS_DEFAULT_VOICE_ID;
     const elModelId = clean(urlObj.searchParams.get("el_model")) || process.env.ELEVENLABS_MODEL_ID || "eleven_flash_v2_5";
     const voiceSettings = parseElVS(urlObj.searchParams.get("el_vs"));
+    const usageCtx = usageContextFromUrl(urlObj, "elevenlabs-tts", req.auth);
+    // ?format=pcm_24000 (default) / pcm_16000 / pcm_48000 / ulaw_8000 / mp3
+    const { spec: audioFormat, ...badFormat } = resolveTtsFormat(urlObj.searchParams.get("format"), "elevenlabs", "pcm_24000", { streaming: true });
+    if (badFormat.error) {
+        try { client.close(1008, badFormat.error.slice(0, 120)); } catch { }
+        return;
+    }
 
     let el;
     try {
-        el = openElevenLabsWs({ voiceId: elVoiceId, modelId: elModelId, voiceSettings });
+        el = openElevenLabsWs({ voiceId: elVoiceId, modelId: elModelId, voiceSettings, creds: req.providerCreds?.elevenlabs, outputFormat: audioFormat.elevenlabs });
     } catch (e) {
         try { client.close(1011, e.message); } catch { }
         return;
@@ -2227,7 +6809,7 @@ wssEl.on("connection", (client, req) => {
     el.ws.on("message", (m) => {
         try {
             const d = JSON.parse(m.toString("utf8"));
-            if (d.audio) client.send(JSON.stringify({ audio: d.audio }));   // base64 PCM 24k
+            if (d.audio) client.send(JSON.stringify({ audio: d.audio }));   // base64 nel formato richiesto
             if (d.isFinal) client.send(JSON.stringify({ done: true }));
         } catch { }
     });
@@ -2237,7 +6819,10 @@ wssEl.on("connection", (client, req) => {
     // Client -> ElevenLabs
     client.on("message", (data) => {
         let msg; try { msg = JSON.parse(data.toString()); } catch { return; }
-        if (typeof msg.text === "string") el.sendText(msg.text);
+        if (typeof msg.text === "string") {
+            el.sendText(msg.text);
+            recordUsage(usageCtx, { provider: "elevenlabs", model: elModelId, unit: "characters", quantity: msg.text.length });
+        }
         if (msg.flush) el.flushAndClose();
     });
 
@@ -2251,14 +6836,16 @@ wssEl.on("connection", (client, req) => {
 function openElevenLabsWs({
     voiceId,
     modelId = process.env.ELEVENLABS_MODEL_ID || "eleven_flash_v2_5",
-    voiceSettings = null
+    voiceSettings = null,
+    creds = null,
+    outputFormat = "pcm_24000"
 }) {
     const vId = voiceId || process.env.ELEVENLABS_DEFAULT_VOICE_ID;
     if (!vId) throw new Error("Missing ELEVENLABS voiceId (pass ?el_voice=... or set ELEVENLABS_DEFAULT_VOICE_ID)");
-    const apiKey = process.env.ELEVENLAB_API_KEY;
+    const apiKey = creds?.api_key || process.env.ELEVENLAB_API_KEY;
     if (!apiKey) throw new Error("Missing ELEVENLAB_API_KEY");
 
-    const url = `wss://api.elevenlabs.io/v1/text-to-speech/${encodeURIComponent(vId)}/stream-input?model_id=${encodeURIComponent(modelId)}&output_format=pcm_24000`;
+    const url = `wss://api.elevenlabs.io/v1/text-to-speech/${encodeURIComponent(vId)}/stream-input?model_id=${encodeURIComponent(modelId)}&output_format=${encodeURIComponent(outputFormat)}`;
 
     const elWs = new WebSocket(url, { perMessageDeflate: false, headers: { "xi-api-key": apiKey } });
     let ready = false;
@@ -2317,8 +6904,12 @@ function openElevenLabsWs({
 
 
 wss.on("connection", (clientWs, req) => {
-    const endpointHost = (AZ_ENDPOINT || "").replace(/^https?:\/\//, "").replace(/\/+$/, "");
-    if (!endpointHost || !AZ_KEY || !AZ_DEPLOY) {
+    // Chiave/endpoint/deployment realtime del cliente (azure-openai) o env
+    const rtCreds = req.providerCreds?.["azure-openai"];
+    const rtKey = rtCreds?.api_key || AZ_KEY;
+    const rtDeploy = rtCreds?.realtime_deployment || AZ_DEPLOY;
+    const endpointHost = (rtCreds?.endpoint || AZ_ENDPOINT || "").replace(/^https?:\/\//, "").replace(/\/+$/, "");
+    if (!endpointHost || !rtKey || !rtDeploy) {
         console.error("[Realtime] Missing env: endpoint/key/deployment");
         try { clientWs.close(1011, "Missing Azure Realtime env vars"); } catch { }
         return;
@@ -2339,10 +6930,11 @@ wss.on("connection", (clientWs, req) => {
     let elVoiceId = clean(urlObj.searchParams.get("el_voice")) || process.env.ELEVENLABS_DEFAULT_VOICE_ID; // ------- AGGIUNTO 25/08 -----------
     let elModelId = clean(urlObj.searchParams.get("el_model")) || process.env.ELEVENLABS_MODEL_ID || "eleven_flash_v2_5"; // ------- AGGIUNTO 25/08 -----------
     const qDeploy = clean(urlObj.searchParams.get("az_deploy"));
-    const DEPLOY = qDeploy || AZ_DEPLOY;
+    const DEPLOY = qDeploy || rtDeploy;
 
     const elVsB64 = urlObj.searchParams.get("el_vs");
     const voiceSettings = parseElVS(elVsB64);
+    const usageCtx = usageContextFromUrl(urlObj, "fullCustomRealtimeAzureOpenAI", req.auth);
 
     // opzionale: whitelist dei modelli consentiti
     const ALLOWED_EL_MODELS = new Set([ // ------- AGGIUNTO 25/08 -----------
@@ -2357,7 +6949,7 @@ wss.on("connection", (clientWs, req) => {
         `wss://${endpointHost}/openai/realtime` +
         `?api-version=${encodeURIComponent(AZ_VER)}` +
         `&deployment=${encodeURIComponent(DEPLOY)}` +
-        `&api-key=${encodeURIComponent(AZ_KEY)}`;
+        `&api-key=${encodeURIComponent(rtKey)}`;
 
     console.log("[Realtime] Dialing Azure WS:", azureUrl.replace(/api-key=[^&]+/, "api-key=***"));
 
@@ -2448,6 +7040,16 @@ wss.on("connection", (clientWs, req) => {
 
     // ---------- AGGIUNTO 25/08 ------------------
     azureWs.on("message", (data, isBinary) => {
+        // Token consumati dal turno (response.done porta usage)
+        if (!isBinary && data.includes("response.done")) {
+            try {
+                const evt = JSON.parse(data.toString("utf8"));
+                if (evt.type === "response.done") {
+                    recordUsage(usageCtx, { provider: "azure-openai", model: DEPLOY, usage: normalizeUsage(evt.response?.usage) });
+                }
+            } catch { }
+        }
+
         if (clientWs.readyState !== WebSocket.OPEN) return;
 
         // Se NON usi ElevenLabs, inoltra tutto com'è (comportamento attuale)
@@ -2492,7 +7094,8 @@ wss.on("connection", (clientWs, req) => {
                 const el = openElevenLabsWs({
                     voiceId: elVoiceId,
                     modelId: elModelId,
-                    voiceSettings   // 👈 passa le impostazioni dal client
+                    voiceSettings,   // 👈 passa le impostazioni dal client
+                    creds: req.providerCreds?.elevenlabs
                 });
 
                 // Audio da ElevenLabs → re-impacchettato come eventi Azure-like per il frontend
@@ -2540,7 +7143,10 @@ wss.on("connection", (clientWs, req) => {
 
             if (rid && chunk) {
                 const el = elevenByResp.get(rid);
-                if (el) el.sendText(chunk);
+                if (el) {
+                    el.sendText(chunk);
+                    el.chars = (el.chars || 0) + chunk.length;
+                }
             }
             return;
         }
@@ -2549,7 +7155,11 @@ wss.on("connection", (clientWs, req) => {
         if (t === "response.completed" || t === "response.done") {
             const rid = msg.response_id || msg.response?.id || msg.id;
             const el = rid && elevenByResp.get(rid);
-            if (el) el.flushAndClose();
+            if (el) {
+                el.flushAndClose();
+                recordUsage(usageCtx, { provider: "elevenlabs", model: elModelId, unit: "characters", quantity: el.chars || 0 });
+                el.chars = 0;
+            }
             return;
         }
     });
@@ -0,0 +1,175 @@
+// ssml.js
+// SSML degli autori (whitelist), separato da server.js per poterlo testare senza avviare il server.
+// Il markup viene tokenizzato e ricostruito: solo elementi/attributi in whitelist con valori validati,
+// niente DOCTYPE/commenti/CDATA/entità custom, testo ri-escapato. Un <speak> senza <voice> viene
+// avvolto nella voce di default.
+
+function escapeXml(unsafe) {
+    return unsafe
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+const SSML_MAX_LENGTH = parseInt(process.env.TTS_SSML_MAX_LENGTH || "20000", 10);
+const SSML_MAX_DEPTH = 12;
+const SSML_MAX_VOICES = 20;
+
+const SSML_TIME = /^\d{1,5}(\.\d+)?(ms|s)$/;
+const SSML_RELATIVE = /^[+-]?\d{1,4}(\.\d+)?(%|Hz|st)?$/;
+const SSML_LANG = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8}){0,2}$/;
+const SSML_NAME = /^[A-Za-z0-9][A-Za-z0-9:_.\- ]{0,119}$/;
+const SSML_PLAIN = /^[^<>"&]{0,200}$/;
+const ssmlEnum = (...values) => new RegExp(`^(${values.join("|")})$`, "i");
+
+// elemento → { attributo: pattern }; "root" = ammesso solo come radice, "leaf" = senza contenuto
+const SSML_ELEMENTS = {
+    "speak": { attrs: { "version": /^1\.0$/, "xml:lang": SSML_LANG, "xmlns": /^http:\/\/www\.w3\.org\/2001\/10\/synthesis$/, "xmlns:mstts": /^https?:\/\/www\.w3\.org\/2001\/mstts$/ }, root: true },
+    "voice": { attrs: { "name": SSML_NAME, "effect": ssmlEnum("eq_car", "eq_telecomhp8k", "eq_telecomhp3k") } },
+    "lang": { attrs: { "xml:lang": SSML_LANG } },
+    "p": { attrs: {} },
+    "s": { attrs: {} },
+    "break": { attrs: { "strength": ssmlEnum("none", "x-weak", "weak", "medium", "strong", "x-strong"), "time": SSML_TIME }, leaf: true },
+    "emphasis": { attrs: { "level": ssmlEnum("reduced", "none", "moderate", "strong") } },
+    "prosody": {
+        attrs: {
+            "rate": new RegExp(`^(x-slow|slow|medium|fast|x-fast|default|${SSML_RELATIVE.source.slice(1, -1)})$`),
+            "pitch": new RegExp(`^(x-low|low|medium|high|x-high|default|${SSML_RELATIVE.source.slice(1, -1)})$`),
+            "volume": new RegExp(`^(silent|x-soft|soft|medium|loud|x-loud|default|${SSML_RELATIVE.source.slice(1, -1)})$`),
+            "range": new RegExp(`^(x-low|low|medium|high|x-high|default|${SSML_RELATIVE.source.slice(1, -1)})$`),
+            "contour": /^(\(\d{1,3}%,[+-]?\d{1,4}(Hz|%|st)\)\s*){1,20}$/
+        }
+    },
+    "say-as": {
+        attrs: {
+            "interpret-as": ssmlEnum("characters", "spell-out", "cardinal", "number", "ordinal", "number_digit", "fraction", "date", "time", "duration", "telephone", "currency", "address", "name", "interjection"),
+            "format": /^[A-Za-z]{1,10}$/,
+            "detail": /^[0-9A-Za-z]{1,10}$/
+        }
+    },
+    "phoneme": { attrs: { "alphabet": ssmlEnum("ipa", "sapi", "ups", "x-sampa"), "ph": SSML_PLAIN } },
+    "lexicon": { attrs: { "uri": /^https:\/\/[^\s<>"']{1,300}$/ }, leaf: true },
+    "sub": { attrs: { "alias": SSML_PLAIN } },
+    "bookmark": { attrs: { "mark": /^[A-Za-z0-9_\-]{1,64}$/ }, leaf: true },
+    "mstts:express-as": { attrs: { "style": /^[A-Za-z\-]{1,40}$/, "styledegree": /^(0(\.\d+)?|1(\.\d+)?|2(\.0+)?)$/, "role": /^[A-Za-z]{1,40}$/ } },
+    "mstts:silence": {
+        attrs: { "type": ssmlEnum("Leading", "Leading-exact", "Tailing", "Tailing-exact", "Sentenceboundary", "Sentenceboundary-exact", "Comma-exact", "Semicolon-exact", "Enumerationcomma-exact"), "value": SSML_TIME },
+        leaf: true
+    }
+};
+const SSML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" };
+
+function decodeSsmlText(text) {
+    if (/&(?!(#x[0-9a-fA-F]{1,6}|#\d{1,7}|[a-z]+);)/.test(text)) throw new Error("Bare & in text (use &amp;)");
+    return text.replace(/&(#x[0-9a-fA-F]{1,6}|#\d{1,7}|[a-z]+);/g, (m, ent) => {
+        if (ent[0] === "#") {
+            const code = ent[1] === "x" ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+            if (code > 0x10ffff || (code < 0x20 && ![9, 10, 13].includes(code))) throw new Error(`Invalid character reference ${m}`);
+            return String.fromCodePoint(code);
+        }
+        if (!(ent in SSML_ENTITIES)) throw new Error(`Unknown entity ${m}`);
+        return SSML_ENTITIES[ent];
+    });
+}
+
+function parseSsmlTag(raw) {
+    const m = /^<(\/?)([A-Za-z][A-Za-z0-9:\-]*)((?:\s+[A-Za-z][A-Za-z0-9:\-]*\s*=\s*(?:"[^"<]*"|'[^'<]*'))*)\s*(\/?)>$/.exec(raw);
+    if (!m) throw new Error(`Malformed tag ${raw.slice(0, 60)}`);
+    const [, closing, name, attrText, selfClosing] = m;
+    const attrs = {};
+    for (const a of attrText.matchAll(/([A-Za-z][A-Za-z0-9:\-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        if (a[1] in attrs) throw new Error(`Duplicate attribute ${a[1]} on <${name}>`);
+        attrs[a[1]] = decodeSsmlText(a[2] ?? a[3]);
+    }
+    if (closing && (attrText.trim() || selfClosing)) throw new Error(`Malformed closing tag </${name}>`);
+    return { name, attrs, closing: !!closing, selfClosing: !!selfClosing };
+}
+
+// Ritorna { ssml, text, voices } oppure lancia un Error con il motivo (→ 400)
+function sanitizeAuthorSsml(input, { defaultVoice = "fr-FR-RemyMultilingualNeural", visemeType = null } = {}) {
+    const source = String(input || "").trim();
+    if (!source) throw new Error("Empty SSML");
+    if (source.length > SSML_MAX_LENGTH) throw new Error(`SSML too long (max ${SSML_MAX_LENGTH})`);
+    if (/<[!?]/.test(source)) throw new Error("DOCTYPE, comments, CDATA and processing instructions are not allowed");
+
+    // radice: <speak> esplicito oppure frammento
+    const root = { name: "#root", attrs: {}, children: [] };
+    const stack = [root];
+    let plain = "";
+    const tokens = source.match(/<[^>]*>|[^<]+/g) || [];
+    for (const token of tokens) {
+        const parent = stack[stack.length - 1];
+        if (token[0] !== "<") {
+            const text = decodeSsmlText(token);
+            parent.children.push({ text });
+            plain += text;
+            continue;
+        }
+        if (token.includes("<", 1)) throw new Error("Unescaped < in text");
+        const tag = parseSsmlTag(token);
+        const spec = SSML_ELEMENTS[tag.name];
+        if (!spec) throw new Error(`Element <${tag.name}> is not allowed`);
+        if (tag.closing) {
+            if (parent.name !== tag.name) throw new Error(`Unexpected </${tag.name}>`);
+            stack.pop();
+            continue;
+        }
+        if (spec.root && (parent !== root || root.children.some(c => !c.text || c.text.trim()))) {
+            throw new Error("<speak> must be the document root");
+        }
+        for (const [attr, value] of Object.entries(tag.attrs)) {
+            const pattern = spec.attrs[attr];
+            if (!pattern) throw new Error(`Attribute ${attr} is not allowed on <${tag.name}>`);
+            if (!pattern.test(value)) throw new Error(`Invalid value for ${tag.name}@${attr}`);
+        }
+        if (spec.leaf && !tag.selfClosing) throw new Error(`<${tag.name}/> must be self-closing`);
+        const node = { name: tag.name, attrs: tag.attrs, children: [] };
+        parent.children.push(node);
+        if (tag.selfClosing) continue;
+        if (stack.length > SSML_MAX_DEPTH) throw new Error("SSML nested too deeply");
+        stack.push(node);
+    }
+    if (stack.length > 1) throw new Error(`Unclosed <${stack[stack.length - 1].name}>`);
+
+    const speak = root.children.find(c => c.name === "speak");
+    if (speak && root.children.some(c => c !== speak && (c.name || c.text.trim()))) {
+        throw new Error("Content outside <speak> is not allowed");
+    }
+    const top = (speak || root).children;
+    let voices = top.filter(c => c.name === "voice");
+    if (voices.length > SSML_MAX_VOICES) throw new Error(`Too many <voice> elements (max ${SSML_MAX_VOICES})`);
+    const strayOutsideVoice = top.some(c => c.name !== "voice" && c.name !== "lexicon" && !(c.text !== undefined && !c.text.trim()));
+    if (voices.length && strayOutsideVoice) throw new Error("Content outside <voice> is not allowed");
+    if (!voices.length) {
+        voices = [{ name: "voice", attrs: { name: defaultVoice }, children: top.filter(c => c.name !== "lexicon") }];
+    }
+    const lexicons = top.filter(c => c.name === "lexicon");
+    const voiceAt = (n) => n.children.some(c => c.name === "voice" || (c.children && voiceAt(c)));
+    for (const v of voices) {
+        if (voiceAt(v)) throw new Error("<voice> cannot be nested");
+        v.attrs.name ||= defaultVoice;
+    }
+
+    const serialize = (n) => {
+        if (n.text !== undefined) return escapeXml(n.text);
+        const attrs = Object.entries(n.attrs).map(([k, v]) => ` ${k}="${escapeXml(v)}"`).join("");
+        if (SSML_ELEMENTS[n.name].leaf) return `<${n.name}${attrs}/>`;
+        return `<${n.name}${attrs}>${n.children.map(serialize).join("")}</${n.name}>`;
+    };
+    const visemeTag = visemeType ? `<mstts:viseme type="${visemeType}"/>` : "";
+    const lang = speak?.attrs["xml:lang"] || String(voices[0].attrs.name || defaultVoice).substring(0, 5);
+    const body = voices.map((v, i) => {
+        const lex = i === 0 ? lexicons.map(serialize).join("") : "";
+        return `<voice${Object.entries(v.attrs).map(([k, val]) => ` ${k}="${escapeXml(val)}"`).join("")}>${lex}${visemeTag}${v.children.map(serialize).join("")}</voice>`;
+    }).join("");
+
+    return {
+        ssml: `<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xmlns:mstts="https://www.w3.org/2001/mstts" xml:lang="${escapeXml(lang)}">${body}</speak>`,
+        text: plain,
+        voices: voices.map(v => v.attrs.name || defaultVoice)
+    };
+}
+
+module.exports = { escapeXml, sanitizeAuthorSsml };
@@ -0,0 +1,68 @@
+// test/ssml.test.js — node --test
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { sanitizeAuthorSsml } = require("../ssml");
+
+test("wraps a fragment in the default voice and re-escapes text", () => {
+    const out = sanitizeAuthorSsml("Bonjour <break time=\"500ms\"/> &amp; bienvenue", { defaultVoice: "fr-FR-DeniseNeural" });
+    assert.match(out.ssml, /^<speak version="1\.0" [^>]*xml:lang="fr-FR"><voice name="fr-FR-DeniseNeural">/);
+    assert.match(out.ssml, /Bonjour <break time="500ms"\/> &amp; bienvenue<\/voice><\/speak>$/);
+    assert.equal(out.text, "Bonjour  & bienvenue");
+    assert.deepEqual(out.voices, ["fr-FR-DeniseNeural"]);
+});
+
+test("keeps several top-level voices", () => {
+    const out = sanitizeAuthorSsml(
+        "<speak version=\"1.0\" xml:lang=\"fr-FR\"><voice name=\"fr-FR-HenriNeural\">A</voice><voice name=\"fr-FR-DeniseNeural\">B</voice></speak>"
+    );
+    assert.deepEqual(out.voices, ["fr-FR-HenriNeural", "fr-FR-DeniseNeural"]);
+});
+
+test("rejects nested <voice>", () => {
+    assert.throws(
+        () => sanitizeAuthorSsml("<voice name=\"fr-FR-HenriNeural\"><voice name=\"en-US-JennyNeural\">x</voice></voice>"),
+        /<voice> cannot be nested/
+    );
+    assert.throws(
+        () => sanitizeAuthorSsml("<voice name=\"fr-FR-HenriNeural\"><prosody rate=\"slow\"><voice name=\"x\">x</voice></prosody></voice>"),
+        /<voice> cannot be nested/
+    );
+});
+
+test("rejects DOCTYPE, comments, CDATA and processing instructions", () => {
+    for (const input of [
+        "<!DOCTYPE speak [<!ENTITY x \"boom\">]><speak>&x;</speak>",
+        "<speak><!-- hidden --></speak>",
+        "<speak><![CDATA[<voice>]]></speak>",
+        "<?xml version=\"1.0\"?><speak>x</speak>"
+    ]) {
+        assert.throws(() => sanitizeAuthorSsml(input), /not allowed/, input);
+    }
+});
+
+test("rejects unknown entities and bare ampersands", () => {
+    assert.throws(() => sanitizeAuthorSsml("Tom &nbsp; Jerry"), /Unknown entity &nbsp;/);
+    assert.throws(() => sanitizeAuthorSsml("<sub alias=\"&xxe;\">x</sub>"), /Unknown entity &xxe;/);
+    assert.throws(() => sanitizeAuthorSsml("Tom & Jerry"), /Bare &/);
+    assert.throws(() => sanitizeAuthorSsml("&#0;"), /Invalid character reference/);
+});
+
+test("rejects attribute injection", () => {
+    // attributo fuori whitelist, valore che esce dalle virgolette, handler, valore fuori pattern
+    assert.throws(() => sanitizeAuthorSsml("<prosody onload=\"x\">a</prosody>"), /Attribute onload is not allowed/);
+    assert.throws(() => sanitizeAuthorSsml("<prosody rate=\"slow\" rate=\"fast\">a</prosody>"), /Duplicate attribute/);
+    assert.throws(() => sanitizeAuthorSsml("<voice name=\"a\"\" effect=\"eq_car\">a</voice>"), /Malformed tag/);
+    assert.throws(() => sanitizeAuthorSsml("<voice name=\"x&quot; xml:lang=&quot;en\">a</voice>"), /Invalid value for voice@name/);
+    assert.throws(() => sanitizeAuthorSsml("<lexicon uri=\"http://internal/lex.xml\"/>"), /Invalid value for lexicon@uri/);
+});
+
+test("escapes decoded attribute values on output", () => {
+    const out = sanitizeAuthorSsml("<sub alias=\"l&apos;IA\">IA</sub>");
+    assert.match(out.ssml, /<sub alias="l&apos;IA">IA<\/sub>/);
+});
+
+test("rejects elements outside the whitelist and stray closing tags", () => {
+    assert.throws(() => sanitizeAuthorSsml("<audio src=\"https://x\"/>"), /Element <audio> is not allowed/);
+    assert.throws(() => sanitizeAuthorSsml("a</p>"), /Unexpected <\/p>/);
+    assert.throws(() => sanitizeAuthorSsml("<p>a"), /Unclosed <p>/);
+});